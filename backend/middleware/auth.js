@@ -1,5 +1,40 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { touchSession } from '../services/sessions.js';
+
+// Error for tokens that verify but no longer grant access
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Resolve an access token to its user and session, throwing when the token
+// is invalid, its session was revoked or the account can't sign in
+const authenticate = async (token, req) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens from before sessions existed can't be revoked, so they are refused
+  const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || !session.userId.equals(decoded.userId)) {
+    throw new AuthError('Session expired or revoked.');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw new AuthError('Invalid token. User not found.');
+  }
+
+  if (!user.isActive) {
+    throw new AuthError('Account is deactivated.');
+  }
+
+  touchSession(session, req);
+  return { user, session };
+};
 
 export const auth = async (req, res, next) => {
   try {
@@ -11,24 +46,17 @@ export const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid token. User not found.' 
-      });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        error: 'Account is deactivated.' 
-      });
-    }
+    const { user, session } = await authenticate(token, req);
 
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ 
+        error: error.message 
+      });
+    }
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
         error: 'Invalid token.' 
@@ -50,12 +78,9 @@ export const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      }
+      const { user, session } = await authenticate(token, req);
+      req.user = user;
+      req.session = session;
     }
     
     next();
@@ -63,4 +88,14 @@ export const optionalAuth = async (req, res, next) => {
     // Continue without authentication for optional routes
     next();
   }
-}; 
\ No newline at end of file
+};
+
+// Use after auth: only lets admins through
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Admin access required.'
+    });
+  }
+  next();
+};
@@ -0,0 +1,113 @@
+import { getRateLimitStore } from '../services/rateLimit/index.js';
+
+// Read lazily so values from .env apply
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Limits can be overridden per limiter, e.g. RATE_LIMIT_LOGIN_MAX=5 and
+// RATE_LIMIT_LOGIN_WINDOW=600 (seconds)
+const getLimits = (name, defaults) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = Number(process.env[`${prefix}_MAX`]);
+  const windowSeconds = Number(process.env[`${prefix}_WINDOW`]);
+
+  return {
+    max: max > 0 ? max : defaults.max,
+    windowMs: windowSeconds > 0 ? windowSeconds * 1000 : defaults.windowMs
+  };
+};
+
+const keyGetters = {
+  ip: (req) => `ip:${req.ip}`,
+  // Signed-in users are counted per account, everyone else per IP.
+  // Must run after auth or optionalAuth.
+  user: (req) => (req.user ? `user:${req.user._id}` : `ip:${req.ip}`)
+};
+
+// Allow `max` requests per `windowMs` for each key, counted separately per
+// limiter `name`. Sets RateLimit-* headers on every response and responds
+// with 429 and Retry-After once the limit is used up.
+export const rateLimit = ({ name, windowMs, max, keyBy = 'ip', message }) => {
+  const getKey = typeof keyBy === 'function' ? keyBy : keyGetters[keyBy];
+
+  return async (req, res, next) => {
+    if (!isEnabled()) return next();
+
+    const limits = getLimits(name, { windowMs, max });
+    let counter;
+
+    try {
+      counter = await getRateLimitStore().increment(`${name}:${getKey(req)}`, limits.windowMs);
+    } catch (error) {
+      // An unavailable store shouldn't take the API down with it
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 0);
+    res.set({
+      'RateLimit-Policy': `${limits.max};w=${Math.round(limits.windowMs / 1000)}`,
+      'RateLimit-Limit': String(limits.max),
+      'RateLimit-Remaining': String(Math.max(limits.max - counter.count, 0)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (counter.count > limits.max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: message || 'Too many requests. Please try again later.',
+        code: 'RATE_LIMITED',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+// Every API request, per IP
+export const apiLimiter = rateLimit({
+  name: 'api',
+  windowMs: 60 * 1000,
+  max: 300
+});
+
+// Login attempts per IP; failed attempts per account are handled by the lockout on User
+export const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many login attempts. Please try again later.'
+});
+
+export const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many accounts created from this network. Please try again later.'
+});
+
+// Requests that send email or use emailed tokens
+export const accountEmailLimiter = rateLimit({
+  name: 'account_email',
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many requests. Please wait a few minutes before trying again.'
+});
+
+// Chat messages per user, the requests that cost provider tokens
+export const chatLimiter = rateLimit({
+  name: 'chat',
+  windowMs: 60 * 1000,
+  max: 20,
+  keyBy: 'user',
+  message: 'You are sending messages too quickly. Please wait a moment.'
+});
+
+// Data exports per user; each one is a zip kept for a day
+export const exportLimiter = rateLimit({
+  name: 'export',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: 3,
+  keyBy: 'user',
+  message: 'You have started several exports today. Download a recent one or try again tomorrow.'
+});
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+
+// Conversation starters and knowledge files an assistant can have
+export const MAX_STARTERS = 4;
+export const MAX_KNOWLEDGE_FILES = 10;
+
+// A reusable persona: instructions, model and settings applied to every
+// conversation started with it. Only the owner can see the instructions
+// and knowledge files.
+const assistantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  // An emoji or a few letters
+  avatar: {
+    type: String,
+    trim: true,
+    maxlength: [8, 'Avatar cannot exceed 8 characters'],
+    default: function() {
+      return this.name ? this.name.substring(0, 2).toUpperCase() : 'AI';
+    }
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [8000, 'Instructions cannot exceed 8000 characters']
+  },
+  // null: conversations use the server's default model
+  model: {
+    type: String,
+    default: null
+  },
+  settings: {
+    temperature: {
+      type: Number,
+      min: [0, 'Temperature must be between 0 and 2'],
+      max: [2, 'Temperature must be between 0 and 2']
+    },
+    maxTokens: {
+      type: Number,
+      min: [1, 'Max tokens must be between 1 and 16000'],
+      max: [16000, 'Max tokens must be between 1 and 16000']
+    },
+    topP: {
+      type: Number,
+      min: [0, 'Top P must be between 0 and 1'],
+      max: [1, 'Top P must be between 0 and 1']
+    }
+  },
+  conversationStarters: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [200, 'Conversation starters cannot exceed 200 characters']
+    }],
+    validate: [starters => starters.length <= MAX_STARTERS, `An assistant can have up to ${MAX_STARTERS} conversation starters`]
+  },
+  // Files whose relevant parts are added to the prompt of every conversation
+  knowledgeFiles: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+    }],
+    validate: [files => files.length <= MAX_KNOWLEDGE_FILES, `An assistant can have up to ${MAX_KNOWLEDGE_FILES} knowledge files`]
+  },
+  // private: the owner only; team: users in the owner's team; public: every user
+  visibility: {
+    type: String,
+    enum: {
+      values: ['private', 'team', 'public'],
+      message: 'Visibility must be private, team or public'
+    },
+    default: 'private'
+  },
+  // The owner's team when shared with it
+  team: {
+    type: String,
+    default: null
+  },
+  conversationCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+assistantSchema.index({ userId: 1, updatedAt: -1 });
+assistantSchema.index({ visibility: 1, team: 1, conversationCount: -1 });
+
+// Method to check ownership; works whether or not the owner is populated
+assistantSchema.methods.isOwnedBy = function(user) {
+  return (this.populated('userId') || this.userId).equals(user._id);
+};
+
+// Whether a user can see and chat with this assistant
+assistantSchema.methods.isVisibleTo = function(user) {
+  if (this.isOwnedBy(user)) return true;
+  if (this.visibility === 'public') return true;
+  return this.visibility === 'team' && Boolean(user.team) && this.team === user.team;
+};
+
+// Method to get the assistant as shown to a user; the owner also gets the
+// instructions, settings and knowledge files (given as public attachments)
+assistantSchema.methods.toPublicJSON = function(user, knowledgeFiles = []) {
+  const isOwner = this.isOwnedBy(user);
+
+  return {
+    id: this._id,
+    name: this.name,
+    description: this.description,
+    avatar: this.avatar,
+    model: this.model,
+    conversationStarters: this.conversationStarters,
+    visibility: this.visibility,
+    conversationCount: this.conversationCount,
+    author: this.populated('userId') ? this.userId.username : undefined,
+    isOwner,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    ...(isOwner && {
+      instructions: this.instructions,
+      settings: this.settings,
+      knowledgeFiles
+    })
+  };
+};
+
+const Assistant = mongoose.model('Assistant', assistantSchema);
+
+export default Assistant;
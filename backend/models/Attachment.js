@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// A file a user uploaded to send with their messages. The file itself is
+// kept in UPLOAD_DIR; its text is extracted once, on upload. Images are
+// resized on upload and have no text.
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when first sent; the file can then be sent again in that conversation only
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Set for an assistant's knowledge files, which are never sent directly
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // pdf, text (plain text, Markdown, CSV, source code) or image
+  kind: {
+    type: String,
+    enum: ['pdf', 'text', 'image'],
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // File name in UPLOAD_DIR
+  storageName: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  // Pixel size of images, after resizing
+  width: Number,
+  height: Number
+}, {
+  timestamps: true
+});
+
+attachmentSchema.index({ userId: 1, createdAt: -1 });
+attachmentSchema.index({ conversationId: 1 });
+attachmentSchema.index({ assistantId: 1 });
+
+// Method to get the attachment as shown on messages
+attachmentSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    mimeType: this.mimeType,
+    kind: this.kind,
+    size: this.size,
+    ...(this.kind === 'image' && { width: this.width, height: this.height }),
+    createdAt: this.createdAt
+  };
+};
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
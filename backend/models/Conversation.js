@@ -1,31 +1,17 @@
 import mongoose from 'mongoose';
+import Message from './Message.js';
+import { getDefaultModel } from '../services/llm/index.js';
 
-const messageSchema = new mongoose.Schema({
-  role: {
-    type: String,
-    enum: ['user', 'assistant'],
-    required: true
-  },
-  content: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  tokens: {
-    type: Number,
-    default: 0
-  },
-  model: {
-    type: String,
-    default: 'gpt-4o-mini'
-  }
-}, {
-  timestamps: true
-});
+// Generation settings used when a conversation doesn't override them
+export const DEFAULT_SETTINGS = {
+  temperature: 0.7,
+  maxTokens: 1000,
+  topP: 1,
+  systemPrompt: ''
+};
+
+// Characters of the newest message kept on the conversation for the sidebar
+const LAST_MESSAGE_PREVIEW_LENGTH = 200;
 
 const conversationSchema = new mongoose.Schema({
   userId: {
@@ -39,7 +25,21 @@ const conversationSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot exceed 100 characters']
   },
-  messages: [messageSchema],
+  // Last message of the active branch; messages live in their own collection
+  currentMessageId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Kept up to date as messages are added, so listings don't load any messages
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessage: {
+    messageId: mongoose.Schema.Types.ObjectId,
+    role: String,
+    content: String,
+    timestamp: Date
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -56,20 +56,67 @@ const conversationSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Rolling summary of the oldest messages once history outgrows the model's context
+  summary: {
+    content: {
+      type: String,
+      default: ''
+    },
+    // Last message the summary covers; it applies to branches that pass through it
+    throughMessageId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    updatedAt: Date
+  },
   model: {
     type: String,
-    default: 'gpt-4o-mini'
+    default: getDefaultModel
+  },
+  // Assistant whose instructions and knowledge apply to this conversation
+  assistantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assistant',
+    default: null
+  },
+  // Library documents searched for passages to cite in replies
+  librarySources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LibraryDocument'
+  }],
+  // The user's custom instructions when the conversation started, as sent to the model
+  customInstructions: {
+    type: String,
+    default: ''
+  },
+  // Temporary chats neither use nor add to the user's memory
+  temporary: {
+    type: Boolean,
+    default: false
   },
   settings: {
     temperature: {
       type: Number,
-      default: 0.7,
-      min: 0,
-      max: 2
+      default: DEFAULT_SETTINGS.temperature,
+      min: [0, 'Temperature must be between 0 and 2'],
+      max: [2, 'Temperature must be between 0 and 2']
     },
     maxTokens: {
       type: Number,
-      default: 1000
+      default: DEFAULT_SETTINGS.maxTokens,
+      min: [1, 'Max tokens must be between 1 and 16000'],
+      max: [16000, 'Max tokens must be between 1 and 16000']
+    },
+    topP: {
+      type: Number,
+      default: DEFAULT_SETTINGS.topP,
+      min: [0, 'Top P must be between 0 and 1'],
+      max: [1, 'Top P must be between 0 and 1']
+    },
+    systemPrompt: {
+      type: String,
+      default: DEFAULT_SETTINGS.systemPrompt,
+      trim: true,
+      maxlength: [4000, 'System prompt cannot exceed 4000 characters']
     }
   }
 }, {
@@ -80,28 +127,116 @@ const conversationSchema = new mongoose.Schema({
 conversationSchema.index({ userId: 1, createdAt: -1 });
 conversationSchema.index({ userId: 1, isArchived: 1 });
 conversationSchema.index({ userId: 1, isPinned: 1 });
+// Full-text search, always scoped to one user; titles rank above tags.
+// Message text has its own index on the Message collection.
+conversationSchema.index(
+  { userId: 1, title: 'text', tags: 'text' },
+  { name: 'conversation_search', weights: { title: 10, tags: 5 } }
+);
 
-// Virtual for message count
-conversationSchema.virtual('messageCount').get(function() {
-  return this.messages.length;
-});
+// Method to get the messages of a branch, from the first message down to messageId
+conversationSchema.methods.getMessagePath = async function(messageId = this.currentMessageId) {
+  const { messages } = await Message.getPath(this._id, messageId);
+  return messages;
+};
+
+// Method to get the end of a branch, following the newest reply at each step
+conversationSchema.methods.getLatestLeafId = async function(messageId) {
+  const links = await Message.find({ conversationId: this._id })
+    .select('_id parentId')
+    .sort({ _id: 1 })
+    .lean();
+
+  const newestChild = new Map();
+  links.forEach(link => {
+    if (link.parentId) newestChild.set(link.parentId.toString(), link._id);
+  });
+
+  let leafId = messageId;
+  while (newestChild.has(leafId.toString())) {
+    leafId = newestChild.get(leafId.toString());
+  }
+
+  return leafId;
+};
+
+// Method to add message (model is the "provider:model" id that produced it).
+// Options: usage - the provider's token counts for replies; parentId - message
+// to follow, defaulting to the end of the active branch; attachments - ids of
+// files sent with a user message; toolCalls - tools an assistant message
+// calls; toolCallId and toolName - the call a tool message answers;
+// citations - library passages a reply cites. The new message becomes the
+// end of the active branch. Resolves with the saved message.
+conversationSchema.methods.addMessage = async function(role, content, model = this.model, options = {}) {
+  const { usage = null, attachments = [], toolCalls = [], toolCallId, toolName, citations = [] } = options;
 
-// Method to add message
-conversationSchema.methods.addMessage = function(role, content, model = 'gpt-4o-mini') {
-  this.messages.push({
+  // Save a new conversation first so its messages never point at nothing
+  if (this.isNew) {
+    await this.save();
+  }
+
+  const parentId = options.parentId !== undefined
+    ? options.parentId
+    : this.currentMessageId || null;
+
+  const message = await Message.create({
+    conversationId: this._id,
+    userId: this.userId,
     role,
     content,
     model,
-    timestamp: new Date()
+    parentId,
+    timestamp: new Date(),
+    ...(attachments.length > 0 && { attachments }),
+    ...(toolCalls.length > 0 && { toolCalls }),
+    ...(role === 'tool' && { toolCallId, toolName }),
+    ...(citations.length > 0 && { citations }),
+    ...(usage && {
+      tokens: usage.totalTokens,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens
+    })
   });
-  this.model = model;
-  return this.save();
+
+  // Counters are incremented in the database, so messages saved at the same
+  // time by other requests are all counted
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $set: {
+        currentMessageId: message._id,
+        lastMessage: {
+          messageId: message._id,
+          role: message.role,
+          content: message.content.substring(0, LAST_MESSAGE_PREVIEW_LENGTH),
+          timestamp: message.timestamp
+        },
+        model
+      },
+      $inc: { messageCount: 1, totalTokens: usage?.totalTokens || 0 }
+    },
+    { new: true }
+  );
+
+  // Bring this copy up to date without marking the fields to be saved again
+  if (updated) {
+    ['currentMessageId', 'lastMessage', 'model', 'messageCount', 'totalTokens', 'updatedAt'].forEach(path => {
+      this.set(path, updated.get(path));
+      this.unmarkModified(path);
+    });
+  }
+
+  return message;
 };
 
 // Method to update title from first user message
-conversationSchema.methods.updateTitleFromFirstMessage = function() {
-  const firstUserMessage = this.messages.find(msg => msg.role === 'user');
-  if (firstUserMessage && !this.title) {
+conversationSchema.methods.updateTitleFromFirstMessage = async function() {
+  if (this.title && this.title !== 'New Chat') {
+    return this;
+  }
+
+  const firstUserMessage = await Message.findOne({ conversationId: this._id, role: 'user' }).sort({ _id: 1 });
+  if (firstUserMessage) {
     this.title = firstUserMessage.content.substring(0, 50) + (firstUserMessage.content.length > 50 ? '...' : '');
   }
   return this.save();
@@ -113,12 +248,17 @@ conversationSchema.methods.getSummary = function() {
     id: this._id,
     title: this.title,
     messageCount: this.messageCount,
-    lastMessage: this.messages[this.messages.length - 1],
+    lastMessage: this.lastMessage,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
     isArchived: this.isArchived,
     isPinned: this.isPinned,
-    tags: this.tags
+    tags: this.tags,
+    model: this.model,
+    settings: this.settings,
+    assistantId: this.assistantId,
+    librarySources: this.librarySources,
+    temporary: this.temporary
   };
 };
 
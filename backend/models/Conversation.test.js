@@ -0,0 +1,38 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Conversation from './Conversation.js';
+import Message from './Message.js';
+
+afterEach(() => mock.restoreAll());
+
+test('concurrent messages are all counted', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const stored = new Conversation({ userId, title: 'Chat', model: 'mock:echo' });
+  stored.isNew = false;
+
+  mock.method(Message, 'create', async (fields) => new Message(fields));
+  // Applies the update to the stored conversation, as MongoDB does
+  const updates = mock.method(Conversation, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    stored.set(update.$set);
+    Object.entries(update.$inc).forEach(([path, amount]) => stored.set(path, stored.get(path) + amount));
+    return stored;
+  });
+
+  // Two requests, each with its own copy of the conversation
+  const copies = [0, 1].map(() => Conversation.hydrate(stored.toObject()));
+  await Promise.all([
+    copies[0].addMessage('assistant', 'First', 'mock:echo', { usage: { totalTokens: 10, promptTokens: 4, completionTokens: 6 } }),
+    copies[1].addMessage('assistant', 'Second', 'mock:echo', { usage: { totalTokens: 5, promptTokens: 2, completionTokens: 3 } })
+  ]);
+
+  assert.equal(stored.messageCount, 2);
+  assert.equal(stored.totalTokens, 15);
+  assert.ok(updates.mock.calls.every(call => call.arguments[0]._id.equals(stored._id)));
+
+  // The copies take the stored values, with nothing left to save over them
+  assert.deepEqual(copies.map(copy => copy.messageCount), [1, 2]);
+  assert.equal(copies[1].lastMessage.content, 'Second');
+  copies.forEach(copy => assert.deepEqual(copy.modifiedPaths(), []));
+});
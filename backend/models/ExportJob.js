@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A requested "export all my data" archive. The zip is built in the
+// background and written to EXPORT_DIR; the job tracks its progress.
+const exportJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  // Name of the zip in EXPORT_DIR once it is ready
+  fileName: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  conversationCount: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  // Downloads stop working after this; the file is removed by the next cleanup
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+exportJobSchema.index({ expiresAt: 1 });
+
+// Method to get the job as sent to its owner
+exportJobSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    size: this.size,
+    conversationCount: this.conversationCount,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+export default ExportJob;
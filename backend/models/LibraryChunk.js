@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A passage of a library document and its embedding. With VECTOR_INDEX=mongo
+// the collection needs an Atlas Vector Search index on `embedding` (cosine
+// similarity, the embedding model's dimensions) with `documentId` as a
+// filter field; see the README.
+const libraryChunkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LibraryDocument',
+    required: true
+  },
+  // Position in the document, from 0
+  index: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    default: undefined
+  }
+});
+
+libraryChunkSchema.index({ documentId: 1, index: 1 });
+
+const LibraryChunk = mongoose.model('LibraryChunk', libraryChunkSchema);
+
+export default LibraryChunk;
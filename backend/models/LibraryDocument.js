@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A document in a user's library. Its text is split into LibraryChunks,
+// each embedded for search; conversations pick the documents they draw on.
+const libraryDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // pdf or text (plain text, Markdown, CSV, source code)
+  kind: {
+    type: String,
+    enum: ['pdf', 'text'],
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  // "provider:model" that embedded the chunks; they are embedded again
+  // when the server is switched to another model
+  embeddingModel: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+libraryDocumentSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to get the document as shown in the library
+libraryDocumentSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    mimeType: this.mimeType,
+    kind: this.kind,
+    size: this.size,
+    chunkCount: this.chunkCount,
+    createdAt: this.createdAt
+  };
+};
+
+const LibraryDocument = mongoose.model('LibraryDocument', libraryDocumentSchema);
+
+export default LibraryDocument;
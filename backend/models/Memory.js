@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const MAX_MEMORY_LENGTH = 500;
+
+// Something the assistant remembers about a user across conversations.
+// Facts picked up from a chat start out proposed and are only used once the
+// user saves them; ones the user adds themselves are saved right away.
+const memorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Memory content is required'],
+    trim: true,
+    maxlength: [MAX_MEMORY_LENGTH, `Memory cannot exceed ${MAX_MEMORY_LENGTH} characters`]
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'saved'],
+    default: 'saved'
+  },
+  // Conversation the fact was picked up from
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+memorySchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// Method to get the memory as shown to its owner
+memorySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    content: this.content,
+    status: this.status,
+    conversationId: this.conversationId,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Memory = mongoose.model('Memory', memorySchema);
+
+export default Memory;
@@ -0,0 +1,236 @@
+import mongoose from 'mongoose';
+import { getDefaultModel } from '../services/llm/index.js';
+
+// Why a reply was rated down, as offered in the feedback form
+export const FEEDBACK_REASONS = ['inaccurate', 'not_helpful', 'incomplete', 'too_long', 'unsafe', 'other'];
+
+const feedbackSchema = new mongoose.Schema({
+  rating: {
+    type: String,
+    enum: {
+      values: ['up', 'down'],
+      message: 'Rating must be either "up" or "down"'
+    },
+    required: [true, 'Rating is required']
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: FEEDBACK_REASONS,
+      message: 'Unknown feedback reason'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// A tool the model asked to run, with its arguments as the JSON text the model wrote
+const toolCallSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  arguments: {
+    type: String,
+    default: '{}'
+  }
+}, {
+  _id: false,
+  id: false
+});
+
+// A passage from the user's library that a reply cites as [number]. The
+// passage is kept so the citation still shows once the document is deleted.
+const citationSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LibraryDocument',
+    required: true
+  },
+  documentName: String,
+  // Position of the passage's chunk in the document
+  chunkIndex: Number,
+  text: String
+}, {
+  _id: false
+});
+
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Owner of the conversation, so search can stay within one user's messages
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'tool'],
+    required: true
+  },
+  // Assistant messages that only call tools have no text
+  content: {
+    type: String,
+    required: function() {
+      return !this.toolCalls?.length;
+    },
+    trim: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Provider-reported usage for the request that produced this reply
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  model: {
+    type: String,
+    default: getDefaultModel
+  },
+  // Message this one follows; null for the first message of a branch from the
+  // start. Messages sharing a parent are alternative branches (edits, regenerations).
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // The user's rating of an assistant reply
+  feedback: feedbackSchema,
+  // Files sent with a user message
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // Tools an assistant message asked to run; each result follows as a tool message
+  toolCalls: [toolCallSchema],
+  // On tool messages, the call they answer and the tool's name
+  toolCallId: String,
+  toolName: String,
+  // Library passages a reply cites
+  citations: {
+    type: [citationSchema],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Walking a branch goes up through parents, showing alternatives looks up children
+messageSchema.index({ conversationId: 1, parentId: 1 });
+// Full-text search, always scoped to one user
+messageSchema.index({ userId: 1, content: 'text' }, { name: 'message_search' });
+// Lets the feedback report skip messages without ratings
+messageSchema.index({ 'feedback.rating': 1 });
+
+// Whether a message is a step towards a reply (a tool call or its result)
+// rather than something the user wrote or was shown as an answer
+export const isToolStep = (msg) => msg.role === 'tool' || msg.toolCalls?.length > 0;
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+// Static method to get the messages of a branch, oldest first, from the
+// first message down to messageId. With a limit, only the newest `limit`
+// of them; `hasMore` tells whether older ones were left out.
+messageSchema.statics.getPath = async function(conversationId, messageId, { limit } = {}) {
+  if (!messageId || !mongoose.isValidObjectId(messageId)) {
+    return { messages: [], hasMore: false };
+  }
+
+  const [node] = await this.aggregate([
+    { $match: { _id: toObjectId(messageId), conversationId: toObjectId(conversationId) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+        restrictSearchWithMatch: { conversationId: toObjectId(conversationId) },
+        // One more than the limit, to know whether there are older messages
+        ...(limit && { maxDepth: limit - 1 })
+      }
+    }
+  ]);
+
+  if (!node) {
+    return { messages: [], hasMore: false };
+  }
+
+  const { ancestors, ...message } = node;
+  const path = [
+    ...ancestors.sort((a, b) => b.depth - a.depth).map(({ depth, ...ancestor }) => ancestor),
+    message
+  ];
+  const hasMore = Boolean(limit) && path.length > limit;
+
+  return {
+    messages: hasMore ? path.slice(path.length - limit) : path,
+    hasMore
+  };
+};
+
+// Static method to add each message's alternatives (itself included) as
+// siblingIds and its position among them, so clients can offer "< 2/3 >"
+messageSchema.statics.withSiblings = async function(conversationId, messages) {
+  if (messages.length === 0) return [];
+
+  const parentIds = [...new Set(messages.map(msg => String(msg.parentId || null)))];
+  const siblings = await this.find({
+    conversationId,
+    parentId: { $in: parentIds.map(id => (id === 'null' ? null : id)) }
+  })
+    .select('_id parentId')
+    .sort({ _id: 1 })
+    .lean();
+
+  const byParent = new Map();
+  siblings.forEach(sibling => {
+    const key = String(sibling.parentId || null);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(sibling._id.toString());
+  });
+
+  return messages.map(msg => {
+    const siblingIds = byParent.get(String(msg.parentId || null)) || [msg._id.toString()];
+    return {
+      ...msg,
+      siblingIds,
+      siblingIndex: siblingIds.indexOf(msg._id.toString())
+    };
+  });
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+// An image sent with a shared message. The file stays the original
+// attachment's and is served through the share while it is active.
+const sharedImageSchema = new mongoose.Schema({
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true
+  },
+  name: String,
+  width: Number,
+  height: Number
+}, {
+  _id: false,
+  id: false
+});
+
+// A public, read-only copy of a conversation's branch up to one message.
+// Later changes to the conversation don't affect it; the owner can revoke it.
+const sharedMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  model: String,
+  timestamp: Date,
+  images: {
+    type: [sharedImageSchema],
+    default: undefined
+  }
+}, {
+  _id: false
+});
+
+const sharedConversationSchema = new mongoose.Schema({
+  // Random, unguessable id used in the public link
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Last message included in the snapshot
+  throughMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  model: String,
+  messages: [sharedMessageSchema],
+  // Shown on the shared page; null when the owner chose to stay anonymous
+  authorName: {
+    type: String,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+sharedConversationSchema.index({ userId: 1, createdAt: -1 });
+
+// Whether an image is part of the share
+sharedConversationSchema.methods.hasImage = function(imageId) {
+  return this.messages.some(msg => msg.images?.some(image => image.id.equals(imageId)));
+};
+
+// Method to get the share as listed for its owner
+sharedConversationSchema.methods.toOwnerJSON = function(url) {
+  return {
+    slug: this.slug,
+    url,
+    conversationId: this.conversationId,
+    throughMessageId: this.throughMessageId,
+    title: this.title,
+    messageCount: this.messages.length,
+    hideAuthor: this.authorName === null,
+    views: this.views,
+    createdAt: this.createdAt
+  };
+};
+
+// Method to get the share as shown on the public page
+sharedConversationSchema.methods.toPublicJSON = function() {
+  return {
+    slug: this.slug,
+    title: this.title,
+    model: this.model,
+    authorName: this.authorName,
+    messages: this.messages,
+    createdAt: this.createdAt
+  };
+};
+
+const SharedConversation = mongoose.model('SharedConversation', sharedConversationSchema);
+
+export default SharedConversation;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Token usage counters per user, one document per day and per month
+const usageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'monthly'],
+    required: true
+  },
+  // UTC date ("2024-05-31") for daily counters, UTC month ("2024-05") for monthly ones
+  key: {
+    type: String,
+    required: true
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  requests: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+usageSchema.index({ userId: 1, period: 1, key: 1 }, { unique: true });
+
+const Usage = mongoose.model('Usage', usageSchema);
+
+export default Usage;
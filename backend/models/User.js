@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const MAX_INSTRUCTIONS_LENGTH = 1500;
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -18,11 +20,35 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Accounts created through an identity provider have no password until
+  // they set one with a reset link
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.identities?.length; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  // Accounts at OpenID Connect providers that sign in as this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    // The provider's stable user id (`sub` claim)
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: function() {
@@ -39,6 +65,34 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Admins can manage users from /api/admin
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // Set by admins; assistants shared with a team are visible to its members
+  team: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters'],
+    default: null
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Consecutive failed logins, reset by a successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -52,16 +106,67 @@ const userSchema = new mongoose.Schema({
     language: {
       type: String,
       default: 'en'
+    },
+    // Whether chats draw on and propose memories (see models/Memory.js)
+    memoryEnabled: {
+      type: Boolean,
+      default: true
+    },
+    // Sent to the model in every conversation started after they're set
+    customInstructions: {
+      aboutUser: {
+        type: String,
+        trim: true,
+        maxlength: [MAX_INSTRUCTIONS_LENGTH, `What the assistant should know about you cannot exceed ${MAX_INSTRUCTIONS_LENGTH} characters`],
+        default: ''
+      },
+      responseStyle: {
+        type: String,
+        trim: true,
+        maxlength: [MAX_INSTRUCTIONS_LENGTH, `How the assistant should respond cannot exceed ${MAX_INSTRUCTIONS_LENGTH} characters`],
+        default: ''
+      }
+    },
+    // Model and temperature of new conversations; empty for the server's defaults
+    defaultModel: {
+      type: String,
+      default: ''
+    },
+    defaultTemperature: {
+      type: Number,
+      min: [0, 'Temperature must be between 0 and 2'],
+      max: [2, 'Temperature must be between 0 and 2'],
+      default: null
+    },
+    // Language replies are written in; empty to answer in the user's language
+    responseLanguage: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Response language cannot exceed 50 characters'],
+      default: ''
+    },
+    // Enter sends a message (Shift+Enter for a new line); otherwise Ctrl/Cmd+Enter does
+    sendOnEnter: {
+      type: Boolean,
+      default: true
     }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
-  
+
+  this.hasPassword = Boolean(this.password);
+  if (!this.password) return next();
+
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -73,13 +178,43 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Failed logins allowed before the account is locked; each further failure
+// doubles the lock, from LOCKOUT_BASE_MS up to LOCKOUT_MAX_MS
+const getLockoutThreshold = () => Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+userSchema.methods.registerFailedLogin = async function() {
+  this.failedLoginAttempts += 1;
+
+  const extraFailures = this.failedLoginAttempts - getLockoutThreshold();
+  if (extraFailures >= 0) {
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** extraFailures, LOCKOUT_MAX_MS);
+    this.lockUntil = new Date(Date.now() + lockMs);
+  }
+
+  await this.save();
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
 // Method to get public profile (without password)
 userSchema.methods.toPublicJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockUntil;
   return userObject;
 };
 
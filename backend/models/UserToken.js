@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens sent by email, e.g. to verify an address or reset a password,
+// and the short-lived codes that finish an identity provider login
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'oidc_login'],
+    required: true
+  },
+  // SHA-256 of the token; only the emailed link contains the token itself
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, type: 1 });
+// Let MongoDB delete tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
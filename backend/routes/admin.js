@@ -0,0 +1,200 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Assistant from '../models/Assistant.js';
+import { auth, requireAdmin } from '../middleware/auth.js';
+import { getUserStats } from '../services/adminStats.js';
+import { revokeUserSessions } from '../services/sessions.js';
+
+const router = express.Router();
+
+// Every admin route needs a signed-in admin
+router.use(auth, requireAdmin);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/admin/users
+// @desc    List users, newest first, with search and filters
+// @access  Admin
+router.get('/users', async (req, res) => {
+  try {
+    const { plan, role, status } = req.query;
+    const search = String(req.query.search || '').trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (plan) query.plan = String(plan);
+    if (role) query.role = String(role);
+    if (status === 'active' || status === 'inactive') query.isActive = status === 'active';
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .select('-password');
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users: users.map(user => user.toPublicJSON()),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their conversation, token and session stats
+// @access  Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      user: user.toPublicJSON(),
+      stats: await getUserStats(user)
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id
+// @desc    Change a user's plan, role, team or active status; deactivating signs them out
+// @access  Admin
+router.put('/users/:id', async (req, res) => {
+  try {
+    const { plan, role, isActive, team } = req.body;
+    const updates = {};
+
+    // Only allow updating specific fields
+    if (plan !== undefined) updates.plan = plan;
+    if (role !== undefined) updates.role = role;
+    if (isActive !== undefined) updates.isActive = Boolean(isActive);
+    if (team !== undefined) updates.team = String(team || '').trim() || null;
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    // Admins can't lock themselves out of the console
+    if (req.user._id.equals(req.params.id) && (updates.role === 'user' || updates.isActive === false)) {
+      return res.status(400).json({
+        error: 'You cannot remove your own admin access or deactivate your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      updates,
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    if (updates.isActive === false) {
+      await revokeUserSessions(user._id);
+    }
+    // Their team assistants move with them
+    if (updates.team !== undefined) {
+      await Assistant.updateMany({ userId: user._id, visibility: 'team' }, { team: user.team });
+    }
+
+    res.json({
+      message: 'User updated successfully',
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Admin update user error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while updating user'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/logout
+// @desc    Sign a user out of every session
+// @access  Admin
+router.post('/users/:id/logout', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
+
+    const result = await revokeUserSessions(user._id);
+
+    res.json({
+      message: 'User signed out of all sessions',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Admin logout user error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while signing user out'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,295 @@
+import express from 'express';
+import Assistant from '../models/Assistant.js';
+import { auth } from '../middleware/auth.js';
+import { isModelAllowed, qualifyModelId } from '../services/llm/index.js';
+import {
+  deleteAssistantAttachments,
+  findKnowledgeFiles,
+  getKnowledgeFiles,
+  setKnowledgeFiles
+} from '../services/attachments.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'description', 'avatar', 'instructions', 'visibility'];
+const SETTINGS_FIELDS = ['temperature', 'maxTokens', 'topP'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check a create or update request before anything is saved; returns an
+// error message, or null if it is fine
+const checkRequest = (body, user) => {
+  if (body.model && !isModelAllowed(body.model)) {
+    return 'Model is not available';
+  }
+  if (body.visibility === 'team' && !user.team) {
+    return 'You are not in a team. Ask an admin to add you to one to share assistants with it.';
+  }
+  if (body.conversationStarters !== undefined && !Array.isArray(body.conversationStarters)) {
+    return 'Conversation starters must be a list';
+  }
+  return null;
+};
+
+// Apply the fields of a create or update request to an assistant
+const applyChanges = (assistant, body, user) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) assistant[field] = body[field];
+  });
+
+  if (body.model !== undefined) {
+    assistant.model = body.model ? qualifyModelId(body.model) : null;
+  }
+  if (body.settings !== undefined) {
+    SETTINGS_FIELDS.forEach(field => {
+      if (body.settings?.[field] !== undefined) assistant.settings[field] = body.settings[field] ?? undefined;
+    });
+  }
+  if (body.conversationStarters !== undefined) {
+    assistant.conversationStarters = body.conversationStarters
+      .map(starter => String(starter).trim())
+      .filter(Boolean);
+  }
+
+  // Team assistants follow the owner's team
+  assistant.team = assistant.visibility === 'team' ? user.team : null;
+};
+
+// Save an assistant with the knowledge files listed in the request, if any
+const saveAssistant = async (assistant, body, user) => {
+  const knowledgeFiles = body.knowledgeFileIds !== undefined
+    ? await findKnowledgeFiles(user._id, assistant._id, body.knowledgeFileIds)
+    : null;
+
+  if (knowledgeFiles) {
+    assistant.knowledgeFiles = knowledgeFiles.map(file => file._id);
+  }
+  await assistant.save();
+  if (knowledgeFiles) {
+    await setKnowledgeFiles(assistant._id, knowledgeFiles);
+  }
+
+  const files = await getKnowledgeFiles(assistant);
+  return assistant.toPublicJSON(user, files.map(file => file.toPublicJSON()));
+};
+
+const sendSaveError = (res, error, action) => {
+  console.error(`${action} assistant error:`, error);
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      error: errors.join(', ')
+    });
+  }
+
+  if (error.name === 'AttachmentError') {
+    return res.status(error.status).json({
+      error: error.message
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Invalid assistant ID'
+    });
+  }
+
+  res.status(500).json({
+    error: `Server error while ${action === 'Create' ? 'creating' : 'updating'} assistant`
+  });
+};
+
+// @route   GET /api/assistants
+// @desc    List the user's assistants or those shared with them
+// @access  Private
+//
+// `scope=mine` lists the user's own, newest first; `scope=explore` (the
+// default) lists public ones and those shared with the user's team, most
+// used first. `search` matches names and descriptions.
+router.get('/', auth, async (req, res) => {
+  try {
+    const scope = req.query.scope === 'mine' ? 'mine' : 'explore';
+    const search = String(req.query.search || '').trim();
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+
+    const conditions = [
+      scope === 'mine'
+        ? { userId: req.user._id }
+        : {
+          $or: [
+            { visibility: 'public' },
+            ...(req.user.team ? [{ visibility: 'team', team: req.user.team }] : [])
+          ]
+        }
+    ];
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+    }
+    const query = { $and: conditions };
+
+    const assistants = await Assistant.find(query)
+      .sort(scope === 'mine' ? { updatedAt: -1 } : { conversationCount: -1, updatedAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .populate('userId', 'username');
+
+    const total = await Assistant.countDocuments(query);
+
+    res.json({
+      assistants: assistants.map(assistant => assistant.toPublicJSON(req.user)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+
+  } catch (error) {
+    console.error('Get assistants error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching assistants'
+    });
+  }
+});
+
+// @route   GET /api/assistants/:id
+// @desc    Get an assistant the user can see
+// @access  Private (instructions, settings and knowledge files for the owner only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const assistant = await Assistant.findById(req.params.id).populate('userId', 'username');
+
+    if (!assistant || !assistant.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        error: 'Assistant not found'
+      });
+    }
+
+    const files = assistant.isOwnedBy(req.user) ? await getKnowledgeFiles(assistant) : [];
+
+    res.json({
+      assistant: assistant.toPublicJSON(req.user, files.map(file => file.toPublicJSON()))
+    });
+
+  } catch (error) {
+    console.error('Get assistant error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid assistant ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while fetching assistant'
+    });
+  }
+});
+
+// @route   POST /api/assistants
+// @desc    Create an assistant
+// @access  Private
+//
+// Knowledge files are uploaded to /api/attachments first and passed as
+// `knowledgeFileIds`.
+router.post('/', auth, async (req, res) => {
+  try {
+    const invalid = checkRequest(req.body, req.user);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    // The name is set up front so the default avatar can use it
+    const assistant = new Assistant({ userId: req.user._id, name: req.body.name });
+    applyChanges(assistant, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Assistant created successfully',
+      assistant: await saveAssistant(assistant, req.body, req.user)
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Create');
+  }
+});
+
+// @route   PUT /api/assistants/:id
+// @desc    Update one of the user's assistants
+// @access  Private
+//
+// `knowledgeFileIds` replaces its knowledge files; files left out are deleted.
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const assistant = await Assistant.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!assistant) {
+      return res.status(404).json({
+        error: 'Assistant not found'
+      });
+    }
+
+    const invalid = checkRequest(req.body, req.user);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    applyChanges(assistant, req.body, req.user);
+
+    res.json({
+      message: 'Assistant updated successfully',
+      assistant: await saveAssistant(assistant, req.body, req.user)
+    });
+
+  } catch (error) {
+    sendSaveError(res, error, 'Update');
+  }
+});
+
+// @route   DELETE /api/assistants/:id
+// @desc    Delete one of the user's assistants and its knowledge files
+// @access  Private
+//
+// Conversations started with it can no longer be continued.
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const assistant = await Assistant.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!assistant) {
+      return res.status(404).json({
+        error: 'Assistant not found'
+      });
+    }
+
+    await deleteAssistantAttachments(assistant._id);
+
+    res.json({
+      message: 'Assistant deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete assistant error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid assistant ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while deleting assistant'
+    });
+  }
+});
+
+export default router;
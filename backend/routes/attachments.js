@@ -0,0 +1,124 @@
+import express from 'express';
+import Attachment from '../models/Attachment.js';
+import { auth } from '../middleware/auth.js';
+import {
+  deleteUnsentAttachment,
+  getAttachmentPath,
+  saveAttachment
+} from '../services/attachments.js';
+
+const router = express.Router();
+
+// Files are sent as the raw request body, up to ATTACHMENT_MAX_SIZE
+let uploadBodyParser;
+const parseUploadBody = (req, res, next) => {
+  if (!uploadBodyParser) {
+    uploadBodyParser = express.raw({ type: () => true, limit: process.env.ATTACHMENT_MAX_SIZE || '10mb' });
+  }
+  uploadBodyParser(req, res, next);
+};
+
+// @route   POST /api/attachments?name=report.pdf
+// @desc    Upload a file to send with a message; the body is the file's contents
+// @access  Private
+router.post('/', auth, parseUploadBody, async (req, res) => {
+  try {
+    const attachment = await saveAttachment(req.user._id, {
+      name: req.query.name,
+      data: Buffer.isBuffer(req.body) ? req.body : null
+    });
+
+    res.status(201).json({
+      message: 'File uploaded',
+      attachment: attachment.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+
+    if (error.name === 'AttachmentError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while uploading file'
+    });
+  }
+});
+
+// @route   GET /api/attachments/:id/content
+// @desc    Download an attached file
+// @access  Private
+router.get('/:id/content', auth, async (req, res) => {
+  try {
+    const attachment = await Attachment.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('-text');
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    res.type(attachment.mimeType);
+    res.download(getAttachmentPath(attachment), attachment.name, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download attachment error:', error);
+        res.status(404).json({
+          error: 'File not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid attachment ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while downloading file'
+    });
+  }
+});
+
+// @route   DELETE /api/attachments/:id
+// @desc    Remove an uploaded file that hasn't been sent yet
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await deleteUnsentAttachment(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'File not found or already sent'
+      });
+    }
+
+    res.json({
+      message: 'File removed'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid attachment ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while removing file'
+    });
+  }
+});
+
+export default router;
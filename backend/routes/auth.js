@@ -1,31 +1,54 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { auth } from '../middleware/auth.js';
+import { accountEmailLimiter, loginLimiter, registerLimiter } from '../middleware/rateLimit.js';
+import {
+  consumeUserToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../services/accountEmails.js';
+import {
+  clearRefreshCookie,
+  createSession,
+  getRefreshToken,
+  issueTokens,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession
+} from '../services/sessions.js';
+import { mergePreferences } from '../services/preferences.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d'
-  });
-};
+// Usernames and emails are looked up as given, so anything else, such as a
+// query object, is refused
+const isTextOrMissing = (...values) => values.every(value => value === undefined || typeof value === 'string');
+
+// Emails are stored trimmed and lowercased; compare and look them up the same way
+const normalizeEmail = (email) => email.trim().toLowerCase();
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, password } = req.body;
 
     // Validation
-    if (!username || !email || !password) {
+    if (!username || !req.body.email || !password) {
       return res.status(400).json({
         error: 'Please provide username, email, and password'
       });
     }
 
+    if (!isTextOrMissing(username, req.body.email)) {
+      return res.status(400).json({
+        error: 'Username and email must be text'
+      });
+    }
+    const email = normalizeEmail(req.body.email);
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -48,8 +71,11 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed email shouldn't fail the signup; the user can ask for another
+    sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+
+    // Start a session for this device
+    const { session, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -57,7 +83,7 @@ router.post('/register', async (req, res) => {
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...issueTokens(res, session, refreshToken),
       user: user.toPublicJSON()
     });
 
@@ -80,7 +106,7 @@ router.post('/register', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -107,17 +133,32 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Refuse locked accounts before checking the password, so guessing
+    // can't continue while the lock lasts
+    if (user.isLocked()) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts. Please try again later or reset your password.',
+        code: 'ACCOUNT_LOCKED',
+        retryAfter
+      });
+    }
+
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
       return res.status(401).json({
         error: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    user.resetLoginAttempts();
+
+    // Start a session for this device
+    const { session, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -125,7 +166,7 @@ router.post('/login', async (req, res) => {
 
     res.json({
       message: 'Login successful',
-      token,
+      ...issueTokens(res, session, refreshToken),
       user: user.toPublicJSON()
     });
 
@@ -156,21 +197,35 @@ router.get('/me', auth, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
+//
+// `preferences` are merged into the current ones; see services/preferences.js.
 router.put('/profile', auth, async (req, res) => {
   try {
-    const { username, email, preferences } = req.body;
+    const { username, preferences } = req.body;
     const updates = {};
 
+    if (!isTextOrMissing(username, req.body.email)) {
+      return res.status(400).json({
+        error: 'Username and email must be text'
+      });
+    }
+    const email = req.body.email ? normalizeEmail(req.body.email) : '';
+
     // Only allow updating specific fields
     if (username) updates.username = username;
-    if (email) updates.email = email;
-    if (preferences) updates.preferences = { ...req.user.preferences, ...preferences };
+    if (email && email !== req.user.email) {
+      // A new address has to be verified again
+      updates.email = email;
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
+    if (preferences) updates.preferences = mergePreferences(req.user.toObject().preferences, preferences);
 
     // Check if username or email already exists
-    if (username || email) {
+    if (username || updates.email) {
       const existingUser = await User.findOne({
         $or: [
-          ...(email ? [{ email }] : []),
+          ...(updates.email ? [{ email: updates.email }] : []),
           ...(username ? [{ username }] : [])
         ],
         _id: { $ne: req.user._id }
@@ -178,7 +233,7 @@ router.put('/profile', auth, async (req, res) => {
 
       if (existingUser) {
         return res.status(400).json({
-          error: existingUser.email === email 
+          error: existingUser.email === updates.email
             ? 'Email already registered' 
             : 'Username already taken'
         });
@@ -191,6 +246,10 @@ router.put('/profile', auth, async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (updates.email) {
+      sendVerificationEmail(updatedUser).catch(error => console.error('Verification email error:', error));
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser.toPublicJSON()
@@ -198,7 +257,13 @@ router.put('/profile', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Update profile error:', error);
-    
+
+    if (error.name === 'PreferencesError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -212,13 +277,61 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const currentToken = getRefreshToken(req);
+
+    if (!currentToken) {
+      return res.status(401).json({
+        error: 'Refresh token is required'
+      });
+    }
+
+    const rotated = await rotateSession(currentToken, req);
+
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.isActive) {
+      await revokeSession(session._id);
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        error: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...issueTokens(res, session, refreshToken),
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
 router.post('/logout', auth, async (req, res) => {
   try {
-    // In a more advanced setup, you might want to blacklist the token
-    // For now, we'll just return a success message
+    await revokeSession(req.session._id);
+    clearRefreshCookie(res);
+
     res.json({
       message: 'Logged out successfully'
     });
@@ -230,4 +343,295 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify the user's email address with the token from the email
+// @access  Public
+router.post('/verify-email', accountEmailLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Verification token is required'
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'email_verification');
+    const user = userId && await User.findById(userId);
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', auth, accountEmailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        error: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', accountEmailLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Please provide your email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer either way, so the form can't be used to find accounts
+    res.json({
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post('/reset-password', accountEmailLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const user = await User.findById(await consumeUserToken(token, 'password_reset'));
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.resetLoginAttempts();
+    // The reset link was emailed, so the address is confirmed too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id);
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change or set the password; other sessions are signed out
+// @access  Private
+router.put('/password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    // Accounts created through an identity provider set their first password
+    // without a current one
+    if ((req.user.hasPassword && !currentPassword) || !newPassword) {
+      return res.status(400).json({
+        error: 'Please provide your current and new password'
+      });
+    }
+
+    // req.user was loaded without the password hash
+    const user = await User.findById(req.user._id);
+    const isPasswordValid = !user.hasPassword || await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        error: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const result = await revokeUserSessions(user._id, { exceptSessionId: req.session._id });
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while changing password'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => session.toPublicJSON(req.session._id))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id);
+    if (session._id.equals(req.session._id)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid session ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all of the current user's sessions, or all others with ?exceptCurrent=true
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    const result = await revokeUserSessions(req.user._id, {
+      exceptSessionId: exceptCurrent ? req.session._id : undefined
+    });
+    if (!exceptCurrent) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Server error while revoking sessions'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
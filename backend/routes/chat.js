@@ -0,0 +1,609 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Conversation, { DEFAULT_SETTINGS } from '../models/Conversation.js';
+import Assistant from '../models/Assistant.js';
+import { isToolStep } from '../models/Message.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { chatLimiter } from '../middleware/rateLimit.js';
+import {
+  getAllowedModels,
+  getDefaultModel,
+  isModelAllowed,
+  qualifyModelId,
+  resolveModel,
+  supportsTools,
+  supportsVision
+} from '../services/llm/index.js';
+import { findExceededQuota, recordUsage, toQuotaExceededResponse } from '../services/usage.js';
+import { buildContext, getContextBudget } from '../services/context.js';
+import { buildAttachmentContext, buildLibraryContext, findCitations } from '../services/retrieval.js';
+import { getConversationSources, searchLibrary } from '../services/library.js';
+import { getMemoryPrompt, isMemoryEnabled, tryProposeMemories } from '../services/memory.js';
+import { buildCustomInstructions, getNewConversationDefaults } from '../services/preferences.js';
+import {
+  findSendableAttachments,
+  getAttachments,
+  getKnowledgeFiles,
+  linkAttachments,
+  readImagePart
+} from '../services/attachments.js';
+import {
+  getMaxToolIterations,
+  getRequestTools,
+  listTools,
+  runToolCall,
+  toToolDefinitions
+} from '../services/tools/index.js';
+
+const router = express.Router();
+
+// Images from earlier in a branch sent again with their messages, newest first
+const MAX_HISTORY_IMAGES = 10;
+
+// Give the history messages that were sent with images their image parts,
+// up to MAX_HISTORY_IMAGES in all
+const addHistoryImages = async (history, attachments) => {
+  const images = new Map(attachments
+    .filter(attachment => attachment.kind === 'image')
+    .map(attachment => [String(attachment._id), attachment]));
+  let remaining = MAX_HISTORY_IMAGES;
+
+  for (const msg of [...history].reverse()) {
+    if (remaining === 0) break;
+    const ids = (msg.attachments || []).map(String).filter(id => images.has(id)).slice(0, remaining);
+    if (ids.length === 0) continue;
+
+    msg.images = await Promise.all(ids.map(id => readImagePart(images.get(id))));
+    remaining -= ids.length;
+  }
+};
+
+// Map provider failures to a status code and client-facing message
+const getAIErrorResponse = (error) => {
+  const status = error.status || error.response?.status;
+
+  if (status === 401) {
+    return { status: 401, error: "Invalid AI provider API key" };
+  }
+
+  if (status === 429) {
+    return { status: 429, error: "Rate limit exceeded. Please try again later." };
+  }
+
+  return { status: 500, error: "Something went wrong with the AI service" };
+};
+
+// Used when a provider doesn't report token counts
+const EMPTY_USAGE = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+const addUsage = (total, usage) => ({
+  promptTokens: total.promptTokens + usage.promptTokens,
+  completionTokens: total.completionTokens + usage.completionTokens,
+  totalTokens: total.totalTokens + usage.totalTokens
+});
+
+// Collect a streamed completion, passing text on as it arrives. `onStart`
+// runs once the first chunk is in.
+const readStream = async (chunks, { onStart, onDelta }) => {
+  const iterator = chunks[Symbol.asyncIterator]();
+  let next = await iterator.next();
+  onStart();
+
+  const completion = { content: '', toolCalls: [], usage: EMPTY_USAGE };
+  while (!next.done) {
+    const { content, toolCalls, usage } = next.value;
+    if (content) {
+      completion.content += content;
+      onDelta(content);
+    }
+    if (toolCalls) {
+      completion.toolCalls = toolCalls;
+    }
+    if (usage) {
+      completion.usage = usage;
+    }
+    next = await iterator.next();
+  }
+
+  return completion;
+};
+
+// Get the model's reply, running the tools it calls and sending their
+// results back until it answers. After getMaxToolIterations() rounds of
+// calls, tools are switched off so it has to answer with what it has.
+// With `stream`, progress is reported through the callbacks. Resolves with
+// { reply, replyUsage, usage, steps }: the final text and its usage, the
+// usage of every round added up, and the tool calls and results as
+// messages to save before the reply.
+const generateReply = async ({ provider, options, tools, toolContext, stream, signal, callbacks = {} }) => {
+  const { onStart = () => {}, onDelta = () => {}, onToolCalls = () => {}, onToolResult = () => {} } = callbacks;
+  const messages = [...options.messages];
+  const steps = [];
+  let usage = EMPTY_USAGE;
+
+  for (let round = 0; ; round++) {
+    const canCallTools = tools.length > 0 && round < getMaxToolIterations();
+    const request = {
+      ...options,
+      messages,
+      ...(tools.length > 0 && {
+        tools: toToolDefinitions(tools),
+        toolChoice: canCallTools ? 'auto' : 'none'
+      })
+    };
+    const completion = stream
+      ? await readStream(provider.stream({ ...request, signal }), { onStart, onDelta })
+      : await provider.complete(request);
+    const stepUsage = completion.usage || EMPTY_USAGE;
+    usage = addUsage(usage, stepUsage);
+
+    // Calls past the limit are ignored, even from providers that make them anyway
+    const toolCalls = canCallTools ? completion.toolCalls || [] : [];
+    if (toolCalls.length === 0 || signal?.aborted) {
+      return { reply: completion.content, replyUsage: stepUsage, usage, steps };
+    }
+
+    const callStep = { role: 'assistant', content: completion.content, toolCalls, usage: stepUsage };
+    steps.push(callStep);
+    messages.push({ role: 'assistant', content: completion.content, toolCalls });
+    onToolCalls(callStep);
+
+    for (const call of toolCalls) {
+      const result = await runToolCall(call, tools, toolContext);
+      const resultStep = { role: 'tool', content: result, toolCallId: call.id, toolName: call.name };
+      steps.push(resultStep);
+      messages.push({ role: 'tool', content: result, toolCallId: call.id, name: call.name });
+      onToolResult(resultStep);
+    }
+  }
+};
+
+// Save a reply after the tool calls and results that led to it. The first
+// message goes under parentId when given, the rest follow one another.
+const saveReply = async (conversation, { steps, reply, modelId, usage, citations, parentId }) => {
+  let placement = parentId !== undefined ? { parentId } : {};
+
+  for (const { role, content, ...fields } of steps) {
+    await conversation.addMessage(role, content, modelId, { ...placement, ...fields });
+    placement = {};
+  }
+  await conversation.addMessage('assistant', reply, modelId, { ...placement, usage, citations });
+};
+
+// Persist a user message (with the files sent with it) and the AI reply
+// under parentId, titling new conversations. A regenerated reply is added
+// next to the earlier ones under the existing user message (parentId) instead.
+// `usage` is that of the final answer; tool call steps carry their own.
+const saveExchange = async (conversation, { message, attachments, steps, reply, citations, parentId, regenerate, modelId, usage }) => {
+  if (regenerate) {
+    await saveReply(conversation, { steps, reply, modelId, usage, citations, parentId });
+    return;
+  }
+
+  const isFirstExchange = conversation.messageCount === 0;
+  await conversation.addMessage('user', message, modelId, {
+    parentId,
+    attachments: attachments.map(attachment => attachment._id)
+  });
+  await linkAttachments(attachments, conversation._id);
+  await saveReply(conversation, { steps, reply, modelId, usage, citations });
+
+  if (isFirstExchange) {
+    await conversation.updateTitleFromFirstMessage();
+  }
+};
+
+// Write a single Server-Sent Event to the response
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   GET /api/chat/models
+// @desc    List the models users can pick, the tools and the default settings
+// @access  Public
+router.get('/models', (req, res) => {
+  // Only offer models whose provider is configured on this server
+  const models = getAllowedModels().filter(modelId => resolveModel(modelId));
+
+  res.json({
+    models,
+    // Of those, the ones that accept images and the ones that can call tools
+    visionModels: models.filter(supportsVision),
+    toolModels: models.filter(supportsTools),
+    tools: listTools().map(({ name, title, description, requiresUser = false }) => ({ name, title, description, requiresUser })),
+    defaultModel: qualifyModelId(getDefaultModel()),
+    defaultSettings: DEFAULT_SETTINGS
+  });
+});
+
+// @route   POST /api/chat
+// @desc    Send a message to the AI and get its reply
+// @access  Public (conversation is only saved for its owner)
+//
+// Messages form a tree. `parentMessageId` picks the message to reply under
+// (default: end of the active branch, null: start a new first message), so
+// editing a message is sending a new one under the edited message's parent.
+// With `regenerate: true`, `parentMessageId` is a user message and a new
+// reply to it is added alongside the existing ones; `message` is not needed.
+//
+// `attachmentIds` (signed-in users) sends uploaded files with the message.
+// Files sent earlier in the branch stay available: the parts most relevant
+// to the message are added to the prompt. Images are sent to the model as
+// image parts of their messages, and only to vision-capable models; sending
+// one to another model is an error.
+//
+// The custom instructions the user had when the conversation started come
+// first in the system prompt; without a saved conversation, their current
+// ones and their default model and temperature apply. In a conversation
+// started with an assistant, its instructions come next, before the
+// conversation's system prompt, and its knowledge files are searched like
+// attached files.
+//
+// When the conversation draws on documents from the user's library
+// (`librarySources`), the passages closest to the message are numbered in
+// the prompt and the model is asked to cite them as [n]. The reply's
+// `citations` are the passages it cited.
+//
+// Unless the user turned memory off or the chat is temporary, what the
+// assistant remembers about a signed-in user goes into the system prompt,
+// and new facts from the exchange are picked out as `memories` (proposals
+// for the user to save or dismiss, see routes/memory.js).
+//
+// Models that support it may call tools (see services/tools) before
+// answering: all of them, or those named in `tools` (`[]` for none). Each
+// round of calls and their results is saved as messages between the user
+// message and the reply.
+//
+// Pass `stream: true` to receive the reply as Server-Sent Events:
+//   delta       - { content } for each token chunk
+//   tool_calls  - { content, toolCalls } when the model calls tools
+//   tool_result - { content, toolCallId, toolName } as each call finishes
+//   done        - { reply, conversationId, messageId, model, usage, citations } once the reply is complete and saved
+//   memories    - { memories } facts proposed from the exchange, after done and before the stream closes
+//   error       - { error } if the AI service fails mid-stream
+router.post('/', optionalAuth, chatLimiter, async (req, res) => {
+  try {
+    const { conversationId, parentMessageId, regenerate = false, stream = false, attachmentIds = [], tools: toolNames } = req.body;
+    let { message } = req.body;
+
+    if (!message && !regenerate) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    if (toolNames !== undefined && !Array.isArray(toolNames)) {
+      return res.status(400).json({ error: "Tools must be a list of tool names" });
+    }
+
+    if (attachmentIds.length > 0 && !req.user) {
+      return res.status(401).json({ error: "Log in to attach files" });
+    }
+
+    // Only the signed-in owner can continue a conversation; anonymous chats aren't saved
+    if ((conversationId || regenerate) && !req.user) {
+      return res.status(401).json({ error: "Log in to continue a saved conversation" });
+    }
+
+    // Load the conversation if conversationId is provided
+    let conversation = null;
+    if (conversationId) {
+      if (!mongoose.isValidObjectId(conversationId)) {
+        return res.status(400).json({ error: "Invalid conversation ID" });
+      }
+
+      conversation = await Conversation.findOne({
+        _id: conversationId,
+        userId: req.user._id
+      });
+
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+    }
+
+    if (regenerate && !conversation) {
+      return res.status(400).json({ error: "Regenerating requires a saved conversation" });
+    }
+
+    // Find the branch being replied to
+    let history = [];
+    let parentId = null;
+    let earlierAttachments = [];
+    let regeneratedAttachmentIds = [];
+    if (conversation) {
+      parentId = parentMessageId !== undefined ? parentMessageId : conversation.currentMessageId;
+      history = parentId ? await conversation.getMessagePath(parentId) : [];
+
+      if (parentId && history.length === 0) {
+        return res.status(400).json({ error: "Parent message not found" });
+      }
+
+      earlierAttachments = await getAttachments(
+        conversation.userId,
+        history.flatMap(msg => msg.attachments || [])
+      );
+
+      if (regenerate) {
+        const userMessage = history.pop();
+        if (userMessage?.role !== 'user') {
+          return res.status(400).json({ error: "Only replies to user messages can be regenerated" });
+        }
+        message = userMessage.content;
+        regeneratedAttachmentIds = (userMessage.attachments || []).map(String);
+        parentId = userMessage._id;
+      }
+    }
+
+    // The conversation's model picks the provider; otherwise use the user's or the configured default
+    const newConversationDefaults = getNewConversationDefaults(req.user?.preferences);
+    const requestedModel = conversation?.model || newConversationDefaults.model || getDefaultModel();
+    if (!isModelAllowed(requestedModel)) {
+      return res.status(400).json({ error: "Model is not available" });
+    }
+
+    const resolvedModel = resolveModel(requestedModel);
+    if (!resolvedModel) {
+      return res.status(400).json({ error: "Unknown or unconfigured model provider" });
+    }
+
+    const { provider, model, id: modelId } = resolvedModel;
+
+    // Models that can't call tools are only sent the replies, not the steps to them
+    if (!supportsTools(modelId)) {
+      history = history.filter(msg => !isToolStep(msg));
+    }
+
+    let assistant = null;
+    if (conversation?.assistantId) {
+      assistant = await Assistant.findById(conversation.assistantId);
+      if (!assistant || !assistant.isVisibleTo(req.user)) {
+        return res.status(403).json({
+          error: "The assistant this chat uses is no longer available. Start a new chat to continue.",
+          code: 'ASSISTANT_UNAVAILABLE'
+        });
+      }
+    }
+
+    // Enforce the signed-in user's plan limits before calling the provider
+    if (req.user) {
+      const exceeded = await findExceededQuota(req.user);
+      if (exceeded) {
+        const retryAfter = Math.ceil((exceeded.resetAt - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json(toQuotaExceededResponse(req.user, exceeded));
+      }
+    }
+
+    const attachments = regenerate
+      ? []
+      : await findSendableAttachments(req.user?._id, conversation?._id || null, attachmentIds);
+
+    // Images going with the message; when regenerating, those of the message being answered
+    const imageAttachments = (regenerate
+      ? earlierAttachments.filter(attachment => regeneratedAttachmentIds.includes(String(attachment._id)))
+      : attachments
+    ).filter(attachment => attachment.kind === 'image');
+
+    if (imageAttachments.length > 0 && !supportsVision(modelId)) {
+      return res.status(400).json({
+        error: `${modelId} can't read images. Switch to a model that supports images, or remove them.`,
+        code: 'IMAGES_NOT_SUPPORTED'
+      });
+    }
+
+    const images = await Promise.all(imageAttachments.map(readImagePart));
+    if (supportsVision(modelId)) {
+      await addHistoryImages(history, earlierAttachments);
+    }
+
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      ...(conversation ? conversation.settings?.toObject() : newConversationDefaults.settings)
+    };
+    settings.systemPrompt = [
+      conversation ? conversation.customInstructions : buildCustomInstructions(req.user?.preferences),
+      assistant?.instructions,
+      settings.systemPrompt
+    ].filter(Boolean).join('\n\n');
+
+    const useMemory = isMemoryEnabled(req.user, conversation);
+    if (useMemory) {
+      settings.systemPrompt = [settings.systemPrompt, await getMemoryPrompt(req.user._id)].filter(Boolean).join('\n\n');
+    }
+
+    const budget = getContextBudget({ modelId, settings, message, images });
+    if (budget < 0) {
+      return res.status(400).json({
+        error: images.length > 0
+          ? "Message and images are too large for this model's context window"
+          : "Message is too long for this model's context window"
+      });
+    }
+
+    // Files sent earlier in the branch, then the new ones, and the
+    // assistant's knowledge. Their most relevant parts take up to half of
+    // what's left of the context window.
+    const contextAttachments = [...earlierAttachments, ...attachments]
+      .filter((attachment, index, list) => list.findIndex(other => other._id.equals(attachment._id)) === index);
+    const attachmentContext = buildAttachmentContext({
+      attachments: contextAttachments,
+      knowledge: assistant ? await getKnowledgeFiles(assistant, { withText: true }) : [],
+      query: message,
+      budget
+    });
+
+    // Passages from the library documents the conversation draws on, in
+    // what's left after the files
+    const libraryContext = buildLibraryContext({
+      passages: await searchLibrary(await getConversationSources(conversation), message, { userId: req.user._id }),
+      budget: budget - attachmentContext.tokens
+    });
+
+    // Fit as much history as the model allows, summarizing what doesn't fit
+    const { messages, summaryUsage } = await buildContext({
+      conversation,
+      history,
+      message,
+      images,
+      attachmentContext: [attachmentContext.content, libraryContext.content].filter(Boolean).join('\n\n'),
+      settings,
+      provider,
+      model,
+      modelId,
+      budget: budget - attachmentContext.tokens - libraryContext.tokens
+    });
+    if (summaryUsage && req.user) {
+      await recordUsage(req.user._id, summaryUsage);
+    }
+
+    const completionOptions = {
+      model,
+      messages,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      topP: settings.topP
+    };
+
+    const tools = supportsTools(modelId) ? getRequestTools(toolNames, req.user) : [];
+    const toolContext = { user: req.user || null, conversation };
+
+    // Facts to remember from the exchange, once their tokens are counted
+    const proposeFromExchange = (reply) => tryProposeMemories({ user: req.user, conversation, message, reply, provider, model })
+      .then(async (proposal) => {
+        if (proposal.usage) {
+          await recordUsage(req.user._id, proposal.usage);
+        }
+        return proposal.memories.map(memory => memory.toPublicJSON());
+      })
+      .catch((error) => {
+        console.error('Memory proposal usage error:', error);
+        return [];
+      });
+
+    // Save the exchange and count the tokens once the whole reply is in.
+    // The model looks for facts to remember in it meanwhile; `proposing`
+    // resolves with them (or is null) so the reply doesn't wait for them.
+    const finish = async ({ reply, replyUsage, usage, steps }) => {
+      const citations = findCitations(reply, libraryContext.sources);
+      const proposing = useMemory && !regenerate ? proposeFromExchange(reply) : null;
+
+      if (conversation) {
+        await saveExchange(conversation, {
+          message,
+          attachments,
+          steps,
+          reply,
+          citations,
+          parentId,
+          regenerate,
+          modelId,
+          usage: replyUsage
+        });
+      }
+      if (req.user) {
+        await recordUsage(req.user._id, usage);
+      }
+
+      return {
+        result: {
+          reply,
+          conversationId: conversationId || null,
+          messageId: conversation?.currentMessageId || null,
+          model: modelId,
+          usage,
+          citations
+        },
+        proposing
+      };
+    };
+
+    if (stream) {
+      const abortController = new AbortController();
+
+      // Headers go out with the first chunk, so connection and auth failures
+      // still get a regular JSON error response with the right status code
+      const startStream = () => {
+        if (res.headersSent) return;
+
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Stop pulling tokens if the client goes away
+        res.on('close', () => {
+          if (!res.writableEnded) {
+            abortController.abort();
+          }
+        });
+      };
+
+      let result;
+      try {
+        result = await generateReply({
+          provider,
+          options: completionOptions,
+          tools,
+          toolContext,
+          stream: true,
+          signal: abortController.signal,
+          callbacks: {
+            onStart: startStream,
+            onDelta: (content) => sendEvent(res, 'delta', { content }),
+            onToolCalls: ({ content, toolCalls }) => sendEvent(res, 'tool_calls', { content, toolCalls }),
+            onToolResult: ({ content, toolCallId, toolName }) => sendEvent(res, 'tool_result', { content, toolCallId, toolName })
+          }
+        });
+      } catch (error) {
+        if (!res.headersSent) throw error;
+        if (res.destroyed) return;
+        console.error("AI stream error:", error);
+        sendEvent(res, 'error', { error: getAIErrorResponse(error).error });
+        return res.end();
+      }
+
+      const { result: done, proposing } = await finish(result);
+      sendEvent(res, 'done', done);
+
+      const memories = proposing ? await proposing : [];
+      if (memories.length > 0 && !res.destroyed) {
+        sendEvent(res, 'memories', { memories });
+      }
+      return res.end();
+    }
+
+    const result = await generateReply({
+      provider,
+      options: completionOptions,
+      tools,
+      toolContext,
+      stream: false
+    });
+
+    // Without a stream, proposals are only listed in GET /api/memory
+    res.json((await finish(result)).result);
+  } catch (error) {
+    if (error.name === 'AttachmentError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("AI API Error:", error);
+
+    const { status, error: errorMessage } = getAIErrorResponse(error);
+
+    // Headers are already out once streaming has started
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        sendEvent(res, 'error', { error: errorMessage });
+        res.end();
+      }
+      return;
+    }
+
+    res.status(status).json({ error: errorMessage });
+  }
+});
+
+export default router;
@@ -1,9 +1,41 @@
 import express from 'express';
 import Conversation from '../models/Conversation.js';
+import Assistant from '../models/Assistant.js';
+import Message from '../models/Message.js';
+import SharedConversation from '../models/SharedConversation.js';
 import { auth } from '../middleware/auth.js';
+import { isValidDay } from '../services/feedback.js';
+import { isModelAllowed, qualifyModelId } from '../services/llm/index.js';
+import { findMatchingConversationIds, searchConversations } from '../services/search.js';
+import {
+  EXPORT_TYPES,
+  getConversationMessages,
+  getExportFileName,
+  toHtml,
+  toJsonExport,
+  toMarkdown
+} from '../services/conversationExport.js';
+import { importConversations, parseImportFile } from '../services/conversationImport.js';
+import { deleteConversationAttachments, withAttachments } from '../services/attachments.js';
+import { findLibraryDocuments } from '../services/library.js';
+import { buildCustomInstructions, getNewConversationDefaults } from '../services/preferences.js';
 
 const router = express.Router();
 
+const SETTINGS_FIELDS = ['temperature', 'maxTokens', 'topP', 'systemPrompt'];
+
+// Messages returned per page of a conversation
+const MESSAGES_PAGE_SIZE = 50;
+const MAX_MESSAGES_PAGE_SIZE = 200;
+
+// Pick the supported settings fields out of a request body
+const pickSettings = (settings = {}) => {
+  return SETTINGS_FIELDS.reduce((picked, field) => {
+    if (settings[field] !== undefined) picked[field] = settings[field];
+    return picked;
+  }, {});
+};
+
 // @route   GET /api/conversations
 // @desc    Get all conversations for current user
 // @access  Private
@@ -16,19 +48,16 @@ router.get('/', auth, async (req, res) => {
       isArchived: archived === 'true'
     };
 
-    // Add search functionality
+    // Add search functionality (titles, tags and message text)
     if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { 'messages.content': { $regex: search, $options: 'i' } }
-      ];
+      query._id = { $in: await findMatchingConversationIds(req.user._id, String(search)) };
     }
 
     const conversations = await Conversation.find(query)
       .sort({ updatedAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('title messageCount lastMessage createdAt updatedAt isArchived isPinned tags');
+      .select('title messageCount lastMessage createdAt updatedAt isArchived isPinned tags assistantId');
 
     const total = await Conversation.countDocuments(query);
 
@@ -50,13 +79,47 @@ router.get('/', auth, async (req, res) => {
 // @route   POST /api/conversations
 // @desc    Create a new conversation
 // @access  Private
+//
+// With `assistantId`, the conversation starts with that assistant's model
+// and settings (unless given), and its instructions apply to every reply.
+// `librarySourceIds` picks documents from the user's library to draw on.
+// `temporary: true` starts a chat that doesn't use or add to the user's memory.
+//
+// Otherwise the model and temperature are the user's defaults, and the
+// user's custom instructions are kept with the conversation for every reply.
 router.post('/', auth, async (req, res) => {
   try {
-    const { title, initialMessage } = req.body;
+    const { title, initialMessage, settings, assistantId, librarySourceIds = [], temporary = false } = req.body;
+
+    let assistant = null;
+    if (assistantId) {
+      assistant = await Assistant.findById(assistantId);
+      if (!assistant || !assistant.isVisibleTo(req.user)) {
+        return res.status(404).json({
+          error: 'Assistant not found'
+        });
+      }
+    }
+
+    const defaults = getNewConversationDefaults(req.user.preferences);
+    const model = req.body.model ?? (assistant?.model && isModelAllowed(assistant.model) ? assistant.model : defaults.model);
+    if (model !== undefined && !isModelAllowed(model)) {
+      return res.status(400).json({
+        error: 'Model is not available'
+      });
+    }
+
+    const librarySources = await findLibraryDocuments(req.user._id, librarySourceIds);
 
     const conversation = new Conversation({
       userId: req.user._id,
-      title: title || 'New Chat'
+      title: title || 'New Chat',
+      ...(model !== undefined && { model: qualifyModelId(model) }),
+      settings: { ...defaults.settings, ...pickSettings(assistant?.settings?.toObject()), ...pickSettings(settings) },
+      assistantId: assistant?._id || null,
+      librarySources: librarySources.map(document => document._id),
+      customInstructions: buildCustomInstructions(req.user.preferences),
+      temporary
     });
 
     // Add initial message if provided
@@ -66,6 +129,9 @@ router.post('/', auth, async (req, res) => {
     }
 
     await conversation.save();
+    if (assistant) {
+      await Assistant.updateOne({ _id: assistant._id }, { $inc: { conversationCount: 1 } });
+    }
 
     res.status(201).json({
       message: 'Conversation created successfully',
@@ -75,6 +141,12 @@ router.post('/', auth, async (req, res) => {
   } catch (error) {
     console.error('Create conversation error:', error);
     
+    if (error.name === 'LibraryError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -82,12 +154,127 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid assistant ID'
+      });
+    }
+
     res.status(500).json({
       error: 'Server error while creating conversation'
     });
   }
 });
 
+// Export files are much larger than other requests, so the import route
+// parses its own body (server.js skips it) with IMPORT_MAX_SIZE as the limit
+let importBodyParser;
+const parseImportBody = (req, res, next) => {
+  if (!importBodyParser) {
+    importBodyParser = express.json({ limit: process.env.IMPORT_MAX_SIZE || '50mb' });
+  }
+  importBodyParser(req, res, next);
+};
+
+// @route   POST /api/conversations/import
+// @desc    Import conversations from our JSON export or ChatGPT's conversations.json
+// @access  Private
+router.post('/import', auth, parseImportBody, async (req, res) => {
+  try {
+    const conversations = parseImportFile(req.body);
+    const imported = await importConversations(req.user._id, conversations);
+
+    res.status(201).json({
+      message: `Imported ${imported.conversations} conversation${imported.conversations === 1 ? '' : 's'}`,
+      imported
+    });
+
+  } catch (error) {
+    console.error('Import conversations error:', error);
+
+    if (error.name === 'ImportError') {
+      return res.status(400).json({
+        error: error.message
+      });
+    }
+
+    if (error.name === 'AttachmentError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while importing conversations'
+    });
+  }
+});
+
+// "true" or "false" from a query string; anything else means no filter
+const parseBooleanFilter = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+// @route   GET /api/conversations/search
+// @desc    Full-text search over titles, tags and messages, with snippets
+// @access  Private
+router.get('/search', auth, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const { tag, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+    if (!q) {
+      return res.status(400).json({
+        error: 'Search query is required'
+      });
+    }
+
+    if (q.length > 200) {
+      return res.status(400).json({
+        error: 'Search query cannot exceed 200 characters'
+      });
+    }
+
+    if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+      return res.status(400).json({
+        error: 'Dates must use the YYYY-MM-DD format'
+      });
+    }
+
+    const { results, total } = await searchConversations(req.user._id, {
+      q,
+      tag: tag ? String(tag) : undefined,
+      from,
+      to,
+      pinned: parseBooleanFilter(req.query.pinned),
+      archived: parseBooleanFilter(req.query.archived),
+      page,
+      limit
+    });
+
+    res.json({
+      results,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
+      query: q
+    });
+
+  } catch (error) {
+    console.error('Search conversations error:', error);
+    res.status(500).json({
+      error: 'Server error while searching conversations'
+    });
+  }
+});
+
 // @route   GET /api/conversations/:id
 // @desc    Get a specific conversation with messages
 // @access  Private
@@ -123,19 +310,86 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/conversations/:id/export
+// @desc    Download a conversation as JSON (all branches), Markdown or HTML (active branch)
+// @access  Private
+router.get('/:id/export', auth, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'json');
+    const type = EXPORT_TYPES[format];
+
+    if (!type) {
+      return res.status(400).json({
+        error: `Format must be one of: ${Object.keys(EXPORT_TYPES).join(', ')}`
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).lean();
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const messages = await getConversationMessages(conversation._id);
+    const body = format === 'json'
+      ? JSON.stringify(toJsonExport([{ conversation, messages }]), null, 2)
+      : format === 'markdown'
+        ? toMarkdown(conversation, messages)
+        : toHtml(conversation, messages);
+
+    res.attachment(getExportFileName(conversation, type.extension));
+    res.type(`${type.contentType}; charset=utf-8`);
+    res.send(body);
+
+  } catch (error) {
+    console.error('Export conversation error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while exporting conversation'
+    });
+  }
+});
+
 // @route   PUT /api/conversations/:id
-// @desc    Update conversation (title, tags, settings)
+// @desc    Update conversation (title, tags, model, settings, library sources, temporary)
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { title, tags, isArchived, isPinned, settings } = req.body;
+    const { title, tags, isArchived, isPinned, model, settings, librarySourceIds, temporary } = req.body;
     const updates = {};
 
+    if (model !== undefined && !isModelAllowed(model)) {
+      return res.status(400).json({
+        error: 'Model is not available'
+      });
+    }
+
     if (title !== undefined) updates.title = title;
     if (tags !== undefined) updates.tags = tags;
     if (isArchived !== undefined) updates.isArchived = isArchived;
     if (isPinned !== undefined) updates.isPinned = isPinned;
-    if (settings !== undefined) updates.settings = { ...updates.settings, ...settings };
+    if (temporary !== undefined) updates.temporary = temporary;
+    if (model !== undefined) updates.model = qualifyModelId(model);
+    if (librarySourceIds !== undefined) {
+      const documents = await findLibraryDocuments(req.user._id, librarySourceIds);
+      updates.librarySources = documents.map(document => document._id);
+    }
+
+    // Update individual settings so fields that aren't sent keep their values
+    Object.entries(pickSettings(settings)).forEach(([field, value]) => {
+      updates[`settings.${field}`] = value;
+    });
 
     const conversation = await Conversation.findOneAndUpdate(
       {
@@ -160,6 +414,12 @@ router.put('/:id', auth, async (req, res) => {
   } catch (error) {
     console.error('Update conversation error:', error);
     
+    if (error.name === 'LibraryError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -195,6 +455,14 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await Message.deleteMany({ conversationId: conversation._id });
+    await deleteConversationAttachments(conversation._id);
+    // Its share links stop working along with it
+    await SharedConversation.updateMany(
+      { conversationId: conversation._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
     res.json({
       message: 'Conversation deleted successfully'
     });
@@ -214,6 +482,68 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/conversations/:id/messages
+// @desc    Get a page of the active branch's messages, newest page first
+// @access  Private
+//
+// Without `before` the page ends at the newest message of the active branch.
+// Pass the oldest message of a page as `before` for the messages above it,
+// on that message's branch. Each message lists its siblingIds (alternative
+// edits or regenerations) for branch navigation.
+router.get('/:id/messages', auth, async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGES_PAGE_SIZE, 1), MAX_MESSAGES_PAGE_SIZE);
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('_id currentMessageId');
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    let endId = conversation.currentMessageId;
+    if (before) {
+      const cursor = await Message.findOne({
+        _id: String(before),
+        conversationId: conversation._id
+      }).select('parentId');
+
+      if (!cursor) {
+        return res.status(404).json({
+          error: 'Message not found'
+        });
+      }
+      endId = cursor.parentId;
+    }
+
+    const { messages, hasMore } = await Message.getPath(conversation._id, endId, { limit });
+
+    res.json({
+      messages: await withAttachments(await Message.withSiblings(conversation._id, messages)),
+      hasMore,
+      nextCursor: hasMore ? messages[0]._id : null
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation or message ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while fetching messages'
+    });
+  }
+});
+
 // @route   POST /api/conversations/:id/messages
 // @desc    Add a message to conversation
 // @access  Private
@@ -233,6 +563,12 @@ router.post('/:id/messages', auth, async (req, res) => {
       });
     }
 
+    if (model !== undefined && !isModelAllowed(model)) {
+      return res.status(400).json({
+        error: 'Model is not available'
+      });
+    }
+
     const conversation = await Conversation.findOne({
       _id: req.params.id,
       userId: req.user._id
@@ -244,10 +580,10 @@ router.post('/:id/messages', auth, async (req, res) => {
       });
     }
 
-    await conversation.addMessage(role, content, model);
+    await conversation.addMessage(role, content, model === undefined ? undefined : qualifyModelId(model));
     
     // Update title from first user message if it's the first message
-    if (conversation.messages.length === 1) {
+    if (conversation.messageCount === 1) {
       await conversation.updateTitleFromFirstMessage();
     }
 
@@ -278,48 +614,177 @@ router.post('/:id/messages', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/conversations/search
-// @desc    Search conversations
+// @route   PUT /api/conversations/:id/branch
+// @desc    Switch the active branch to the one containing a message
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.put('/:id/branch', auth, async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { messageId } = req.body;
 
-    if (!q) {
+    if (!messageId) {
       return res.status(400).json({
-        error: 'Search query is required'
+        error: 'Message ID is required'
       });
     }
 
-    const query = {
-      userId: req.user._id,
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { 'messages.content': { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } }
-      ]
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const target = await Message.findOne({
+      _id: messageId,
+      conversationId: conversation._id
+    }).select('_id');
+
+    if (!target) {
+      return res.status(404).json({
+        error: 'Message not found'
+      });
+    }
+
+    // A message already on the active branch keeps it; otherwise continue
+    // down the newest replies so the whole branch is shown
+    const activePath = await conversation.getMessagePath();
+    if (!activePath.some(msg => msg._id.equals(target._id))) {
+      conversation.currentMessageId = await conversation.getLatestLeafId(target._id);
+      await conversation.save();
+    }
+
+    res.json({
+      message: 'Branch switched successfully',
+      conversation
+    });
+
+  } catch (error) {
+    console.error('Switch branch error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while switching branch'
+    });
+  }
+});
+
+// Find an assistant message of one of the user's conversations for rating
+const findRatableMessage = async (req, res) => {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user._id
+  });
+
+  if (!conversation) {
+    res.status(404).json({
+      error: 'Conversation not found'
+    });
+    return {};
+  }
+
+  const message = await Message.findOne({
+    _id: req.params.messageId,
+    conversationId: conversation._id
+  });
+
+  if (!message) {
+    res.status(404).json({
+      error: 'Message not found'
+    });
+    return {};
+  }
+
+  if (message.role !== 'assistant') {
+    res.status(400).json({
+      error: 'Only assistant messages can be rated'
+    });
+    return {};
+  }
+
+  return { conversation, message };
+};
+
+// @route   PUT /api/conversations/:id/messages/:messageId/feedback
+// @desc    Rate an assistant message, replacing any earlier rating
+// @access  Private
+router.put('/:id/messages/:messageId/feedback', auth, async (req, res) => {
+  try {
+    const { rating, reason, comment } = req.body;
+
+    const { message } = await findRatableMessage(req, res);
+    if (!message) return;
+
+    message.feedback = {
+      rating,
+      // A reason explains what was wrong, so it only applies to bad ratings
+      reason: rating === 'down' && reason ? reason : undefined,
+      comment: comment || undefined,
+      updatedAt: new Date()
     };
+    await message.save();
 
-    const conversations = await Conversation.find(query)
-      .sort({ updatedAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('title messageCount lastMessage createdAt updatedAt isArchived isPinned tags');
+    res.json({
+      message: 'Feedback saved successfully',
+      feedback: message.feedback
+    });
 
-    const total = await Conversation.countDocuments(query);
+  } catch (error) {
+    console.error('Save feedback error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while saving feedback'
+    });
+  }
+});
+
+// @route   DELETE /api/conversations/:id/messages/:messageId/feedback
+// @desc    Remove the rating of an assistant message
+// @access  Private
+router.delete('/:id/messages/:messageId/feedback', auth, async (req, res) => {
+  try {
+    const { message } = await findRatableMessage(req, res);
+    if (!message) return;
+
+    message.feedback = undefined;
+    await message.save();
 
     res.json({
-      conversations,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total,
-      query: q
+      message: 'Feedback removed successfully'
     });
 
   } catch (error) {
-    console.error('Search conversations error:', error);
+    console.error('Remove feedback error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation ID'
+      });
+    }
+
     res.status(500).json({
-      error: 'Server error while searching conversations'
+      error: 'Server error while removing feedback'
     });
   }
 });
@@ -0,0 +1,102 @@
+import express from 'express';
+import ExportJob from '../models/ExportJob.js';
+import { auth } from '../middleware/auth.js';
+import { exportLimiter } from '../middleware/rateLimit.js';
+import { getExportPath, startExport } from '../services/dataExport.js';
+
+const router = express.Router();
+
+// Exports listed for the user, newest first
+const RECENT_EXPORTS = 5;
+
+// @route   POST /api/exports
+// @desc    Start building a zip of all the user's data
+// @access  Private
+router.post('/', auth, exportLimiter, async (req, res) => {
+  try {
+    const job = await startExport(req.user._id);
+
+    if (!job) {
+      return res.status(409).json({
+        error: 'An export is already being prepared'
+      });
+    }
+
+    res.status(202).json({
+      message: 'Export started',
+      export: job.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Start export error:', error);
+    res.status(500).json({
+      error: 'Server error while starting export'
+    });
+  }
+});
+
+// @route   GET /api/exports
+// @desc    List the user's recent exports and their status
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ userId: req.user._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_EXPORTS);
+
+    res.json({
+      exports: jobs.map(job => job.toPublicJSON())
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching exports'
+    });
+  }
+});
+
+// @route   GET /api/exports/:id/download
+// @desc    Download a finished export
+// @access  Private
+router.get('/:id/download', auth, async (req, res) => {
+  try {
+    const job = await ExportJob.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      status: 'ready',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Export not found or expired'
+      });
+    }
+
+    const day = job.completedAt.toISOString().slice(0, 10);
+    res.download(getExportPath(job), `chatgpt-clone-export-${day}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error('Download export error:', error);
+        res.status(404).json({
+          error: 'Export not found or expired'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download export error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid export ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while downloading export'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import { auth, requireAdmin } from '../middleware/auth.js';
+import { getFeedbackReport, isValidDay } from '../services/feedback.js';
+import { qualifyModelId } from '../services/llm/index.js';
+
+const router = express.Router();
+
+// @route   GET /api/feedback/report
+// @desc    Get aggregated message ratings by model and by day
+// @access  Admin
+router.get('/report', auth, requireAdmin, async (req, res) => {
+  try {
+    const { from, to, model } = req.query;
+
+    if ((from && !isValidDay(from)) || (to && !isValidDay(to))) {
+      return res.status(400).json({
+        error: 'Dates must use the YYYY-MM-DD format'
+      });
+    }
+
+    const report = await getFeedbackReport({
+      from,
+      to,
+      model: model ? qualifyModelId(model) : undefined
+    });
+
+    res.json({
+      report
+    });
+
+  } catch (error) {
+    console.error('Get feedback report error:', error);
+    res.status(500).json({
+      error: 'Server error while building feedback report'
+    });
+  }
+});
+
+export default router;
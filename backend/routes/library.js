@@ -0,0 +1,151 @@
+import express from 'express';
+import LibraryDocument from '../models/LibraryDocument.js';
+import LibraryChunk from '../models/LibraryChunk.js';
+import { auth } from '../middleware/auth.js';
+import { addLibraryDocument, deleteLibraryDocument } from '../services/library.js';
+import { findExceededQuota, toQuotaExceededResponse } from '../services/usage.js';
+
+const router = express.Router();
+
+// Files are sent as the raw request body, up to ATTACHMENT_MAX_SIZE
+let uploadBodyParser;
+const parseUploadBody = (req, res, next) => {
+  if (!uploadBodyParser) {
+    uploadBodyParser = express.raw({ type: () => true, limit: process.env.ATTACHMENT_MAX_SIZE || '10mb' });
+  }
+  uploadBodyParser(req, res, next);
+};
+
+// @route   GET /api/library
+// @desc    List the documents in the user's library, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const documents = await LibraryDocument.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      documents: documents.map(document => document.toPublicJSON())
+    });
+
+  } catch (error) {
+    console.error('Get library error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching library'
+    });
+  }
+});
+
+// @route   POST /api/library?name=handbook.pdf
+// @desc    Add a file to the library; the body is the file's contents
+// @access  Private
+//
+// The file's text is split into passages and each is embedded for search
+// before the response is sent; the file itself isn't kept.
+router.post('/', auth, parseUploadBody, async (req, res) => {
+  try {
+    // Embedding a document uses the same token quota as chatting
+    const exceeded = await findExceededQuota(req.user);
+    if (exceeded) {
+      res.set('Retry-After', String(Math.ceil((exceeded.resetAt - Date.now()) / 1000)));
+      return res.status(429).json(toQuotaExceededResponse(req.user, exceeded));
+    }
+
+    const document = await addLibraryDocument(req.user._id, {
+      name: req.query.name,
+      data: Buffer.isBuffer(req.body) ? req.body : null
+    });
+
+    res.status(201).json({
+      message: 'Document added to library',
+      document: document.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Add library document error:', error);
+
+    if (error.name === 'LibraryError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while adding document'
+    });
+  }
+});
+
+// @route   GET /api/library/:id
+// @desc    Get a library document with its passages, in order
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const document = await LibraryDocument.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const chunks = await LibraryChunk.find({ documentId: document._id })
+      .select('index text')
+      .sort({ index: 1 })
+      .lean();
+
+    res.json({
+      document: document.toPublicJSON(),
+      passages: chunks.map(chunk => ({ index: chunk.index, text: chunk.text }))
+    });
+
+  } catch (error) {
+    console.error('Get library document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid document ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while fetching document'
+    });
+  }
+});
+
+// @route   DELETE /api/library/:id
+// @desc    Remove a document from the library
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await deleteLibraryDocument(req.user._id, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      message: 'Document removed from library'
+    });
+
+  } catch (error) {
+    console.error('Delete library document error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid document ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while removing document'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,183 @@
+import express from 'express';
+import Memory from '../models/Memory.js';
+import { auth } from '../middleware/auth.js';
+import { addMemory, checkMemoryLimit, getMaxMemories } from '../services/memory.js';
+
+const router = express.Router();
+
+// @route   GET /api/memory
+// @desc    List what the assistant remembers about the user and the facts waiting to be saved, newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const memories = await Memory.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      memories: memories.filter(memory => memory.status === 'saved').map(memory => memory.toPublicJSON()),
+      proposals: memories.filter(memory => memory.status === 'proposed').map(memory => memory.toPublicJSON()),
+      limit: getMaxMemories()
+    });
+
+  } catch (error) {
+    console.error('Get memory error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching memory'
+    });
+  }
+});
+
+// @route   POST /api/memory
+// @desc    Add a memory
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const memory = await addMemory(req.user._id, req.body.content);
+
+    res.status(201).json({
+      message: 'Memory saved',
+      memory: memory.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Add memory error:', error);
+
+    if (error.name === 'MemoryError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while saving memory'
+    });
+  }
+});
+
+// @route   PUT /api/memory/:id
+// @desc    Edit a memory, or save a proposed one with `status: 'saved'`
+// @access  Private
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { content, status } = req.body;
+
+    if (status !== undefined && status !== 'saved') {
+      return res.status(400).json({
+        error: 'Memories can only be saved'
+      });
+    }
+
+    const memory = await Memory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        error: 'Memory not found'
+      });
+    }
+
+    if (status === 'saved' && memory.status === 'proposed') {
+      await checkMemoryLimit(req.user._id);
+      memory.status = 'saved';
+    }
+    if (content !== undefined) memory.content = content;
+
+    await memory.save();
+
+    res.json({
+      message: 'Memory updated',
+      memory: memory.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Update memory error:', error);
+
+    if (error.name === 'MemoryError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        error: errors.join(', ')
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid memory ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while updating memory'
+    });
+  }
+});
+
+// @route   DELETE /api/memory/:id
+// @desc    Forget a memory, or dismiss a proposed one
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const memory = await Memory.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!memory) {
+      return res.status(404).json({
+        error: 'Memory not found'
+      });
+    }
+
+    res.json({
+      message: 'Memory deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete memory error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid memory ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while deleting memory'
+    });
+  }
+});
+
+// @route   DELETE /api/memory
+// @desc    Forget everything, proposals included
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const { deletedCount } = await Memory.deleteMany({ userId: req.user._id });
+
+    res.json({
+      message: 'Memory cleared',
+      deletedCount
+    });
+
+  } catch (error) {
+    console.error('Clear memory error:', error);
+    res.status(500).json({
+      error: 'Server error while clearing memory'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { loginLimiter } from '../middleware/rateLimit.js';
+import { consumeUserToken, getClientUrl } from '../services/accountEmails.js';
+import {
+  completeAuthRequest,
+  createAuthRequest,
+  getAuthorizationUrl,
+  getProvider,
+  listProviders
+} from '../services/oidc.js';
+import { createLoginCode, findOrCreateOidcUser } from '../services/oidcUsers.js';
+import { createSession, issueTokens } from '../services/sessions.js';
+
+const router = express.Router();
+
+// Holds the state, nonce and PKCE verifier while the user is at the provider
+const AUTH_REQUEST_COOKIE = 'oidcAuthRequest';
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000;
+
+// The callback is a top-level navigation from the provider's site, so the
+// cookie has to be sent cross-site: sameSite lax, not strict
+const getCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+});
+
+// Where the provider sends the user back; must be registered with it
+const getRedirectUri = (req, provider) => {
+  const baseUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${baseUrl}/api/auth/oidc/${provider.id}/callback`;
+};
+
+// Send the browser to the frontend's /auth/callback page with a login code or an error
+const redirectToClient = (res, params) => {
+  res.clearCookie(AUTH_REQUEST_COOKIE, getCookieOptions());
+  res.redirect(`${getClientUrl()}/auth/callback?${new URLSearchParams(params)}`);
+};
+
+// @route   GET /api/auth/oidc/providers
+// @desc    Identity providers users can sign in with
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// @route   GET /api/auth/oidc/:provider/start
+// @desc    Redirect to the provider's login page (authorization code flow with PKCE)
+// @access  Public
+router.get('/:provider/start', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      error: 'Unknown identity provider'
+    });
+  }
+
+  try {
+    const authRequest = createAuthRequest();
+    const authorizationUrl = await getAuthorizationUrl(provider, authRequest, getRedirectUri(req, provider));
+
+    const cookie = jwt.sign({ provider: provider.id, ...authRequest }, process.env.JWT_SECRET, {
+      expiresIn: AUTH_REQUEST_TTL_MS / 1000
+    });
+    res.cookie(AUTH_REQUEST_COOKIE, cookie, { ...getCookieOptions(), maxAge: AUTH_REQUEST_TTL_MS });
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    redirectToClient(res, { error: `Could not reach ${provider.name}. Please try again later.` });
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Finish a provider login and hand the frontend a one-time login code
+// @access  Public
+router.get('/:provider/callback', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      error: 'Unknown identity provider'
+    });
+  }
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error) {
+      return redirectToClient(res, {
+        error: error === 'access_denied'
+          ? `Sign-in with ${provider.name} was cancelled.`
+          : `${provider.name} refused the sign-in: ${errorDescription || error}`
+      });
+    }
+
+    let authRequest;
+    try {
+      authRequest = jwt.verify(req.cookies?.[AUTH_REQUEST_COOKIE] || '', process.env.JWT_SECRET);
+    } catch (cookieError) {
+      authRequest = null;
+    }
+
+    if (!authRequest || authRequest.provider !== provider.id || !code || state !== authRequest.state) {
+      return redirectToClient(res, { error: 'Your sign-in attempt expired. Please try again.' });
+    }
+
+    const claims = await completeAuthRequest(
+      provider,
+      { code: String(code), codeVerifier: authRequest.codeVerifier, nonce: authRequest.nonce },
+      getRedirectUri(req, provider)
+    );
+    const user = await findOrCreateOidcUser(provider, claims);
+
+    if (!user.isActive) {
+      return redirectToClient(res, { error: 'Account is deactivated' });
+    }
+
+    redirectToClient(res, { code: await createLoginCode(user._id) });
+
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      return redirectToClient(res, { error: error.message });
+    }
+
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: `Sign-in with ${provider.name} failed. Please try again.` });
+  }
+});
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange a login code from the callback for tokens
+// @access  Public
+router.post('/exchange', loginLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Login code is required'
+      });
+    }
+
+    const user = await User.findById(await consumeUserToken(code, 'oidc_login'));
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Login code is invalid or has expired. Please sign in again.'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        error: 'Account is deactivated'
+      });
+    }
+
+    // Start a session for this device
+    const { session, refreshToken } = await createSession(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Login successful',
+      ...issueTokens(res, session, refreshToken),
+      user: user.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({
+      error: 'Server error during login'
+    });
+  }
+});
+
+export default router;
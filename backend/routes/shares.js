@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import path from 'path';
+import express from 'express';
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.js';
+import Conversation from '../models/Conversation.js';
+import Message, { isToolStep } from '../models/Message.js';
+import SharedConversation from '../models/SharedConversation.js';
+import { auth } from '../middleware/auth.js';
+import { getClientUrl } from '../services/accountEmails.js';
+import { saveImportedConversation } from '../services/conversationImport.js';
+import { getAttachmentPath, getAttachments, readImages } from '../services/attachments.js';
+
+const router = express.Router();
+
+// 16 random bytes, 22 characters in the link
+const SLUG_BYTES = 16;
+
+const getShareUrl = (share) => `${getClientUrl()}/share/${share.slug}`;
+
+// A share that is still public
+const findActiveShare = (slug) => SharedConversation.findOne({ slug, revokedAt: null });
+
+// @route   POST /api/shares
+// @desc    Share a conversation up to a message (default: the newest one of the active branch)
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { conversationId, messageId, hideAuthor = false } = req.body;
+
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      userId: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        error: 'Conversation not found'
+      });
+    }
+
+    const throughMessageId = messageId || conversation.currentMessageId;
+    const { messages } = await Message.getPath(conversation._id, throughMessageId);
+
+    if (messages.length === 0) {
+      return res.status(400).json({
+        error: messageId ? 'Message not found in this conversation' : 'Cannot share an empty conversation'
+      });
+    }
+
+    // Images go with the messages they were sent with; other files stay private
+    const images = (await getAttachments(req.user._id, messages.flatMap(msg => msg.attachments || [])))
+      .filter(attachment => attachment.kind === 'image');
+    const getImages = (msg) => {
+      const msgImages = images
+        .filter(image => (msg.attachments || []).some(id => image._id.equals(id)))
+        .map(image => ({ id: image._id, name: image.name, width: image.width, height: image.height }));
+      return msgImages.length > 0 ? msgImages : undefined;
+    };
+
+    const share = await SharedConversation.create({
+      slug: crypto.randomBytes(SLUG_BYTES).toString('base64url'),
+      userId: req.user._id,
+      conversationId: conversation._id,
+      throughMessageId,
+      title: conversation.title,
+      model: conversation.model,
+      // Tool calls and results stay private; only the replies are shared
+      messages: messages
+        .filter(msg => !isToolStep(msg))
+        .map(msg => ({
+          role: msg.role,
+          content: msg.content,
+          model: msg.model,
+          timestamp: msg.timestamp,
+          images: getImages(msg)
+        })),
+      authorName: hideAuthor ? null : req.user.username
+    });
+
+    res.status(201).json({
+      message: 'Share link created',
+      share: share.toOwnerJSON(getShareUrl(share))
+    });
+
+  } catch (error) {
+    console.error('Create share error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation or message ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while creating share link'
+    });
+  }
+});
+
+// @route   GET /api/shares
+// @desc    List the user's share links, newest first (optionally for one conversation)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+
+    const query = { userId: req.user._id, revokedAt: null };
+    if (conversationId) {
+      query.conversationId = conversationId;
+    }
+
+    const shares = await SharedConversation.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      shares: shares.map(share => share.toOwnerJSON(getShareUrl(share)))
+    });
+
+  } catch (error) {
+    console.error('Get shares error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        error: 'Invalid conversation ID'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Server error while fetching share links'
+    });
+  }
+});
+
+// @route   DELETE /api/shares/:slug
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/:slug', auth, async (req, res) => {
+  try {
+    const share = await SharedConversation.findOneAndUpdate(
+      { slug: req.params.slug, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!share) {
+      return res.status(404).json({
+        error: 'Share link not found'
+      });
+    }
+
+    res.json({
+      message: 'Share link revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({
+      error: 'Server error while revoking share link'
+    });
+  }
+});
+
+// @route   GET /api/shares/:slug
+// @desc    View a shared conversation
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const share = await findActiveShare(req.params.slug);
+
+    if (!share) {
+      return res.status(404).json({
+        error: 'This shared link does not exist or has been removed'
+      });
+    }
+
+    await SharedConversation.updateOne({ _id: share._id }, { $inc: { views: 1 } });
+
+    res.json({
+      share: share.toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Get shared conversation error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching shared conversation'
+    });
+  }
+});
+
+// @route   GET /api/shares/:slug/images/:imageId
+// @desc    View an image of a shared conversation
+// @access  Public
+router.get('/:slug/images/:imageId', async (req, res) => {
+  try {
+    const share = await findActiveShare(req.params.slug);
+    const attachment = share && mongoose.isValidObjectId(req.params.imageId) && share.hasImage(req.params.imageId)
+      ? await Attachment.findById(req.params.imageId).select('-text')
+      : null;
+
+    if (!attachment) {
+      return res.status(404).json({
+        error: 'Image not found'
+      });
+    }
+
+    res.type(attachment.mimeType);
+    res.sendFile(path.resolve(getAttachmentPath(attachment)), (error) => {
+      if (error && !res.headersSent) {
+        console.error('Get shared image error:', error);
+        res.status(404).json({
+          error: 'Image not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Get shared image error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching image'
+    });
+  }
+});
+
+// @route   POST /api/shares/:slug/fork
+// @desc    Copy a shared conversation into the user's own chats to continue it
+// @access  Private
+router.post('/:slug/fork', auth, async (req, res) => {
+  try {
+    const share = await findActiveShare(req.params.slug);
+
+    if (!share) {
+      return res.status(404).json({
+        error: 'This shared link does not exist or has been removed'
+      });
+    }
+
+    const now = new Date();
+    const conversation = await saveImportedConversation(req.user._id, {
+      title: share.title,
+      model: share.model,
+      createdAt: now,
+      updatedAt: now,
+      // The images are copied into the user's own files
+      messages: await Promise.all(share.messages.map(async (msg, index) => ({
+        key: String(index),
+        parentKey: index > 0 ? String(index - 1) : null,
+        role: msg.role,
+        content: msg.content,
+        model: msg.model,
+        timestamp: msg.timestamp || now,
+        images: (await readImages((msg.images || []).map(image => image.id)))
+          .map(({ attachment, data }) => ({ name: attachment.name, data }))
+      })))
+    });
+
+    res.status(201).json({
+      message: 'Conversation copied to your chats',
+      conversation: conversation.getSummary()
+    });
+
+  } catch (error) {
+    console.error('Fork shared conversation error:', error);
+
+    if (error.name === 'AttachmentError') {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      error: 'Server error while continuing shared conversation'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import { getUsageSummary } from '../services/usage.js';
+
+const router = express.Router();
+
+// @route   GET /api/usage
+// @desc    Get the current user's token usage and plan limits
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user);
+
+    res.json({
+      usage
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching usage'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+// Move messages embedded in conversations into the Message collection, then
+// fill in each conversation's messageCount and lastMessage. Safe to run
+// again: messages keep their ids, so ones already moved are left alone.
+//
+//   npm run migrate-messages
+//   npm run migrate-messages -- --dry-run
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Characters of the newest message kept on the conversation, as in the model
+const LAST_MESSAGE_PREVIEW_LENGTH = 200;
+
+// Messages saved before branching existed have no parentId; they form a
+// single branch in the order they were added
+const linkLegacyMessages = (messages) => {
+  let previous = null;
+  return messages.map(msg => {
+    const parentId = msg.parentId !== undefined ? msg.parentId : previous?._id || null;
+    previous = msg;
+    return { ...msg, parentId };
+  });
+};
+
+const migrateConversation = async (conversation) => {
+  const messages = linkLegacyMessages(conversation.messages);
+  const last = messages[messages.length - 1];
+
+  if (!dryRun) {
+    // Raw writes keep the stored timestamps as they are
+    await Message.collection.bulkWrite(messages.map(({ _id, ...msg }) => ({
+      updateOne: {
+        filter: { _id },
+        update: {
+          $setOnInsert: {
+            ...msg,
+            conversationId: conversation._id,
+            userId: conversation.userId
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    await Conversation.collection.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          currentMessageId: conversation.currentMessageId || last._id,
+          messageCount: messages.length,
+          lastMessage: {
+            messageId: last._id,
+            role: last.role,
+            content: last.content.substring(0, LAST_MESSAGE_PREVIEW_LENGTH),
+            timestamp: last.timestamp
+          }
+        },
+        $unset: { messages: '' }
+      }
+    );
+  }
+
+  return messages.length;
+};
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/chatgpt_clone');
+
+  // Read the raw documents; the Conversation schema no longer has `messages`
+  const cursor = Conversation.collection.find({ 'messages.0': { $exists: true } });
+  let conversations = 0;
+  let messages = 0;
+
+  for await (const conversation of cursor) {
+    messages += await migrateConversation(conversation);
+    conversations++;
+  }
+
+  // Conversations without messages still need the counter
+  if (!dryRun) {
+    await Conversation.collection.updateMany(
+      { messageCount: { $exists: false } },
+      { $set: { messageCount: 0 }, $unset: { messages: '' } }
+    );
+
+    // Replace the old search index over embedded messages and build the new ones
+    await Conversation.syncIndexes();
+    await Message.syncIndexes();
+  }
+
+  console.log(`${dryRun ? '🔍 Would move' : '✅ Moved'} ${messages} messages from ${conversations} conversations`);
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,178 @@
+// Minimal OpenID Connect provider for trying out and testing "Continue with"
+// logins locally. Any client id and secret are accepted; the login page lets
+// you choose the email and whether the provider vouches for it.
+//
+//   npm run mock-oidc
+//
+// and in .env:
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:9400
+//   OIDC_MOCK_CLIENT_ID=chatgpt-clone
+//   OIDC_MOCK_NAME=Mock SSO
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Same email, same subject, so signing in again finds the linked account
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login page: shows the request's parameters as hidden fields
+app.get('/authorize', (req, res) => {
+  const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, code_challenge_method: method } = req.query;
+
+  if (responseType !== 'code' || !clientId || !redirectUri) {
+    return res.status(400).send('response_type=code, client_id and redirect_uri are required');
+  }
+  if (method !== 'S256') {
+    return res.status(400).send('PKCE with code_challenge_method=S256 is required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html>
+<head><title>Mock SSO</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto">
+  <h2>Mock SSO</h2>
+  <p>Signing in to <code>${escapeHtml(clientId)}</code></p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" value="jane@example.com" required style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" value="Jane Doe" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email is verified</label></p>
+    <p>
+      <button type="submit">Sign in</button>
+      <button type="submit" name="deny" value="1">Cancel</button>
+    </p>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+  const redirect = new URL(redirectUri);
+
+  if (state) redirect.searchParams.set('state', state);
+
+  if (req.body.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const email = String(req.body.email).toLowerCase().trim();
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: req.body.email_verified === 'on',
+      name: req.body.name || undefined,
+      preferred_username: email.split('@')[0]
+    }
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+// Client id from HTTP Basic or the body; secrets aren't checked
+const getClientId = (req) => {
+  const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Basic' && credentials) {
+    return decodeURIComponent(Buffer.from(credentials, 'base64').toString().split(':')[0]);
+  }
+  return req.body.client_id;
+};
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri || grant.clientId !== getClientId(req)) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: grant.clientId,
+      expiresIn: '5m'
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const claims = accessTokens.get((req.get('authorization') || '').replace('Bearer ', ''));
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
@@ -0,0 +1,39 @@
+// Give a user the admin role, or take it away again. The first admin has to
+// be made this way; after that admins can manage roles from the console.
+//
+//   npm run set-role -- jane@example.com admin
+//   npm run set-role -- jane@example.com user
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const [email, role = 'admin'] = process.argv.slice(2);
+
+if (!email || !['user', 'admin'].includes(role)) {
+  console.error('Usage: npm run set-role -- <email> [admin|user]');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/chatgpt_clone');
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user with the email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.username} <${user.email}> is now ${role === 'admin' ? 'an admin' : 'a regular user'}`);
+  }
+} catch (error) {
+  console.error('❌ Could not update the role:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
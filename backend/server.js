@@ -1,38 +1,74 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import mongoose from 'mongoose';
-import OpenAI from 'openai';
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import oidcRoutes from './routes/oidc.js';
 import conversationRoutes from './routes/conversations.js';
+import chatRoutes from './routes/chat.js';
+import usageRoutes from './routes/usage.js';
+import feedbackRoutes from './routes/feedback.js';
+import adminRoutes from './routes/admin.js';
+import exportRoutes from './routes/exports.js';
+import shareRoutes from './routes/shares.js';
+import attachmentRoutes from './routes/attachments.js';
+import assistantRoutes from './routes/assistants.js';
+import libraryRoutes from './routes/library.js';
+import memoryRoutes from './routes/memory.js';
+
+// Import middleware
+import { apiLimiter } from './middleware/rateLimit.js';
 
 // Import models
 import User from './models/User.js';
-import Conversation from './models/Conversation.js';
 
 dotenv.config();
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For so rate
+// limits apply per client rather than to the proxy (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Credentials let the browser send the refresh token cookie
+app.use(cors({
+  origin: process.env.CLIENT_URL ? process.env.CLIENT_URL.split(',') : true,
+  credentials: true,
+  // Let the frontend read how long to wait after a 429, and download file names
+  exposedHeaders: ['Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Content-Disposition']
+}));
+// Imports parse their own, larger bodies (see routes/conversations.js)
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path === '/api/conversations/import' ? next() : jsonParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/chatgpt_clone')
   .then(() => console.log("✅ MongoDB connected"))
   .catch(err => console.error("❌ MongoDB connection error:", err));
 
-// OpenAI Setup
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
 // Routes
+app.use('/api', apiLimiter);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/feedback', feedbackRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/assistants', assistantRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/memory', memoryRoutes);
 
 // Root Route
 app.get('/', (req, res) => {
@@ -42,85 +78,20 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       conversations: '/api/conversations',
-      chat: '/api/chat'
+      chat: '/api/chat',
+      usage: '/api/usage',
+      feedback: '/api/feedback',
+      admin: '/api/admin',
+      exports: '/api/exports',
+      shares: '/api/shares',
+      attachments: '/api/attachments',
+      assistants: '/api/assistants',
+      library: '/api/library',
+      memory: '/api/memory'
     }
   });
 });
 
-// Enhanced Chat API Route with conversation support
-app.post('/api/chat', async (req, res) => {
-  try {
-    const { message, conversationId, userId } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ error: "Message is required" });
-    }
-
-    // Get conversation context if conversationId is provided
-    let conversationContext = [];
-    if (conversationId && userId) {
-      const conversation = await Conversation.findOne({
-        _id: conversationId,
-        userId: userId
-      });
-      
-      if (conversation) {
-        // Get last 10 messages for context
-        const recentMessages = conversation.messages.slice(-10);
-        conversationContext = recentMessages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        }));
-      }
-    }
-
-    // Prepare messages for OpenAI
-    const messages = [
-      ...conversationContext,
-      { role: "user", content: message }
-    ];
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: messages,
-      max_tokens: 1000,
-      temperature: 0.7,
-    });
-
-    const aiResponse = completion.choices[0].message.content;
-
-    // Save to conversation if conversationId is provided
-    if (conversationId && userId) {
-      const conversation = await Conversation.findOne({
-        _id: conversationId,
-        userId: userId
-      });
-      
-      if (conversation) {
-        await conversation.addMessage('user', message);
-        await conversation.addMessage('assistant', aiResponse);
-      }
-    }
-
-    res.json({ 
-      reply: aiResponse,
-      conversationId: conversationId || null
-    });
-  } catch (error) {
-    console.error("OpenAI API Error:", error);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({ error: "Invalid OpenAI API key" });
-    }
-    
-    if (error.response?.status === 429) {
-      return res.status(429).json({ error: "Rate limit exceeded. Please try again later." });
-    }
-    
-    res.status(500).json({ error: "Something went wrong with the AI service" });
-  }
-});
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -133,6 +104,13 @@ app.get('/api/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser errors (too large, malformed JSON) are the client's
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: err.status === 413 ? 'Request body is too large' : err.message
+    });
+  }
+
   console.error('Unhandled error:', err);
   res.status(500).json({
     error: 'Internal server error',
@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+import { sendMail } from './mail/index.js';
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Links in emails point at the frontend, the first origin in CLIENT_URL
+export const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').split(',')[0].replace(/\/$/, '');
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Issue a token of the given type, replacing the user's unused ones so only
+// the newest emailed link works
+const createUserToken = async (userId, type) => {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+  });
+
+  return token;
+};
+
+// Mark a token as used and resolve with its user id, or null when it is
+// unknown, expired or was already used
+export const consumeUserToken = async (token, type) => {
+  const record = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() }
+  );
+
+  return record?.userId || null;
+};
+
+const sendLinkEmail = ({ user, subject, intro, link, action, outro }) => sendMail({
+  to: user.email,
+  subject,
+  text: `Hi ${user.username},\n\n${intro}\n\n${link}\n\n${outro}`,
+  html: `<p>Hi ${escapeHtml(user.username)},</p>` +
+    `<p>${intro}</p>` +
+    `<p><a href="${link}">${action}</a></p>` +
+    `<p>${outro}</p>`
+});
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email_verification');
+
+  await sendLinkEmail({
+    user,
+    subject: 'Verify your email address',
+    intro: 'Please confirm your email address by opening this link:',
+    link: `${getClientUrl()}/verify-email?token=${token}`,
+    action: 'Verify email address',
+    outro: 'The link expires in 24 hours. If you didn\'t create an account, you can ignore this email.'
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user._id, 'password_reset');
+
+  await sendLinkEmail({
+    user,
+    subject: 'Reset your password',
+    intro: 'Someone asked to reset the password of your account. To choose a new password, open this link:',
+    link: `${getClientUrl()}/reset-password?token=${token}`,
+    action: 'Reset password',
+    outro: 'The link expires in 1 hour and can be used once. If you didn\'t ask for this, you can ignore this email.'
+  });
+};
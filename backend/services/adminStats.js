@@ -0,0 +1,70 @@
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import Usage from '../models/Usage.js';
+import { getUsageSummary } from './usage.js';
+
+// Daily usage entries shown on a user's admin page
+const RECENT_DAYS = 30;
+
+// Conversation, token and session figures for one user's admin page
+export const getUserStats = async (user) => {
+  const [conversationTotals] = await Conversation.aggregate([
+    { $match: { userId: user._id } },
+    {
+      $group: {
+        _id: null,
+        conversations: { $sum: 1 },
+        archived: { $sum: { $cond: ['$isArchived', 1, 0] } },
+        messages: { $sum: '$messageCount' },
+        tokens: { $sum: '$totalTokens' },
+        lastActivityAt: { $max: '$updatedAt' }
+      }
+    }
+  ]);
+
+  const [allTimeUsage] = await Usage.aggregate([
+    { $match: { userId: user._id, period: 'monthly' } },
+    {
+      $group: {
+        _id: null,
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        requests: { $sum: '$requests' }
+      }
+    }
+  ]);
+
+  const recentDays = await Usage.find({ userId: user._id, period: 'daily' })
+    .sort({ key: -1 })
+    .limit(RECENT_DAYS)
+    .select('key totalTokens requests -_id');
+
+  const activeSessions = await Session.countDocuments({
+    userId: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return {
+    conversations: {
+      total: conversationTotals?.conversations || 0,
+      archived: conversationTotals?.archived || 0,
+      messages: conversationTotals?.messages || 0,
+      tokens: conversationTotals?.tokens || 0,
+      lastActivityAt: conversationTotals?.lastActivityAt || null
+    },
+    usage: {
+      current: await getUsageSummary(user),
+      allTime: {
+        promptTokens: allTimeUsage?.promptTokens || 0,
+        completionTokens: allTimeUsage?.completionTokens || 0,
+        totalTokens: allTimeUsage?.totalTokens || 0,
+        requests: allTimeUsage?.requests || 0
+      },
+      // Oldest first, for charts
+      daily: recentDays.reverse()
+    },
+    activeSessions
+  };
+};
@@ -0,0 +1,341 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.js';
+import { extractPdfTextInWorker } from './pdfText.js';
+import { IMAGE_EXTENSIONS, processImage } from './images.js';
+
+// Files that can be sent with one message
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+// Characters of extracted text kept per file
+const MAX_TEXT_LENGTH = 1000000;
+// Bytes a PDF's compressed streams may inflate to, all streams together,
+// and bytes of page content read for its text
+const MAX_PDF_DECODED_LENGTH = 20 * MAX_TEXT_LENGTH;
+const MAX_PDF_SCANNED_LENGTH = 20 * MAX_TEXT_LENGTH;
+// Uploads never sent with a message are removed after this
+const UNSENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Plain text formats by extension, read as UTF-8
+const TEXT_EXTENSIONS = new Set([
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'toml', 'ini', 'log',
+  'html', 'css', 'scss', 'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'rb', 'php', 'java',
+  'kt', 'swift', 'go', 'rs', 'c', 'h', 'cpp', 'hpp', 'cc', 'cs', 'sql', 'sh', 'bash', 'r', 'lua'
+]);
+
+// Served with downloads; other text files are text/plain
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  json: 'application/json',
+  html: 'text/html',
+  css: 'text/css',
+  xml: 'application/xml'
+};
+
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+export const getUploadDir = () => process.env.UPLOAD_DIR || 'uploads';
+
+// Total size of the files a user can keep
+const getStorageLimit = () => (parseInt(process.env.ATTACHMENT_STORAGE_MB, 10) || 200) * 1024 * 1024;
+
+export const getAttachmentPath = (attachment) => path.join(getUploadDir(), attachment.storageName);
+
+const getExtension = (name) => path.extname(name).slice(1).toLowerCase();
+
+// Whether text can be read from a file of this name: PDFs, plain text formats
+// and files without an extension
+export const isDocumentFile = (name) => {
+  const extension = getExtension(name);
+  return extension === 'pdf' || TEXT_EXTENSIONS.has(extension) || !extension;
+};
+
+export const getDocumentMimeType = (name) => MIME_TYPES[getExtension(name)] || 'text/plain';
+
+// Read the text of a PDF or text file, up to MAX_TEXT_LENGTH characters.
+// Resolves with its kind (pdf or text) and text; rejects with an
+// AttachmentError when there is none to read. PDFs are read in a worker thread.
+export const readText = async (name, data) => {
+  const extension = getExtension(name);
+
+  if (extension === 'pdf') {
+    let text;
+    try {
+      text = await extractPdfTextInWorker(data, {
+        maxDecodedLength: MAX_PDF_DECODED_LENGTH,
+        maxScannedLength: MAX_PDF_SCANNED_LENGTH,
+        maxTextLength: MAX_TEXT_LENGTH
+      });
+    } catch (error) {
+      if (error.name === 'PdfTooLargeError') {
+        throw new AttachmentError(error.message);
+      }
+      throw error;
+    }
+    if (!text) {
+      throw new AttachmentError('No text could be read from this PDF. Scanned documents are not supported.');
+    }
+    return { kind: 'pdf', text };
+  }
+
+  if (TEXT_EXTENSIONS.has(extension) || !extension) {
+    const text = data.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.includes('\u0000')) {
+      throw new AttachmentError('This file does not look like text');
+    }
+    return { kind: 'text', text };
+  }
+
+  throw new AttachmentError('Unsupported file type. Attach an image, PDF, text, Markdown, CSV or source code file.');
+};
+
+// Read an upload: images are checked and resized, other files have their
+// text extracted. Resolves with the data to store and the attachment fields.
+const readUpload = async (name, data) => {
+  const extension = getExtension(name);
+
+  if (IMAGE_EXTENSIONS.has(extension)) {
+    const image = await processImage(data);
+    if (!image) {
+      throw new AttachmentError('This image could not be read. Attach a PNG, JPEG, WebP or GIF image.');
+    }
+    return {
+      data: image.data,
+      extension: image.extension,
+      fields: { kind: 'image', mimeType: image.mimeType, width: image.width, height: image.height }
+    };
+  }
+
+  const { kind, text } = await readText(name, data);
+  return {
+    data,
+    extension,
+    fields: { kind, mimeType: getDocumentMimeType(name), text: text.slice(0, MAX_TEXT_LENGTH) }
+  };
+};
+
+// Delete attachments' files and records
+export const removeAttachments = async (attachments) => {
+  await Promise.all(attachments.map(attachment => fs.rm(getAttachmentPath(attachment), { force: true })));
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+};
+
+// Remove a user's uploads that were never sent
+const cleanUpUnsent = async (userId) => {
+  const unsent = await Attachment.find({
+    userId,
+    conversationId: null,
+    assistantId: null,
+    createdAt: { $lte: new Date(Date.now() - UNSENT_TTL_MS) }
+  }).select('storageName');
+
+  await removeAttachments(unsent);
+};
+
+// Store an uploaded file for a user and extract its text, or resize it if
+// it is an image
+export const saveAttachment = async (userId, { name, data }) => {
+  const fileName = path.basename(String(name || '')).trim();
+  if (!fileName) {
+    throw new AttachmentError('File name is required');
+  }
+  if (!data?.length) {
+    throw new AttachmentError('The file is empty');
+  }
+
+  await cleanUpUnsent(userId);
+
+  const [stored] = await Attachment.aggregate([
+    { $match: { userId } },
+    { $group: { _id: null, size: { $sum: '$size' } } }
+  ]);
+  if ((stored?.size || 0) + data.length > getStorageLimit()) {
+    throw new AttachmentError('You have reached your file storage limit. Delete some chats with attachments to free up space.', 413);
+  }
+
+  const upload = await readUpload(fileName, data);
+  const _id = new mongoose.Types.ObjectId();
+  const storageName = upload.extension ? `${_id}.${upload.extension}` : String(_id);
+
+  await fs.mkdir(getUploadDir(), { recursive: true });
+  await fs.writeFile(path.join(getUploadDir(), storageName), upload.data);
+
+  return Attachment.create({
+    _id,
+    userId,
+    name: fileName.slice(0, 255),
+    size: upload.data.length,
+    storageName,
+    ...upload.fields
+  });
+};
+
+// Remove an upload that hasn't been sent. Resolves with false if there is none.
+export const deleteUnsentAttachment = async (userId, attachmentId) => {
+  const attachment = await Attachment.findOne({ _id: attachmentId, userId, conversationId: null, assistantId: null });
+  if (!attachment) return false;
+
+  await removeAttachments([attachment]);
+  return true;
+};
+
+export const deleteConversationAttachments = async (conversationId) => {
+  const attachments = await Attachment.find({ conversationId }).select('storageName');
+  await removeAttachments(attachments);
+};
+
+// The attachments with these ids that the user can send in a conversation:
+// their own, unsent or already sent in the same conversation
+export const findSendableAttachments = async (userId, conversationId, attachmentIds) => {
+  if (!Array.isArray(attachmentIds) || attachmentIds.length === 0) return [];
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new AttachmentError(`You can attach up to ${MAX_ATTACHMENTS_PER_MESSAGE} files to a message`);
+  }
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    throw new AttachmentError('Invalid attachment ID');
+  }
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids },
+    userId,
+    conversationId: { $in: [null, conversationId] },
+    assistantId: null
+  });
+  if (attachments.length !== ids.length) {
+    throw new AttachmentError('Attachment not found');
+  }
+
+  return ids.map(id => attachments.find(attachment => attachment._id.equals(id)));
+};
+
+// The attachments with these ids a user can make an assistant's knowledge
+// files: their own text files, unsent or already that assistant's
+export const findKnowledgeFiles = async (userId, assistantId, attachmentIds) => {
+  if (!Array.isArray(attachmentIds)) {
+    throw new AttachmentError('Knowledge files must be a list of attachment IDs');
+  }
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    throw new AttachmentError('Invalid attachment ID');
+  }
+  if (ids.length === 0) return [];
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids },
+    userId,
+    conversationId: null,
+    assistantId: { $in: [null, assistantId] }
+  }).select('-text');
+  if (attachments.length !== ids.length) {
+    throw new AttachmentError('Attachment not found');
+  }
+  if (attachments.some(attachment => attachment.kind === 'image')) {
+    throw new AttachmentError('Images can\'t be knowledge files. Attach PDF, text or code files.');
+  }
+
+  return ids.map(id => attachments.find(attachment => attachment._id.equals(id)));
+};
+
+// Make these attachments an assistant's knowledge files, removing the
+// files it had before that are no longer among them
+export const setKnowledgeFiles = async (assistantId, attachments) => {
+  const ids = attachments.map(attachment => attachment._id);
+
+  const removed = await Attachment.find({ assistantId, _id: { $nin: ids } }).select('storageName');
+  await removeAttachments(removed);
+  await Attachment.updateMany({ _id: { $in: ids }, assistantId: null }, { assistantId });
+};
+
+// An assistant's knowledge files, in its order
+export const getKnowledgeFiles = async (assistant, { withText = false } = {}) => {
+  if (assistant.knowledgeFiles.length === 0) return [];
+
+  const query = Attachment.find({ _id: { $in: assistant.knowledgeFiles }, assistantId: assistant._id });
+  const attachments = await (withText ? query : query.select('-text'));
+  return assistant.knowledgeFiles
+    .map(id => attachments.find(attachment => attachment._id.equals(id)))
+    .filter(Boolean);
+};
+
+export const deleteAssistantAttachments = async (assistantId) => {
+  const attachments = await Attachment.find({ assistantId }).select('storageName');
+  await removeAttachments(attachments);
+};
+
+// A user's attachments by id, in the order given, e.g. those sent earlier
+// in a branch; ids listed more than once are returned once
+export const getAttachments = async (userId, attachmentIds) => {
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length === 0) return [];
+
+  const attachments = await Attachment.find({ _id: { $in: ids }, userId });
+  return ids
+    .map(id => attachments.find(attachment => attachment._id.equals(id)))
+    .filter(Boolean);
+};
+
+// An image attachment as a message content part for vision models
+export const readImagePart = async (attachment) => ({
+  type: 'image',
+  mimeType: attachment.mimeType,
+  data: (await fs.readFile(getAttachmentPath(attachment))).toString('base64')
+});
+
+// The image attachments with these ids and their files' contents, as
+// [{ attachment, data }] in the order given. Images whose file is gone are
+// left out.
+export const readImages = async (attachmentIds) => {
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length === 0) return [];
+
+  const attachments = await Attachment.find({ _id: { $in: ids }, kind: 'image' }).select('-text');
+  const images = await Promise.all(ids.map(async (id) => {
+    const attachment = attachments.find(item => item._id.equals(id));
+    if (!attachment) return null;
+
+    try {
+      return { attachment, data: await fs.readFile(getAttachmentPath(attachment)) };
+    } catch {
+      return null;
+    }
+  }));
+
+  return images.filter(Boolean);
+};
+
+// Tie unsent attachments to the conversation they were sent in
+export const linkAttachments = async (attachments, conversationId) => {
+  if (attachments.length === 0) return;
+
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map(attachment => attachment._id) }, conversationId: null },
+    { conversationId }
+  );
+};
+
+// Replace the attachment ids on messages with the attachments' details
+export const withAttachments = async (messages) => {
+  const ids = messages.flatMap(msg => msg.attachments || []);
+  if (ids.length === 0) return messages;
+
+  const attachments = await Attachment.find({ _id: { $in: ids } }).select('-text');
+  const byId = new Map(attachments.map(attachment => [String(attachment._id), attachment.toPublicJSON()]));
+
+  return messages.map(msg => ({
+    ...msg,
+    attachments: (msg.attachments || []).map(id => byId.get(String(id))).filter(Boolean)
+  }));
+};
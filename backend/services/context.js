@@ -0,0 +1,229 @@
+import { getContextWindow } from './llm/index.js';
+
+// Rough token estimate (~4 characters per token for English text) so the
+// budget works the same for every provider without a tokenizer per model
+const CHARS_PER_TOKEN = 4;
+// Role and formatting tokens the chat format adds to every message
+const MESSAGE_OVERHEAD = 4;
+// Tokens counted per image, around what OpenAI models charge for a large one
+const IMAGE_TOKENS = 1000;
+// Upper bound for a generated summary, reserved in the budget when summarizing
+const SUMMARY_MAX_TOKENS = 512;
+// Calls made to fold one overflow into the summary; messages older than
+// these can take are left out of it
+const MAX_SUMMARY_ROUNDS = 3;
+
+const SUMMARY_INSTRUCTIONS = 'You maintain a running summary of a conversation between a user and an AI assistant. ' +
+  'Merge the existing summary (if any) with the new messages into one updated summary. ' +
+  'Keep facts, decisions, names, numbers, code identifiers and open questions; drop pleasantries. ' +
+  'Write in the third person, at most a few short paragraphs.';
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+// `images` are the image parts going with a message, if any
+const estimateMessageTokens = (msg) => (
+  estimateTokens(msg.content)
+  + MESSAGE_OVERHEAD
+  + (msg.images?.length || 0) * IMAGE_TOKENS
+  + (msg.toolCalls?.length ? estimateTokens(JSON.stringify(msg.toolCalls)) : 0)
+);
+
+// Content sent to the provider: the text alone, or text and image parts
+const toContent = (text, images) => (
+  images?.length ? [{ type: 'text', text }, ...images] : text
+);
+
+// A history message as sent to the provider, with its tool calls or the
+// call it answers
+const toProviderMessage = (msg) => ({
+  role: msg.role,
+  content: toContent(msg.content, msg.images),
+  ...(msg.toolCalls?.length > 0 && {
+    toolCalls: msg.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args }))
+  }),
+  ...(msg.role === 'tool' && { toolCallId: msg.toolCallId, name: msg.toolName })
+});
+
+const toTranscriptLine = (msg) => {
+  if (msg.role === 'tool') {
+    return `Tool ${msg.toolName} returned: ${msg.content}`;
+  }
+  const calls = (msg.toolCalls || []).map(call => `[called ${call.name} with ${call.arguments}]`);
+  return `${msg.role === 'user' ? 'User' : 'Assistant'}: ${[msg.content, ...calls].filter(Boolean).join(' ')}`;
+};
+
+const sumTokens = (messages) => messages.reduce((sum, msg) => sum + estimateMessageTokens(msg), 0);
+
+const toSummaryMessage = (summary) => ({
+  role: 'system',
+  content: `Summary of the earlier part of this conversation:\n${summary}`
+});
+
+const toSystemMessages = (settings) => (
+  settings.systemPrompt ? [{ role: 'system', content: settings.systemPrompt }] : []
+);
+
+// How many of the newest messages fit in the budget
+const countFittingMessages = (messages, budget) => {
+  let used = 0;
+  let count = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    used += estimateMessageTokens(messages[i]);
+    if (used > budget) break;
+    count++;
+  }
+
+  // A tool result can't be sent without the call it answers
+  while (count > 0 && messages[messages.length - count].role === 'tool') {
+    count--;
+  }
+
+  return count;
+};
+
+// Tokens left for the summary and history once the system prompt, the new
+// message and the reply are accounted for. Negative if the message can't fit.
+export const getContextBudget = ({ modelId, settings, message, images }) => {
+  return getContextWindow(modelId)
+    - settings.maxTokens
+    - sumTokens(toSystemMessages(settings))
+    - estimateMessageTokens({ content: message, images });
+};
+
+// Transcript lines in chunks of at most `maxTokens` each, oldest first,
+// newest lines first in line for the `maxChunks` there can be. A line too
+// long for a chunk of its own is cut to fit.
+const chunkTranscript = (lines, maxTokens, maxChunks) => {
+  const chunks = [];
+  let chunk = [];
+  let used = 0;
+
+  for (let i = lines.length - 1; i >= 0 && chunks.length < maxChunks; i--) {
+    const line = lines[i].slice(0, (maxTokens - 1) * CHARS_PER_TOKEN);
+    const tokens = estimateTokens(line) + 1;
+    if (chunk.length > 0 && used + tokens > maxTokens) {
+      chunks.unshift(chunk);
+      chunk = [];
+      used = 0;
+      if (chunks.length === maxChunks) break;
+    }
+    chunk.unshift(line);
+    used += tokens;
+  }
+  if (chunk.length > 0 && chunks.length < maxChunks) chunks.unshift(chunk);
+
+  return chunks;
+};
+
+// Fold older messages into the conversation's rolling summary. Messages
+// that don't fit in the model's context window in one go are summarized in
+// chunks, each folded into the summary of the ones before.
+const summarize = async ({ provider, model, modelId, previousSummary, messages }) => {
+  // Room for the transcript once the instructions, the previous summary and
+  // the new one are accounted for
+  const inputTokens = getContextWindow(modelId)
+    - estimateTokens(SUMMARY_INSTRUCTIONS)
+    - 2 * MESSAGE_OVERHEAD
+    - 2 * SUMMARY_MAX_TOKENS;
+  const chunks = chunkTranscript(messages.map(toTranscriptLine), Math.max(inputTokens, SUMMARY_MAX_TOKENS), MAX_SUMMARY_ROUNDS);
+
+  let summary = previousSummary;
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (const chunk of chunks) {
+    const transcript = chunk.join('\n\n');
+    const result = await provider.complete({
+      model,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: summary
+            ? `Existing summary:\n${summary}\n\nNew messages:\n${transcript}`
+            : transcript
+        }
+      ],
+      maxTokens: SUMMARY_MAX_TOKENS,
+      temperature: 0.2
+    });
+
+    // Estimates differ from real token counts, so keep the summary within its reservation
+    summary = result.content.trim().slice(0, SUMMARY_MAX_TOKENS * CHARS_PER_TOKEN);
+    Object.keys(usage).forEach(field => { usage[field] += result.usage?.[field] || 0; });
+  }
+
+  return { content: summary, usage };
+};
+
+// Build the messages sent to the provider: system prompt, rolling summary,
+// as much recent history as the budget allows, the attached files' context
+// (already counted out of the budget), then the new user message.
+// `history` is the branch being replied to, oldest first, tool calls and
+// results included; its messages and the new one (`images`) can carry image parts. When it no longer fits, the
+// overflow is summarized and the summary stored on the conversation.
+// `model` is the provider's name for the model `modelId` names. Resolves
+// with { messages, summaryUsage }.
+export const buildContext = async ({ conversation, history: branch = [], message, images, attachmentContext, settings, provider, model, modelId, budget }) => {
+  const summaryState = conversation?.summary || {};
+
+  // The stored summary only applies to branches that contain what it covers
+  const summaryIndex = summaryState.throughMessageId
+    ? branch.findIndex(msg => msg._id.equals(summaryState.throughMessageId))
+    : -1;
+  const history = branch.slice(summaryIndex + 1);
+
+  let summary = summaryIndex >= 0 ? summaryState.content : '';
+  let summaryTokens = summary ? estimateMessageTokens(toSummaryMessage(summary)) : 0;
+  let fitCount = countFittingMessages(history, budget - summaryTokens);
+  let summaryUsage = null;
+
+  if (fitCount < history.length) {
+    // Leave room for a full-length summary, then summarize everything older
+    const reserved = estimateMessageTokens(toSummaryMessage('')) + SUMMARY_MAX_TOKENS;
+    const keepCount = countFittingMessages(history, budget - reserved);
+    const olderMessages = history.slice(0, history.length - keepCount);
+
+    try {
+      const result = await summarize({
+        provider,
+        model,
+        modelId,
+        previousSummary: summary,
+        messages: olderMessages
+      });
+
+      summary = result.content;
+      summaryUsage = result.usage;
+      fitCount = keepCount;
+
+      conversation.summary = {
+        content: summary,
+        throughMessageId: olderMessages[olderMessages.length - 1]._id,
+        updatedAt: new Date()
+      };
+      await conversation.save();
+    } catch (error) {
+      // Fall back to plain truncation; the next request will try again
+      console.error('Conversation summary error:', error);
+      if (summaryTokens > budget) {
+        summary = '';
+        summaryTokens = 0;
+      }
+      fitCount = countFittingMessages(history, budget - summaryTokens);
+    }
+  }
+
+  const recentMessages = history.slice(history.length - fitCount);
+
+  return {
+    messages: [
+      ...toSystemMessages(settings),
+      ...(summary ? [toSummaryMessage(summary)] : []),
+      ...recentMessages.map(toProviderMessage),
+      ...(attachmentContext ? [{ role: 'system', content: attachmentContext }] : []),
+      { role: 'user', content: toContent(message, images) }
+    ],
+    summaryUsage
+  };
+};
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildContext, estimateTokens, getContextBudget } from './context.js';
+
+const settings = { maxTokens: 256, systemPrompt: '' };
+const modelId = 'mock:echo';
+
+// A branch of `count` messages of `length` characters each, oldest first
+const buildHistory = (count, length) => Array.from({ length: count }, (_, i) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `${i}:`.padEnd(length, 'x')
+}));
+
+// A provider that answers every summary request with a short summary
+const createProvider = () => {
+  const calls = [];
+  return {
+    calls,
+    async complete({ messages }) {
+      calls.push(messages);
+      return { content: `summary ${calls.length}`, usage: { promptTokens: 100, completionTokens: 5, totalTokens: 105 } };
+    }
+  };
+};
+
+const build = ({ history, provider, conversation = { save: async () => {} } }) => buildContext({
+  conversation,
+  history,
+  message: 'Next question',
+  settings,
+  provider,
+  model: 'echo',
+  modelId,
+  budget: getContextBudget({ modelId, settings, message: 'Next question' })
+});
+
+test('history that fits is sent without summarizing', async () => {
+  const provider = createProvider();
+  const { messages, summaryUsage } = await build({ history: buildHistory(4, 100), provider });
+
+  assert.equal(provider.calls.length, 0);
+  assert.equal(summaryUsage, null);
+  assert.equal(messages.length, 5);
+});
+
+test('a long overflow is summarized in chunks that fit the context window', async () => {
+  const provider = createProvider();
+  const conversation = { save: async () => {} };
+  const history = buildHistory(40, 2000);
+
+  const { messages, summaryUsage } = await build({ history, provider, conversation });
+
+  assert.ok(provider.calls.length > 1);
+  provider.calls.forEach(call => {
+    const input = call.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    assert.ok(input + 512 <= 2048, `${input} tokens sent to summarize`);
+  });
+  // Each chunk builds on the summary of the ones before
+  assert.ok(provider.calls[1][1].content.startsWith('Existing summary:\nsummary 1'));
+  assert.equal(summaryUsage.totalTokens, 105 * provider.calls.length);
+
+  assert.equal(messages[0].content, `Summary of the earlier part of this conversation:\nsummary ${provider.calls.length}`);
+  const kept = messages.slice(1, -1);
+  assert.ok(conversation.summary.throughMessageId.equals(history[history.length - kept.length - 1]._id));
+});
+
+test('summarizing stops after a few rounds, leaving out the oldest messages', async () => {
+  const provider = createProvider();
+  await build({ history: buildHistory(200, 2000), provider });
+
+  assert.equal(provider.calls.length, 3);
+  const firstChunk = provider.calls[0][1].content;
+  assert.ok(!firstChunk.includes('User: 0:'));
+});
+
+test('a message too long to summarize in one call is cut to fit', async () => {
+  const provider = createProvider();
+  await build({ history: [...buildHistory(1, 40000), ...buildHistory(2, 100)], provider });
+
+  assert.equal(provider.calls.length, 1);
+  assert.ok(estimateTokens(provider.calls[0][1].content) + 512 <= 2048);
+});
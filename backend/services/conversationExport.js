@@ -0,0 +1,163 @@
+import Message, { isToolStep } from '../models/Message.js';
+import { readImages } from './attachments.js';
+
+// Identifies our JSON export files, which the importer reads back
+export const EXPORT_FORMAT = 'chatgpt-clone';
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_TYPES = {
+  json: { extension: 'json', contentType: 'application/json' },
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  html: { extension: 'html', contentType: 'text/html' }
+};
+
+const ROLE_LABELS = { user: 'You', assistant: 'ChatGPT' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Every message of a conversation, all branches, oldest first. The images
+// sent with a message are added as `images`: [{ name, mimeType, data }],
+// data in base64, so exports keep them.
+export const getConversationMessages = async (conversationId) => {
+  const messages = await Message.find({ conversationId }).sort({ _id: 1 }).lean();
+  const images = await readImages(messages.flatMap(msg => msg.attachments || []));
+  if (images.length === 0) return messages;
+
+  const byId = new Map(images.map(({ attachment, data }) => [String(attachment._id), {
+    name: attachment.name,
+    mimeType: attachment.mimeType,
+    data: data.toString('base64')
+  }]));
+
+  return messages.map(msg => {
+    const msgImages = (msg.attachments || []).map(id => byId.get(String(id))).filter(Boolean);
+    return msgImages.length > 0 ? { ...msg, images: msgImages } : msg;
+  });
+};
+
+// The active branch out of all of a conversation's messages, without the
+// tool calls and results that led to its replies
+const getActiveBranch = (conversation, messages) => {
+  const byId = new Map(messages.map(msg => [msg._id.toString(), msg]));
+  const branch = [];
+  let node = conversation.currentMessageId ? byId.get(conversation.currentMessageId.toString()) : null;
+
+  while (node) {
+    branch.unshift(node);
+    node = node.parentId ? byId.get(node.parentId.toString()) : null;
+  }
+
+  return branch.filter(msg => !isToolStep(msg));
+};
+
+// "My chat: part 2" -> "my-chat-part-2", for file names
+export const getExportFileName = (conversation, extension) => {
+  const slug = conversation.title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+
+  return `${slug || 'conversation'}-${conversation._id}.${extension}`;
+};
+
+// A conversation with all of its branches, as stored in JSON exports
+export const serializeConversation = (conversation, messages) => ({
+  id: conversation._id,
+  title: conversation.title,
+  tags: conversation.tags,
+  model: conversation.model,
+  settings: conversation.settings,
+  isPinned: conversation.isPinned,
+  isArchived: conversation.isArchived,
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt,
+  currentMessageId: conversation.currentMessageId || null,
+  messages: messages.map(msg => ({
+    id: msg._id,
+    parentId: msg.parentId || null,
+    role: msg.role,
+    content: msg.content,
+    model: msg.model,
+    timestamp: msg.timestamp,
+    ...(msg.images?.length > 0 && { images: msg.images }),
+    ...(msg.feedback && { feedback: msg.feedback }),
+    ...(msg.toolCalls?.length > 0 && { toolCalls: msg.toolCalls }),
+    ...(msg.role === 'tool' && { toolCallId: msg.toolCallId, toolName: msg.toolName })
+  }))
+});
+
+// A JSON export file holding [{ conversation, messages }]
+export const toJsonExport = (entries) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date(),
+  conversations: entries.map(({ conversation, messages }) => serializeConversation(conversation, messages))
+});
+
+// The active branch as a Markdown transcript
+export const toMarkdown = (conversation, messages) => {
+  const branch = getActiveBranch(conversation, messages);
+  const lines = [
+    `# ${conversation.title}`,
+    '',
+    `_${new Date(conversation.createdAt).toUTCString()} · ${conversation.model}_`,
+    ''
+  ];
+
+  // Images are named, not included
+  branch.forEach(msg => {
+    lines.push(`## ${ROLE_LABELS[msg.role]}`, '', msg.content, '');
+    (msg.images || []).forEach(image => lines.push(`_[Image: ${image.name}]_`, ''));
+  });
+
+  return lines.join('\n');
+};
+
+// The active branch as a standalone page that prints well (e.g. to PDF
+// from the browser). Message text is shown as written, not rendered;
+// images are embedded in the page.
+export const toHtml = (conversation, messages) => {
+  const branch = getActiveBranch(conversation, messages);
+  const title = escapeHtml(conversation.title);
+
+  const items = branch.map(msg => {
+    const images = (msg.images || [])
+      .map(image => `<img src="data:${escapeHtml(image.mimeType)};base64,${image.data}" alt="${escapeHtml(image.name)}">`)
+      .join('');
+
+    return `
+    <section class="message ${msg.role}">
+      <h2>${ROLE_LABELS[msg.role]}</h2>
+      <div class="content">${escapeHtml(msg.content)}</div>${images && `
+      <div class="images">${images}</div>`}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1f2937; }
+    header { border-bottom: 1px solid #e5e7eb; margin-bottom: 24px; }
+    .meta { color: #6b7280; font-size: 14px; }
+    .message { margin-bottom: 24px; page-break-inside: avoid; }
+    .message h2 { font-size: 14px; margin: 0 0 6px; color: #6b7280; }
+    .message.user .content { background: #f3f4f6; border-radius: 12px; padding: 12px 16px; }
+    .content { white-space: pre-wrap; line-height: 1.6; }
+    .images { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+    .images img { max-width: 100%; max-height: 320px; border-radius: 8px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${title}</h1>
+    <p class="meta">${escapeHtml(new Date(conversation.createdAt).toUTCString())} · ${escapeHtml(conversation.model)}</p>
+  </header>${items}
+</body>
+</html>
+`;
+};
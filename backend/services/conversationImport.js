@@ -0,0 +1,311 @@
+import mongoose from 'mongoose';
+import Conversation, { DEFAULT_SETTINGS } from '../models/Conversation.js';
+import Message, { FEEDBACK_REASONS } from '../models/Message.js';
+import { getDefaultModel, isModelAllowed, qualifyModelId } from './llm/index.js';
+import { EXPORT_FORMAT } from './conversationExport.js';
+import {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  deleteConversationAttachments,
+  linkAttachments,
+  removeAttachments,
+  saveAttachment
+} from './attachments.js';
+import { IMAGE_EXTENSIONS } from './images.js';
+
+// Conversations accepted in one import
+const MAX_IMPORTED_CONVERSATIONS = 2000;
+// Characters of the newest message kept on the conversation, as in the model
+const LAST_MESSAGE_PREVIEW_LENGTH = 200;
+const MAX_TITLE_LENGTH = 100;
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const toDate = (value, fallback = new Date()) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : fallback;
+};
+
+// Seconds since the epoch (ChatGPT's timestamps) to a Date
+const fromUnixTime = (seconds, fallback) => (typeof seconds === 'number' ? new Date(seconds * 1000) : fallback);
+
+// Ratings as the Message model accepts them; anything else is dropped
+const toFeedback = (feedback) => {
+  if (!['up', 'down'].includes(feedback?.rating)) return undefined;
+
+  return {
+    rating: feedback.rating,
+    reason: feedback.rating === 'down' && FEEDBACK_REASONS.includes(feedback.reason) ? feedback.reason : undefined,
+    comment: typeof feedback.comment === 'string' ? feedback.comment.slice(0, 1000) : undefined,
+    updatedAt: toDate(feedback.updatedAt)
+  };
+};
+
+// Tool calls as the Message model stores them; malformed ones are dropped
+const toToolCalls = (toolCalls) => (Array.isArray(toolCalls) ? toolCalls : [])
+  .filter(call => typeof call?.id === 'string' && typeof call.name === 'string')
+  .map(call => ({
+    id: call.id,
+    name: call.name,
+    arguments: typeof call.arguments === 'string' ? call.arguments : '{}'
+  }));
+
+// Images of a user message as { name, data } to store again; anything
+// that isn't a named image with base64 data is dropped
+const toImages = (images) => (Array.isArray(images) ? images : [])
+  .filter(image => typeof image?.name === 'string'
+    && IMAGE_EXTENSIONS.has(image.name.split('.').pop().toLowerCase())
+    && typeof image.data === 'string')
+  .slice(0, MAX_ATTACHMENTS_PER_MESSAGE)
+  .map(image => ({ name: image.name, data: Buffer.from(image.data, 'base64') }))
+  .filter(image => image.data.length > 0);
+
+const toTitle = (title) => String(title || '').trim().slice(0, MAX_TITLE_LENGTH) || 'Imported chat';
+
+// Imported conversations are normalized to { title, tags, model, settings,
+// isPinned, isArchived, createdAt, updatedAt, messages, currentKey }, where
+// each message has its own `key` and its parent's `parentKey` (or null).
+// User messages can have `images`: [{ name, data }] with data as a Buffer.
+
+// Our own export format (see conversationExport.js), tool calls and results included
+const fromOwnExport = (data) => data.conversations.map(conversation => {
+  const messages = (Array.isArray(conversation.messages) ? conversation.messages : [])
+    .filter(msg => ['user', 'assistant', 'tool'].includes(msg?.role)
+      && typeof msg.content === 'string'
+      && (msg.content.trim() || (msg.role === 'assistant' && toToolCalls(msg.toolCalls).length > 0)))
+    .map(msg => ({
+      key: String(msg.id),
+      parentKey: msg.parentId ? String(msg.parentId) : null,
+      role: msg.role,
+      content: msg.content,
+      model: typeof msg.model === 'string' ? msg.model : undefined,
+      timestamp: toDate(msg.timestamp),
+      images: msg.role === 'user' ? toImages(msg.images) : undefined,
+      feedback: msg.role === 'assistant' ? toFeedback(msg.feedback) : undefined,
+      toolCalls: msg.role === 'assistant' ? toToolCalls(msg.toolCalls) : undefined,
+      toolCallId: msg.role === 'tool' ? String(msg.toolCallId || '') : undefined,
+      toolName: msg.role === 'tool' ? String(msg.toolName || '') : undefined
+    }));
+
+  return {
+    title: toTitle(conversation.title),
+    tags: Array.isArray(conversation.tags) ? conversation.tags.filter(tag => typeof tag === 'string') : [],
+    model: typeof conversation.model === 'string' ? conversation.model : undefined,
+    settings: conversation.settings,
+    isPinned: Boolean(conversation.isPinned),
+    isArchived: Boolean(conversation.isArchived),
+    createdAt: toDate(conversation.createdAt),
+    updatedAt: toDate(conversation.updatedAt),
+    messages,
+    currentKey: conversation.currentMessageId ? String(conversation.currentMessageId) : null
+  };
+});
+
+// Text of a ChatGPT message, or '' for tool calls, images and other content
+const getChatGPTText = (message) => {
+  const { content } = message;
+  if (!content || !['text', 'multimodal_text'].includes(content.content_type)) return '';
+  return (content.parts || []).filter(part => typeof part === 'string').join('\n').trim();
+};
+
+// ChatGPT's conversations.json: every conversation is a tree of nodes in
+// `mapping`. System prompts, tool calls and hidden messages are dropped and
+// their children attached to the nearest message that is kept.
+const fromChatGPTExport = (data) => data.map(conversation => {
+  const mapping = conversation.mapping && typeof conversation.mapping === 'object' ? conversation.mapping : {};
+  const createdAt = fromUnixTime(conversation.create_time, new Date());
+
+  const isKept = (node) => {
+    const message = node?.message;
+    return Boolean(message)
+      && ['user', 'assistant'].includes(message.author?.role)
+      && !message.metadata?.is_visually_hidden_from_conversation
+      && getChatGPTText(message) !== '';
+  };
+
+  // Nearest kept node at or above a node id
+  const findKeptKey = (nodeId) => {
+    const seen = new Set();
+    let id = nodeId;
+    while (id && mapping[id] && !seen.has(id)) {
+      if (isKept(mapping[id])) return id;
+      seen.add(id);
+      id = mapping[id].parent;
+    }
+    return null;
+  };
+
+  const messages = Object.entries(mapping)
+    .filter(([, node]) => isKept(node))
+    .map(([id, node]) => ({
+      key: id,
+      parentKey: findKeptKey(node.parent),
+      role: node.message.author.role,
+      content: getChatGPTText(node.message),
+      model: node.message.metadata?.model_slug ? `openai:${node.message.metadata.model_slug}` : undefined,
+      timestamp: fromUnixTime(node.message.create_time, createdAt)
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    title: toTitle(conversation.title),
+    tags: [],
+    isPinned: false,
+    isArchived: Boolean(conversation.is_archived),
+    createdAt,
+    updatedAt: fromUnixTime(conversation.update_time, createdAt),
+    messages,
+    currentKey: findKeptKey(conversation.current_node)
+  };
+});
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Normalized conversations from an uploaded export file, whichever kind it is
+export const parseImportFile = (data) => {
+  let conversations;
+
+  if (data?.format === EXPORT_FORMAT && Array.isArray(data.conversations) && data.conversations.every(isObject)) {
+    conversations = fromOwnExport(data);
+  } else if (Array.isArray(data) && data.every(item => isObject(item) && 'mapping' in item)) {
+    conversations = fromChatGPTExport(data);
+  } else {
+    throw new ImportError('Unrecognized file. Upload a JSON export from this app or the conversations.json file of a ChatGPT export.');
+  }
+
+  if (conversations.length === 0) {
+    throw new ImportError('The file does not contain any conversations');
+  }
+
+  if (conversations.length > MAX_IMPORTED_CONVERSATIONS) {
+    throw new ImportError(`A single import can contain at most ${MAX_IMPORTED_CONVERSATIONS} conversations`);
+  }
+
+  return conversations;
+};
+
+// Settings that pass the model's validation, the rest left at their defaults
+const pickValidSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') return {};
+  const candidate = new Conversation({ userId: new mongoose.Types.ObjectId(), title: 'x', settings });
+  const errors = candidate.validateSync()?.errors || {};
+
+  return Object.keys(DEFAULT_SETTINGS).reduce((picked, field) => {
+    if (settings[field] !== undefined && !errors[`settings.${field}`]) picked[field] = settings[field];
+    return picked;
+  }, {});
+};
+
+// Remove what an import saved before it failed: the conversations, their
+// messages and attachments, and images not yet linked to one
+const discardImported = async (conversationIds, attachments = []) => {
+  await Message.deleteMany({ conversationId: { $in: conversationIds } });
+  await Conversation.deleteMany({ _id: { $in: conversationIds } });
+  await Promise.all(conversationIds.map(deleteConversationAttachments));
+  await removeAttachments(attachments);
+};
+
+// Save one normalized conversation for a user with new ids, keeping its
+// branches, timestamps, active branch and images. Images are stored first,
+// so a file over the user's storage limit stops the import before any of
+// the conversation is saved. Nothing is kept when saving fails.
+export const saveImportedConversation = async (userId, imported) => {
+  const conversationId = new mongoose.Types.ObjectId();
+  const ids = new Map();
+  const attachments = new Map();
+
+  try {
+    for (const msg of imported.messages) {
+      for (const image of msg.images || []) {
+        const attachment = await saveAttachment(userId, image);
+        attachments.set(msg, [...(attachments.get(msg) || []), attachment]);
+      }
+    }
+
+    const messages = imported.messages.map(msg => {
+      // Only messages listed earlier can be parents, which also rules out loops;
+      // a message without one starts a branch
+      const parentId = (msg.parentKey && ids.get(msg.parentKey)) || null;
+      const id = new mongoose.Types.ObjectId();
+      ids.set(msg.key, id);
+
+      return {
+        _id: id,
+        conversationId,
+        userId,
+        role: msg.role,
+        content: msg.content,
+        model: msg.model ? qualifyModelId(msg.model) : undefined,
+        parentId,
+        timestamp: msg.timestamp,
+        createdAt: msg.timestamp,
+        ...(attachments.has(msg) && { attachments: attachments.get(msg).map(attachment => attachment._id) }),
+        ...(msg.feedback && { feedback: msg.feedback }),
+        ...(msg.toolCalls?.length > 0 && { toolCalls: msg.toolCalls }),
+        ...(msg.role === 'tool' && { toolCallId: msg.toolCallId, toolName: msg.toolName })
+      };
+    });
+
+    const lastMessage = messages.reduce((latest, msg) => (!latest || msg.timestamp >= latest.timestamp ? msg : latest), null);
+    const currentMessageId = (imported.currentKey && ids.get(imported.currentKey)) || lastMessage?._id;
+
+    const conversation = new Conversation({
+      _id: conversationId,
+      userId,
+      title: imported.title,
+      tags: imported.tags,
+      model: imported.model && isModelAllowed(imported.model) ? qualifyModelId(imported.model) : getDefaultModel(),
+      settings: pickValidSettings(imported.settings),
+      isPinned: imported.isPinned,
+      isArchived: imported.isArchived,
+      currentMessageId,
+      messageCount: messages.length,
+      ...(lastMessage && {
+        lastMessage: {
+          messageId: lastMessage._id,
+          role: lastMessage.role,
+          content: lastMessage.content.substring(0, LAST_MESSAGE_PREVIEW_LENGTH),
+          timestamp: lastMessage.timestamp
+        }
+      }),
+      createdAt: imported.createdAt,
+      updatedAt: imported.updatedAt
+    });
+
+    // Keep the original dates so imported chats sort among the existing ones
+    await conversation.save({ timestamps: false });
+    if (messages.length > 0) {
+      await Message.insertMany(messages);
+    }
+    await linkAttachments([...attachments.values()].flat(), conversationId);
+
+    return conversation;
+  } catch (error) {
+    await discardImported([conversationId], [...attachments.values()].flat());
+    throw error;
+  }
+};
+
+// Import normalized conversations for a user, all of them or, when one
+// fails, none. Resolves with the number of conversations and messages
+// imported. Throws an AttachmentError when an image can't be stored.
+export const importConversations = async (userId, conversations) => {
+  const saved = [];
+  let messages = 0;
+
+  try {
+    for (const imported of conversations) {
+      saved.push((await saveImportedConversation(userId, imported))._id);
+      messages += imported.messages.length;
+    }
+  } catch (error) {
+    await discardImported(saved);
+    throw error;
+  }
+
+  return { conversations: conversations.length, messages };
+};
@@ -0,0 +1,166 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Attachment from '../models/Attachment.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import { toHtml, toJsonExport, toMarkdown } from './conversationExport.js';
+import { importConversations, parseImportFile, saveImportedConversation } from './conversationImport.js';
+
+const createdAt = new Date('2024-06-03T17:40:00.000Z');
+
+// A conversation as getConversationMessages returns it: a question with an
+// image and its answer
+const exportConversation = async () => {
+  const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  const conversation = { _id: new mongoose.Types.ObjectId(), title: 'Photo', model: 'mock:gpt-4o-mini', createdAt, updatedAt: createdAt };
+  const question = {
+    _id: new mongoose.Types.ObjectId(),
+    parentId: null,
+    role: 'user',
+    content: 'What is in this picture?',
+    timestamp: createdAt,
+    images: [{ name: 'red.png', mimeType: 'image/png', data: image.toString('base64') }]
+  };
+  const answer = { _id: new mongoose.Types.ObjectId(), parentId: question._id, role: 'assistant', content: 'A red square.', timestamp: createdAt };
+  conversation.currentMessageId = answer._id;
+
+  return { conversation, messages: [question, answer], image };
+};
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.UPLOAD_DIR;
+});
+
+test('JSON exports keep images and read them back on import', async () => {
+  const { conversation, messages, image } = await exportConversation();
+  const file = JSON.parse(JSON.stringify(toJsonExport([{ conversation, messages }])));
+
+  const [imported] = parseImportFile(file);
+  assert.equal(imported.messages[0].images.length, 1);
+  assert.equal(imported.messages[0].images[0].name, 'red.png');
+  assert.deepEqual(imported.messages[0].images[0].data, image);
+  assert.equal(imported.messages[1].images, undefined);
+});
+
+test('imports drop images that are not named images with data', async () => {
+  const { conversation, messages } = await exportConversation();
+  const file = JSON.parse(JSON.stringify(toJsonExport([{ conversation, messages }])));
+  file.conversations[0].messages[0].images.push({ name: 'notes.txt', data: 'aGk=' }, { name: 'empty.png' });
+
+  const [imported] = parseImportFile(file);
+  assert.deepEqual(imported.messages[0].images.map(image => image.name), ['red.png']);
+});
+
+test('reads ChatGPT exports, keeping only visible text and its branches', () => {
+  const message = (role, text, extra = {}) => ({
+    author: { role },
+    content: { content_type: 'text', parts: [text] },
+    create_time: 1717436400,
+    ...extra
+  });
+  const [imported] = parseImportFile([{
+    title: 'Trip',
+    create_time: 1717436400,
+    current_node: 'answer',
+    mapping: {
+      root: { parent: null, message: null },
+      system: { parent: 'root', message: message('system', 'You are ChatGPT') },
+      question: { parent: 'system', message: message('user', 'Where to go?') },
+      hidden: { parent: 'question', message: message('assistant', 'context', { metadata: { is_visually_hidden_from_conversation: true } }) },
+      answer: { parent: 'hidden', message: message('assistant', 'Lisbon', { metadata: { model_slug: 'gpt-4o' } }) }
+    }
+  }]);
+
+  assert.equal(imported.title, 'Trip');
+  assert.deepEqual(imported.messages.map(msg => [msg.key, msg.parentKey, msg.content]), [
+    ['question', null, 'Where to go?'],
+    ['answer', 'question', 'Lisbon']
+  ]);
+  assert.equal(imported.messages[1].model, 'openai:gpt-4o');
+  assert.equal(imported.currentKey, 'answer');
+});
+
+test('rejects files that are not a list of conversation objects', async () => {
+  const { conversation, messages } = await exportConversation();
+  const file = JSON.parse(JSON.stringify(toJsonExport([{ conversation, messages }])));
+
+  for (const data of [{ ...file, conversations: [...file.conversations, null] }, { ...file, conversations: [1] }, [null], { format: 'other' }]) {
+    assert.throws(() => parseImportFile(data), { name: 'ImportError' });
+  }
+  assert.throws(() => parseImportFile({ ...file, conversations: [] }), { message: 'The file does not contain any conversations' });
+});
+
+test('a failed import removes the conversations it already saved', async () => {
+  const { conversation, messages } = await exportConversation();
+  const file = JSON.parse(JSON.stringify(toJsonExport([{ conversation, messages }])));
+  delete file.conversations[0].messages[0].images;
+  const conversations = parseImportFile({ ...file, conversations: [file.conversations[0], file.conversations[0]] });
+
+  mock.method(Attachment, 'find', () => ({ select: async () => [] }));
+  mock.method(Attachment, 'deleteMany', async () => ({}));
+  mock.method(Conversation.prototype, 'save', async function() { return this; });
+  let inserts = 0;
+  mock.method(Message, 'insertMany', async (docs) => {
+    if (++inserts === 2) throw new Error('write failed');
+    return docs;
+  });
+  const deletedMessages = mock.method(Message, 'deleteMany', async () => ({}));
+  const deletedConversations = mock.method(Conversation, 'deleteMany', async () => ({}));
+
+  await assert.rejects(importConversations(new mongoose.Types.ObjectId(), conversations), { message: 'write failed' });
+
+  const saved = Conversation.prototype.save.mock.calls.map(call => String(call.this._id));
+  const deleted = deletedConversations.mock.calls.flatMap(call => call.arguments[0]._id.$in.map(String));
+  assert.deepEqual(deleted.sort(), saved.sort());
+  assert.deepEqual(
+    deletedMessages.mock.calls.flatMap(call => call.arguments[0].conversationId.$in.map(String)).sort(),
+    saved.sort()
+  );
+});
+
+test('imported images are stored and attached to their message', async () => {
+  process.env.UPLOAD_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'import-test-'));
+  const { conversation, messages } = await exportConversation();
+  const [imported] = parseImportFile(JSON.parse(JSON.stringify(toJsonExport([{ conversation, messages }]))));
+
+  mock.method(Attachment, 'find', () => ({ select: async () => [] }));
+  mock.method(Attachment, 'deleteMany', async () => ({}));
+  mock.method(Attachment, 'aggregate', async () => []);
+  mock.method(Attachment, 'create', async (fields) => new Attachment(fields));
+  const linked = mock.method(Attachment, 'updateMany', async () => ({}));
+  mock.method(Conversation.prototype, 'save', async function() { return this; });
+  const inserted = mock.method(Message, 'insertMany', async (docs) => docs);
+
+  try {
+    const userId = new mongoose.Types.ObjectId();
+    const saved = await saveImportedConversation(userId, imported);
+
+    const [question, answer] = inserted.mock.calls[0].arguments[0];
+    assert.equal(Attachment.create.mock.calls.length, 1);
+    const attachment = await Attachment.create.mock.calls[0].result;
+    assert.equal(attachment.kind, 'image');
+    assert.ok(attachment.userId.equals(userId));
+    assert.deepEqual(question.attachments, [attachment._id]);
+    assert.equal(answer.attachments, undefined);
+
+    const [filter, update] = linked.mock.calls[0].arguments;
+    assert.deepEqual(filter._id.$in, [attachment._id]);
+    assert.ok(update.conversationId.equals(saved._id));
+    await fs.access(path.join(process.env.UPLOAD_DIR, attachment.storageName));
+  } finally {
+    await fs.rm(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  }
+});
+
+test('transcripts embed images in HTML and name them in Markdown', async () => {
+  const { conversation, messages, image } = await exportConversation();
+
+  assert.ok(toHtml(conversation, messages).includes(`<img src="data:image/png;base64,${image.toString('base64')}" alt="red.png">`));
+  assert.ok(toMarkdown(conversation, messages).includes('_[Image: red.png]_'));
+});
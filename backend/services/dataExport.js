@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Conversation from '../models/Conversation.js';
+import ExportJob from '../models/ExportJob.js';
+import Memory from '../models/Memory.js';
+import User from '../models/User.js';
+import { createZipInWorker } from './zip.js';
+import {
+  getConversationMessages,
+  getExportFileName,
+  toJsonExport,
+  toMarkdown
+} from './conversationExport.js';
+
+// How long a finished export can be downloaded
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+// A job still unfinished after this was lost, e.g. to a server restart
+const STALE_JOB_MS = 15 * 60 * 1000;
+
+export const getExportDir = () => process.env.EXPORT_DIR || 'exports';
+
+export const getExportPath = (job) => path.join(getExportDir(), job.fileName);
+
+// Remove expired exports and their files, and give up on lost jobs
+const cleanUpExports = async () => {
+  const expired = await ExportJob.find({ expiresAt: { $lte: new Date() } });
+
+  await Promise.all(expired.map(async (job) => {
+    if (job.fileName) {
+      await fs.rm(getExportPath(job), { force: true });
+    }
+    await job.deleteOne();
+  }));
+
+  await ExportJob.updateMany(
+    { status: { $in: ['pending', 'processing'] }, createdAt: { $lte: new Date(Date.now() - STALE_JOB_MS) } },
+    { status: 'failed', error: 'The export was interrupted. Please try again.' }
+  );
+};
+
+// The archive: profile, what the assistant remembers, every conversation
+// with all branches as JSON (importable again), and a Markdown transcript
+// of each active branch
+const buildArchive = async (userId) => {
+  const [user, memories, conversations] = await Promise.all([
+    User.findById(userId).select('-password'),
+    Memory.find({ userId }).sort({ createdAt: 1 }),
+    Conversation.find({ userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  const entries = [];
+  for (const conversation of conversations) {
+    entries.push({ conversation, messages: await getConversationMessages(conversation._id) });
+  }
+
+  const files = [
+    { name: 'user.json', content: JSON.stringify(user.toPublicJSON(), null, 2) },
+    { name: 'memories.json', content: JSON.stringify(memories.map(memory => memory.toPublicJSON()), null, 2) },
+    { name: 'conversations.json', content: JSON.stringify(toJsonExport(entries), null, 2) },
+    ...entries.map(({ conversation, messages }) => ({
+      name: `markdown/${getExportFileName(conversation, 'md')}`,
+      content: toMarkdown(conversation, messages)
+    }))
+  ];
+
+  return { zip: await createZipInWorker(files), conversationCount: conversations.length };
+};
+
+const runExportJob = async (job) => {
+  try {
+    job.status = 'processing';
+    await job.save();
+
+    const { zip, conversationCount } = await buildArchive(job.userId);
+    const fileName = `${job._id}.zip`;
+
+    await fs.mkdir(getExportDir(), { recursive: true });
+    await fs.writeFile(path.join(getExportDir(), fileName), zip);
+
+    const now = new Date();
+    Object.assign(job, {
+      status: 'ready',
+      fileName,
+      size: zip.length,
+      conversationCount,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + EXPORT_TTL_MS)
+    });
+    await job.save();
+  } catch (error) {
+    console.error('Data export error:', error);
+    job.status = 'failed';
+    job.error = 'The export could not be created. Please try again.';
+    await job.save().catch(() => {});
+  }
+};
+
+// Start building an export for a user in the background. Resolves with the
+// job, or null when one of theirs is still running.
+export const startExport = async (userId) => {
+  await cleanUpExports();
+
+  const running = await ExportJob.exists({ userId, status: { $in: ['pending', 'processing'] } });
+  if (running) return null;
+
+  const job = await ExportJob.create({
+    userId,
+    expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+  });
+
+  setImmediate(() => runExportJob(job));
+
+  return job;
+};
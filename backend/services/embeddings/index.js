@@ -0,0 +1,48 @@
+import { recordUsage } from '../usage.js';
+import { createLocalEmbedder } from './local.js';
+import { createOpenAIEmbedder } from './openai.js';
+
+// Created on first use, like the LLM providers, so values from .env apply
+const embedderFactories = {
+  local: () => createLocalEmbedder({ dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || 512 }),
+  openai: () => process.env.OPENAI_API_KEY
+    ? createOpenAIEmbedder({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.EMBEDDING_BASE_URL,
+      model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
+    })
+    : null
+};
+
+let embedder;
+
+// The embedder named by EMBEDDING_PROVIDER (local or openai; default local).
+// An embedder has a `name`, a `model` and `embed(texts)`, resolving with
+// { vectors, usage }: one vector per text, and the tokens the provider
+// counted ({ promptTokens, completionTokens, totalTokens }) or null.
+export const getEmbedder = () => {
+  if (!embedder) {
+    const name = process.env.EMBEDDING_PROVIDER || 'local';
+    const factory = embedderFactories[name];
+    embedder = factory ? factory() : null;
+
+    if (!embedder) {
+      throw new Error(`Embedding provider "${name}" is unknown or not configured`);
+    }
+  }
+  return embedder;
+};
+
+// "provider:model" of the current embedder, stored with the vectors it made.
+// Vectors from different models can't be compared.
+export const getEmbeddingModelId = () => `${getEmbedder().name}:${getEmbedder().model}`;
+
+// One vector per text. The tokens are added to the usage of `userId`, when
+// given, so embedding counts towards the plan quotas like chatting.
+export const embedTexts = async (texts, { userId } = {}) => {
+  const { vectors, usage } = await getEmbedder().embed(texts);
+  if (userId && usage?.totalTokens) {
+    await recordUsage(userId, usage, { requests: 0 });
+  }
+  return vectors;
+};
@@ -0,0 +1,61 @@
+// Embeds text in this process, without a model or network access, by
+// feature hashing: words and the character trigrams of each word are hashed
+// into a fixed number of dimensions. Texts sharing words (or parts of words,
+// which catches inflections and typos) end up close together. It knows
+// nothing about synonyms, so it finds passages by their wording rather than
+// their meaning the way a learned model does.
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.5;
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length ? vector.map(value => value / length) : vector;
+};
+
+export const createLocalEmbedder = ({ dimensions = 512 } = {}) => {
+  const embedOne = (text) => {
+    const counts = new Map();
+    const addFeature = (feature) => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+    tokenize(text).forEach(word => {
+      addFeature(`w:${word}`);
+      const padded = `#${word}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`t:${padded.slice(i, i + 3)}`);
+      }
+    });
+
+    // Damp repeated features; the hash's top bit picks the sign so that
+    // collisions tend to cancel out rather than add up
+    const vector = new Array(dimensions).fill(0);
+    counts.forEach((count, feature) => {
+      const value = hash(feature);
+      const weight = feature.startsWith('w:') ? WORD_WEIGHT : TRIGRAM_WEIGHT;
+      vector[value % dimensions] += (value & 0x80000000 ? -1 : 1) * weight * (1 + Math.log(count));
+    });
+
+    return normalize(vector);
+  };
+
+  return {
+    name: 'local',
+    model: `hash-${dimensions}`,
+
+    // Runs in this process, so there are no tokens to count
+    async embed(texts) {
+      return { vectors: texts.map(embedOne), usage: null };
+    }
+  };
+};
@@ -0,0 +1,34 @@
+import OpenAI from 'openai';
+
+// Texts sent per request; the API accepts up to 2048
+const BATCH_SIZE = 100;
+
+// Embeddings from the OpenAI API, or any server that speaks the same
+// protocol when given a baseURL
+export const createOpenAIEmbedder = ({ apiKey, baseURL, model }) => {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: 'openai',
+    model,
+
+    async embed(texts) {
+      const vectors = [];
+      let tokens = 0;
+
+      for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+        const response = await client.embeddings.create({
+          model,
+          input: texts.slice(start, start + BATCH_SIZE)
+        });
+        // Results come back with the index of their input
+        response.data
+          .sort((a, b) => a.index - b.index)
+          .forEach(item => vectors.push(item.embedding));
+        tokens += response.usage?.total_tokens || 0;
+      }
+
+      return { vectors, usage: { promptTokens: tokens, completionTokens: 0, totalTokens: tokens } };
+    }
+  };
+};
@@ -0,0 +1,75 @@
+import Message, { FEEDBACK_REASONS } from '../models/Message.js';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Ratings of assistant messages as { model, day, rating, reason } rows,
+// optionally limited to replies generated within [from, to] (UTC days) or by one model
+const buildPipeline = ({ from, to, model }) => {
+  const match = { 'feedback.rating': { $exists: true } };
+
+  if (from || to) {
+    match.timestamp = {
+      ...(from && { $gte: new Date(`${from}T00:00:00.000Z`) }),
+      ...(to && { $lte: new Date(`${to}T23:59:59.999Z`) })
+    };
+  }
+  if (model) match.model = model;
+
+  return [
+    { $match: match },
+    {
+      $project: {
+        _id: 0,
+        model: 1,
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+        rating: '$feedback.rating',
+        reason: '$feedback.reason'
+      }
+    }
+  ];
+};
+
+const emptyTotals = () => ({
+  up: 0,
+  down: 0,
+  total: 0,
+  satisfaction: null,
+  reasons: Object.fromEntries(FEEDBACK_REASONS.map(reason => [reason, 0]))
+});
+
+const addRating = (totals, { rating, reason }) => {
+  totals[rating]++;
+  totals.total++;
+  totals.satisfaction = Math.round((totals.up / totals.total) * 1000) / 1000;
+  if (reason) totals.reasons[reason]++;
+};
+
+export const isValidDay = (value) => DAY_PATTERN.test(value) && !isNaN(new Date(value));
+
+// Rating counts per model and per day and model, so models can be compared.
+// `satisfaction` is the share of good ratings (0-1), null without ratings.
+export const getFeedbackReport = async ({ from, to, model } = {}) => {
+  const rows = await Message.aggregate(buildPipeline({ from, to, model }));
+
+  const overall = emptyTotals();
+  const byModel = new Map();
+  const byDay = new Map();
+
+  rows.forEach(row => {
+    const dayKey = `${row.day}|${row.model}`;
+    if (!byModel.has(row.model)) byModel.set(row.model, { model: row.model, ...emptyTotals() });
+    if (!byDay.has(dayKey)) byDay.set(dayKey, { day: row.day, model: row.model, ...emptyTotals() });
+
+    addRating(overall, row);
+    addRating(byModel.get(row.model), row);
+    addRating(byDay.get(dayKey), row);
+  });
+
+  return {
+    from: from || null,
+    to: to || null,
+    overall,
+    byModel: [...byModel.values()].sort((a, b) => b.total - a.total),
+    byDay: [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day) || a.model.localeCompare(b.model))
+  };
+};
@@ -0,0 +1,47 @@
+import sharp from 'sharp';
+
+// Longest side images are scaled down to; vision models downscale larger
+// images anyway
+const MAX_DIMENSION = 2048;
+// Largest decoded image accepted, in pixels, so a small file can't expand
+// into a huge bitmap
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Accepted image files, by extension and by the format found in the data
+export const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'webp', 'gif']);
+const IMAGE_FORMATS = new Set(['png', 'jpeg', 'webp', 'gif']);
+
+// Check an uploaded image and re-encode it for sending to models: rotated
+// upright, scaled to fit MAX_DIMENSION and without metadata. Photos become
+// JPEG; images with transparency, and GIFs (first frame), become PNG.
+// Resolves with null if the data isn't a readable image in one of these formats.
+export const processImage = async (data) => {
+  let metadata;
+  try {
+    metadata = await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    return null;
+  }
+  if (!IMAGE_FORMATS.has(metadata.format) || !metadata.width || !metadata.height) {
+    return null;
+  }
+
+  const asPng = metadata.hasAlpha || metadata.format === 'png' || metadata.format === 'gif';
+  let pipeline = sharp(data, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+  pipeline = asPng ? pipeline.png() : pipeline.jpeg({ quality: 85 });
+
+  try {
+    const { data: output, info } = await pipeline.toBuffer({ resolveWithObject: true });
+    return {
+      data: output,
+      mimeType: asPng ? 'image/png' : 'image/jpeg',
+      extension: asPng ? 'png' : 'jpg',
+      width: info.width,
+      height: info.height
+    };
+  } catch {
+    return null;
+  }
+};
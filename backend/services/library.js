@@ -0,0 +1,215 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import LibraryDocument from '../models/LibraryDocument.js';
+import LibraryChunk from '../models/LibraryChunk.js';
+import { getDocumentMimeType, isDocumentFile, readText } from './attachments.js';
+import { splitIntoChunks } from './retrieval.js';
+import { embedTexts, getEmbeddingModelId } from './embeddings/index.js';
+import { getVectorIndex } from './vectorIndex/index.js';
+
+// Documents one conversation can draw on
+export const MAX_LIBRARY_SOURCES = 20;
+// Characters of extracted text kept per document
+const MAX_TEXT_LENGTH = 1000000;
+
+export class LibraryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LibraryError';
+    this.status = status;
+  }
+}
+
+// Documents a user can keep (LIBRARY_MAX_DOCUMENTS, default 100)
+const getMaxDocuments = () => parseInt(process.env.LIBRARY_MAX_DOCUMENTS, 10) || 100;
+
+// Passages retrieved for each message (LIBRARY_TOP_K, default 6)
+export const getLibraryTopK = () => parseInt(process.env.LIBRARY_TOP_K, 10) || 6;
+
+// Embed the chunks of a document saved with another model than the current
+// one, so its vectors can be compared with the query's again
+const reembedDocument = async (documentId, embeddingModel) => {
+  // It may have been deleted or embedded again since it was queued
+  const document = await LibraryDocument.findById(documentId).select('userId embeddingModel');
+  if (!document || document.embeddingModel === embeddingModel) return;
+
+  const chunks = await LibraryChunk.find({ documentId }).select('text').sort({ index: 1 });
+  const vectors = await embedTexts(chunks.map(chunk => chunk.text), { userId: document.userId });
+
+  await LibraryChunk.bulkWrite(chunks.map((chunk, index) => ({
+    updateOne: { filter: { _id: chunk._id }, update: { embedding: vectors[index] } }
+  })));
+  await LibraryDocument.updateOne({ _id: documentId }, { embeddingModel });
+  await getVectorIndex().add(documentId, chunks.map((chunk, index) => ({ _id: chunk._id, embedding: vectors[index] })));
+};
+
+// Ids of documents waiting to be embedded again, and the queue that embeds
+// them one at a time in the background
+const reembedding = new Set();
+let reembedQueue = Promise.resolve();
+
+const queueReembed = (documentId, embeddingModel) => {
+  const id = String(documentId);
+  if (reembedding.has(id)) return;
+  reembedding.add(id);
+
+  reembedQueue = reembedQueue
+    .then(() => reembedDocument(documentId, embeddingModel))
+    .catch(error => console.error('Re-embed library document error:', error))
+    .finally(() => reembedding.delete(id));
+};
+
+// Add an uploaded file to a user's library: extract its text, split it
+// into chunks and embed them. Resolves with the new document.
+export const addLibraryDocument = async (userId, { name, data }) => {
+  const fileName = path.basename(String(name || '')).trim();
+  if (!fileName) {
+    throw new LibraryError('File name is required');
+  }
+  if (!data?.length) {
+    throw new LibraryError('The file is empty');
+  }
+  if (!isDocumentFile(fileName)) {
+    throw new LibraryError('Unsupported file type. Add a PDF, text, Markdown, CSV or source code file.');
+  }
+
+  const count = await LibraryDocument.countDocuments({ userId });
+  if (count >= getMaxDocuments()) {
+    throw new LibraryError(`Your library can hold up to ${getMaxDocuments()} documents. Delete some to add more.`);
+  }
+
+  let extracted;
+  try {
+    extracted = await readText(fileName, data);
+  } catch (error) {
+    if (error.name === 'AttachmentError') {
+      throw new LibraryError(error.message);
+    }
+    throw error;
+  }
+
+  const texts = splitIntoChunks(extracted.text.slice(0, MAX_TEXT_LENGTH));
+  if (texts.length === 0) {
+    throw new LibraryError('No text could be read from this file');
+  }
+
+  // Embedding is the slow part that can fail, so it comes before saving
+  const vectors = await embedTexts(texts, { userId });
+
+  const document = await LibraryDocument.create({
+    userId,
+    name: fileName.slice(0, 255),
+    mimeType: getDocumentMimeType(fileName),
+    kind: extracted.kind,
+    size: data.length,
+    chunkCount: texts.length,
+    embeddingModel: getEmbeddingModelId()
+  });
+
+  try {
+    const chunks = await LibraryChunk.insertMany(texts.map((text, index) => ({
+      userId,
+      documentId: document._id,
+      index,
+      text,
+      embedding: vectors[index]
+    })));
+    await getVectorIndex().add(document._id, chunks);
+  } catch (error) {
+    await LibraryChunk.deleteMany({ documentId: document._id });
+    await document.deleteOne();
+    throw error;
+  }
+
+  return document;
+};
+
+// Remove a document from a user's library; conversations that drew on it
+// carry on without it. Resolves with false if there is none.
+export const deleteLibraryDocument = async (userId, documentId) => {
+  const document = await LibraryDocument.findOneAndDelete({ _id: documentId, userId });
+  if (!document) return false;
+
+  await LibraryChunk.deleteMany({ documentId: document._id });
+  await getVectorIndex().remove(document._id);
+  await Conversation.updateMany(
+    { librarySources: document._id },
+    { $pull: { librarySources: document._id } }
+  );
+  return true;
+};
+
+// The documents with these ids a user can pick as a conversation's sources:
+// their own, in the order given
+export const findLibraryDocuments = async (userId, documentIds) => {
+  if (!Array.isArray(documentIds)) {
+    throw new LibraryError('Library sources must be a list of document IDs');
+  }
+
+  const ids = [...new Set(documentIds.map(String))];
+  if (ids.length > MAX_LIBRARY_SOURCES) {
+    throw new LibraryError(`A chat can draw on up to ${MAX_LIBRARY_SOURCES} documents`);
+  }
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    throw new LibraryError('Invalid document ID');
+  }
+  if (ids.length === 0) return [];
+
+  const documents = await LibraryDocument.find({ _id: { $in: ids }, userId });
+  if (documents.length !== ids.length) {
+    throw new LibraryError('Document not found');
+  }
+
+  return ids.map(id => documents.find(document => document._id.equals(id)));
+};
+
+// The library documents a conversation draws on that still exist
+export const getConversationSources = async (conversation) => {
+  if (!conversation?.librarySources?.length) return [];
+
+  return LibraryDocument.find({ _id: { $in: conversation.librarySources }, userId: conversation.userId });
+};
+
+// The passages of these documents closest in meaning to the query, best
+// first, as { documentId, documentName, index, text, score }. Documents
+// embedded with another model than the current one are queued to be
+// embedded again and left out until they are. Embedding the query counts
+// towards the usage of `userId`.
+export const searchLibrary = async (documents, query, { limit = getLibraryTopK(), userId } = {}) => {
+  if (documents.length === 0 || !query?.trim()) return [];
+
+  const embeddingModel = getEmbeddingModelId();
+  const current = documents.filter(document => document.embeddingModel === embeddingModel);
+  documents
+    .filter(document => document.embeddingModel !== embeddingModel)
+    .forEach(document => queueReembed(document._id, embeddingModel));
+  if (current.length === 0) return [];
+
+  const [vector] = await embedTexts([query], { userId });
+  const results = await getVectorIndex().search({
+    documentIds: current.map(document => document._id),
+    vector,
+    limit
+  });
+
+  const chunks = await LibraryChunk.find({ _id: { $in: results.map(result => result.chunkId) } })
+    .select('documentId index text')
+    .lean();
+  const chunksById = new Map(chunks.map(chunk => [String(chunk._id), chunk]));
+  const names = new Map(documents.map(document => [String(document._id), document.name]));
+
+  // A chunk can be gone if its document was deleted meanwhile
+  return results
+    .filter(result => chunksById.has(String(result.chunkId)))
+    .map(result => {
+      const chunk = chunksById.get(String(result.chunkId));
+      return {
+        documentId: chunk.documentId,
+        documentName: names.get(String(chunk.documentId)),
+        index: chunk.index,
+        text: chunk.text,
+        score: result.score
+      };
+    });
+};
@@ -0,0 +1,20 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LibraryDocument from '../models/LibraryDocument.js';
+import { searchLibrary } from './library.js';
+
+afterEach(() => mock.restoreAll());
+
+test('documents embedded by another model are left out and queued once', async () => {
+  const stale = { _id: new mongoose.Types.ObjectId(), name: 'old.md', embeddingModel: 'openai:text-embedding-ada-002' };
+  // Deleted before its turn, so the queue has nothing to embed
+  const found = mock.method(LibraryDocument, 'findById', () => ({ select: async () => null }));
+
+  const results = await Promise.all([searchLibrary([stale], 'hello'), searchLibrary([stale], 'hello again')]);
+  assert.deepEqual(results, [[], []]);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(found.mock.calls.length, 1);
+  assert.ok(found.mock.calls[0].arguments[0].equals(stale._id));
+});
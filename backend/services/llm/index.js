@@ -0,0 +1,126 @@
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+// Providers are created on first use so environment variables loaded by
+// dotenv in server.js are visible when the clients are configured.
+const providerFactories = {
+  openai: () => process.env.OPENAI_API_KEY
+    ? createOpenAIProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY
+    })
+    : null,
+  local: () => process.env.LOCAL_LLM_BASE_URL
+    ? createOpenAIProvider({
+      name: 'local',
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LOCAL_LLM_BASE_URL
+    })
+    : null,
+  mock: () => createMockProvider()
+};
+
+const providers = new Map();
+
+export const getProvider = (name) => {
+  if (!providers.has(name)) {
+    const factory = providerFactories[name];
+    providers.set(name, factory ? factory() : null);
+  }
+  return providers.get(name);
+};
+
+// Default model id, e.g. "gpt-4o-mini", "local:llama3" or "mock:echo"
+export const getDefaultModel = () => process.env.LLM_DEFAULT_MODEL || 'gpt-4o-mini';
+
+// Split a model id of the form "provider:model" into its parts.
+// Ids without a prefix use the LLM_PROVIDER setting (default "openai").
+export const parseModelId = (modelId = getDefaultModel()) => {
+  const separator = modelId.indexOf(':');
+
+  if (separator === -1) {
+    return { provider: process.env.LLM_PROVIDER || 'openai', model: modelId };
+  }
+
+  return {
+    provider: modelId.slice(0, separator),
+    model: modelId.slice(separator + 1)
+  };
+};
+
+// Fully qualified "provider:model" form of a model id
+export const qualifyModelId = (modelId) => {
+  const { provider, model } = parseModelId(modelId);
+  return `${provider}:${model}`;
+};
+
+// Models users may pick, configured as a comma-separated LLM_ALLOWED_MODELS
+// list. The default model is always allowed.
+export const getAllowedModels = () => {
+  const configured = (process.env.LLM_ALLOWED_MODELS || 'openai:gpt-4o-mini,openai:gpt-4o')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  return [...new Set([getDefaultModel(), ...configured].map(qualifyModelId))];
+};
+
+export const isModelAllowed = (modelId) => typeof modelId === 'string' && getAllowedModels().includes(qualifyModelId(modelId));
+
+// Qualified ids in a comma-separated list of models from the environment
+const readModelList = (value = '') => value
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean)
+  .map(qualifyModelId);
+
+// Well-known models that accept images; LLM_VISION_MODELS adds to these
+const VISION_MODELS = ['openai:gpt-4o-mini', 'openai:gpt-4o', 'openai:gpt-4-turbo', 'mock:echo'];
+
+export const supportsVision = (modelId) => {
+  const configured = readModelList(process.env.LLM_VISION_MODELS);
+  return [...VISION_MODELS, ...configured].includes(qualifyModelId(modelId));
+};
+
+// Well-known models that can call tools; LLM_TOOL_MODELS adds to these
+const TOOL_MODELS = ['openai:gpt-4o-mini', 'openai:gpt-4o', 'openai:gpt-4-turbo', 'openai:gpt-3.5-turbo', 'mock:echo'];
+
+export const supportsTools = (modelId) => {
+  const configured = readModelList(process.env.LLM_TOOL_MODELS);
+  return [...TOOL_MODELS, ...configured].includes(qualifyModelId(modelId));
+};
+
+// Context window sizes (in tokens) of well-known models
+const CONTEXT_WINDOWS = {
+  'openai:gpt-4o-mini': 128000,
+  'openai:gpt-4o': 128000,
+  'openai:gpt-4-turbo': 128000,
+  'openai:gpt-3.5-turbo': 16385,
+  'mock:echo': 2048
+};
+
+// Tokens a request to this model may use, capped by LLM_MAX_CONTEXT_TOKENS
+// to limit cost. Unknown models use LLM_DEFAULT_CONTEXT_WINDOW (default 8192).
+export const getContextWindow = (modelId) => {
+  const contextWindow = CONTEXT_WINDOWS[qualifyModelId(modelId)]
+    || Number(process.env.LLM_DEFAULT_CONTEXT_WINDOW)
+    || 8192;
+  const maxContextTokens = Number(process.env.LLM_MAX_CONTEXT_TOKENS);
+
+  return maxContextTokens ? Math.min(contextWindow, maxContextTokens) : contextWindow;
+};
+
+// Resolve a model id to its provider, or null if the provider is unknown
+// or not configured. `id` is the fully qualified name stored on messages.
+export const resolveModel = (modelId) => {
+  const { provider: providerName, model } = parseModelId(modelId || getDefaultModel());
+  const provider = getProvider(providerName);
+
+  if (!provider || !model) return null;
+
+  return {
+    provider,
+    model,
+    id: `${providerName}:${model}`
+  };
+};
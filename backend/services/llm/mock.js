@@ -0,0 +1,77 @@
+// Deterministic provider for tests and offline development.
+// Replies by echoing the last user message and never calls the network.
+// When tools are offered, a last message of the form "/<tool> <JSON
+// arguments>" calls that tool, and the reply then echoes its result.
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Text of a message's content, with images noted as "[image]"
+const toText = (content = '') => (
+  Array.isArray(content)
+    ? content.map(part => part.type === 'image' ? '[image]' : part.text).join(' ')
+    : content
+);
+
+// Echo the last user message or tool result, cut to maxTokens words like a real model would
+const buildReply = (messages, maxTokens) => {
+  const lastMessage = messages[messages.length - 1];
+  const echoed = lastMessage?.role === 'tool'
+    ? lastMessage
+    : [...messages].reverse().find(msg => msg.role === 'user');
+  const words = `Echo: ${toText(echoed?.content)}`.split(/(?<=\s)/);
+  return (maxTokens ? words.slice(0, maxTokens) : words).join('').trimEnd();
+};
+
+// The tool call the last message asks for, if that tool is offered
+const findToolCall = (messages, tools = [], toolChoice) => {
+  const lastMessage = messages[messages.length - 1];
+  if (toolChoice === 'none' || lastMessage?.role !== 'user') return null;
+
+  const match = toText(lastMessage.content).match(/^\/(\S+)\s*([\s\S]*)$/);
+  if (!match || !tools.some(tool => tool.name === match[1])) return null;
+
+  return { id: `call_${messages.length}`, name: match[1], arguments: match[2].trim() || '{}' };
+};
+
+const buildUsage = (messages, reply) => {
+  const promptTokens = messages.reduce((sum, msg) => sum + countTokens(toText(msg.content)), 0);
+  const completionTokens = countTokens(reply);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens
+  };
+};
+
+export const createMockProvider = ({ name = 'mock' } = {}) => ({
+  name,
+
+  async complete({ messages, maxTokens, tools, toolChoice }) {
+    const toolCall = findToolCall(messages, tools, toolChoice);
+    if (toolCall) {
+      return { content: '', toolCalls: [toolCall], usage: buildUsage(messages, toolCall.arguments) };
+    }
+
+    const content = buildReply(messages, maxTokens);
+    return { content, toolCalls: [], usage: buildUsage(messages, content) };
+  },
+
+  async *stream({ messages, maxTokens, tools, toolChoice, signal }) {
+    const toolCall = findToolCall(messages, tools, toolChoice);
+    if (toolCall) {
+      yield { toolCalls: [toolCall] };
+      yield { usage: buildUsage(messages, toolCall.arguments) };
+      return;
+    }
+
+    const content = buildReply(messages, maxTokens);
+
+    // Emit word by word so clients exercise their streaming path
+    for (const piece of content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield { content: piece };
+    }
+
+    yield { usage: buildUsage(messages, content) };
+  }
+});
@@ -0,0 +1,115 @@
+import OpenAI from 'openai';
+
+// Normalize the usage block OpenAI-compatible APIs return
+const toUsage = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  completionTokens: usage?.completion_tokens || 0,
+  totalTokens: usage?.total_tokens || 0
+});
+
+// Message content is a string or a list of parts; image parts become data URLs
+const toOpenAIContent = (content) => (
+  Array.isArray(content)
+    ? content.map(part => part.type === 'image'
+      ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+      : { type: 'text', text: part.text })
+    : content
+);
+
+// Messages carry tool calls as { id, name, arguments } and tool results as
+// { role: 'tool', toolCallId, content }; OpenAI nests them differently
+const toOpenAIMessage = ({ toolCalls, toolCallId, ...msg }) => {
+  if (msg.role === 'tool') {
+    return { role: 'tool', tool_call_id: toolCallId, content: msg.content };
+  }
+
+  return {
+    ...msg,
+    // Messages that only call tools have no text
+    content: toolCalls?.length > 0 && !msg.content ? null : toOpenAIContent(msg.content),
+    ...(toolCalls?.length > 0 && {
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    })
+  };
+};
+
+const fromOpenAIToolCalls = (toolCalls = []) => toolCalls.map(call => ({
+  id: call.id,
+  name: call.function.name,
+  arguments: call.function.arguments || '{}'
+}));
+
+// Provider for the OpenAI API and any server that speaks the same protocol
+// (llama.cpp, Ollama, vLLM, ...) when given a baseURL
+export const createOpenAIProvider = ({ name, apiKey, baseURL }) => {
+  const client = new OpenAI({ apiKey, baseURL });
+
+  const buildRequest = ({ model, messages, temperature, maxTokens, topP, tools, toolChoice }) => ({
+    model,
+    messages: messages.map(toOpenAIMessage),
+    max_tokens: maxTokens,
+    temperature,
+    top_p: topP,
+    ...(tools?.length > 0 && {
+      tools: tools.map(tool => ({ type: 'function', function: tool })),
+      tool_choice: toolChoice
+    })
+  });
+
+  return {
+    name,
+
+    async complete(options) {
+      const completion = await client.chat.completions.create(
+        buildRequest(options),
+        { signal: options.signal }
+      );
+
+      const { message } = completion.choices[0];
+
+      return {
+        content: message.content || '',
+        toolCalls: fromOpenAIToolCalls(message.tool_calls),
+        usage: toUsage(completion.usage)
+      };
+    },
+
+    async *stream(options) {
+      const completionStream = await client.chat.completions.create(
+        {
+          ...buildRequest(options),
+          stream: true,
+          stream_options: { include_usage: true }
+        },
+        { signal: options.signal }
+      );
+
+      // Tool calls arrive in pieces, by their index in the list
+      const toolCalls = [];
+
+      for await (const chunk of completionStream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) {
+          yield { content: delta.content };
+        }
+        delta?.tool_calls?.forEach(({ index, id, function: fn }) => {
+          const call = toolCalls[index] || (toolCalls[index] = { id: '', function: { name: '', arguments: '' } });
+          if (id) call.id = id;
+          if (fn?.name) call.function.name += fn.name;
+          if (fn?.arguments) call.function.arguments += fn.arguments;
+        });
+        if (chunk.usage) {
+          yield { usage: toUsage(chunk.usage) };
+        }
+      }
+
+      if (toolCalls.length > 0) {
+        yield { toolCalls: fromOpenAIToolCalls(toolCalls.filter(Boolean)) };
+      }
+    }
+  };
+};
@@ -0,0 +1,8 @@
+// Prints messages to the server log; the default when nothing is configured
+export const createConsoleTransport = ({ from }) => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail from ${from} to ${to}: ${subject}\n${text}`);
+  }
+});
@@ -0,0 +1,20 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Writes each message to a JSON file instead of sending it, so local setups
+// and tests can read links such as password reset URLs from disk
+export const createFileTransport = ({ dir, from }) => ({
+  name: 'file',
+
+  async send({ to, subject, text, html }) {
+    await fs.mkdir(dir, { recursive: true });
+
+    const sentAt = new Date();
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${to.replace(/[^\w.@-]/g, '_')}.json`;
+
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2)
+    );
+  }
+});
@@ -0,0 +1,33 @@
+import { createSmtpTransport } from './smtp.js';
+import { createFileTransport } from './file.js';
+import { createConsoleTransport } from './console.js';
+
+const getSender = () => process.env.MAIL_FROM || 'ChatGPT Clone <no-reply@localhost>';
+
+// Created on first use, like the LLM providers, so values from .env apply
+const transportFactories = {
+  smtp: () => process.env.SMTP_URL
+    ? createSmtpTransport({ url: process.env.SMTP_URL, from: getSender() })
+    : null,
+  file: () => createFileTransport({ dir: process.env.MAIL_FILE_DIR || 'mail', from: getSender() }),
+  console: () => createConsoleTransport({ from: getSender() })
+};
+
+let transport;
+
+// The transport named by MAIL_TRANSPORT (smtp, file or console; default console)
+export const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    transport = factory ? factory() : null;
+
+    if (!transport) {
+      throw new Error(`Mail transport "${name}" is unknown or not configured`);
+    }
+  }
+  return transport;
+};
+
+// Send { to, subject, text, html } with the configured transport
+export const sendMail = (message) => getMailTransport().send(message);
@@ -0,0 +1,14 @@
+import nodemailer from 'nodemailer';
+
+// Sends mail through an SMTP server, e.g. a provider's relay or Mailpit
+export const createSmtpTransport = ({ url, from }) => {
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text, html }) {
+      await transporter.sendMail({ from, to, subject, text, html });
+    }
+  };
+};
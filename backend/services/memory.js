@@ -0,0 +1,153 @@
+import Memory, { MAX_MEMORY_LENGTH } from '../models/Memory.js';
+import { estimateTokens } from './context.js';
+
+// Saved memories that go into the system prompt, newest first
+const MAX_MEMORY_TOKENS = 2000;
+// Facts proposed from one exchange, and waiting for the user at most
+const MAX_PROPOSALS_PER_EXCHANGE = 3;
+const MAX_PENDING_PROPOSALS = 20;
+// Upper bound for the model's list of facts
+const PROPOSAL_MAX_TOKENS = 300;
+
+const PROPOSAL_INSTRUCTIONS = 'You pick out facts worth remembering about a user for future conversations with an AI assistant. ' +
+  'Read the latest exchange and list lasting facts or preferences the user shared about themselves: ' +
+  'name, work, location, ongoing projects, tools they use, how they like answers. ' +
+  'Skip one-off requests, general knowledge, anything the assistant said about itself and anything already remembered. ' +
+  'Skip sensitive details (health, religion, politics, sexuality, finances) unless the user asked you to remember them. ' +
+  'Write each fact as one short sentence about "the user". ' +
+  'Answer with a JSON array of strings only, such as ["The user is a nurse in Berlin."], or [] when there is nothing.';
+
+const NO_PROPOSALS = { memories: [], usage: null };
+
+export class MemoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MemoryError';
+    this.status = status;
+  }
+}
+
+// Memories a user can save (MEMORY_MAX_ENTRIES, default 100)
+export const getMaxMemories = () => parseInt(process.env.MEMORY_MAX_ENTRIES, 10) || 100;
+
+// Memory applies to signed-in users who haven't turned it off, outside
+// temporary chats
+export const isMemoryEnabled = (user, conversation) => (
+  Boolean(user) && user.preferences?.memoryEnabled !== false && !conversation?.temporary
+);
+
+const normalize = (content) => content.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Make room for a saved memory, or fail when the user has reached the limit
+export const checkMemoryLimit = async (userId) => {
+  const count = await Memory.countDocuments({ userId, status: 'saved' });
+  if (count >= getMaxMemories()) {
+    throw new MemoryError(`You can keep up to ${getMaxMemories()} memories. Delete some to add more.`);
+  }
+};
+
+// Save a memory the user wrote themselves
+export const addMemory = async (userId, content) => {
+  await checkMemoryLimit(userId);
+  return Memory.create({ userId, content, status: 'saved' });
+};
+
+// The system prompt section listing what the assistant remembers about the
+// user, or '' when there's nothing. The newest memories win when they don't
+// all fit in MAX_MEMORY_TOKENS.
+export const getMemoryPrompt = async (userId) => {
+  const memories = await Memory.find({ userId, status: 'saved' }).select('content').sort({ createdAt: -1 }).lean();
+
+  const lines = [];
+  let tokens = 0;
+  for (const { content } of memories) {
+    tokens += estimateTokens(content) + 2;
+    if (tokens > MAX_MEMORY_TOKENS) break;
+    lines.push(`- ${content}`);
+  }
+
+  if (lines.length === 0) return '';
+
+  return 'What you remember about the user from earlier conversations. ' +
+    'Use it where it helps without pointing out that you remember it, and go by what the user says now when it disagrees:\n' +
+    lines.reverse().join('\n');
+};
+
+// The facts in the model's answer: a JSON array of strings, possibly
+// wrapped in other text or a code block
+const parseProposals = (content) => {
+  const match = content.match(/\[[\s\S]*\]/);
+  if (!match) return [];
+
+  try {
+    const facts = JSON.parse(match[0]);
+    return Array.isArray(facts)
+      ? facts.filter(fact => typeof fact === 'string').map(fact => fact.trim()).filter(Boolean)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+// Ask the model for facts about the user in the latest exchange and keep
+// the new ones as proposals for the user to save or dismiss. Only the
+// newest MAX_PENDING_PROPOSALS wait; older ones are dropped. Resolves with
+// { memories, usage }: the proposals and the tokens spent finding them.
+export const proposeMemories = async ({ user, conversation, message, reply, provider, model }) => {
+  if (!message || !reply) return NO_PROPOSALS;
+
+  const existing = await Memory.find({ userId: user._id }).select('content').lean();
+  const known = new Set(existing.map(memory => normalize(memory.content)));
+
+  const { content, usage } = await provider.complete({
+    model,
+    messages: [
+      { role: 'system', content: PROPOSAL_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: [
+          existing.length > 0 && `Already remembered:\n${existing.map(memory => `- ${memory.content}`).join('\n')}`,
+          `User: ${message}\n\nAssistant: ${reply}`
+        ].filter(Boolean).join('\n\n')
+      }
+    ],
+    maxTokens: PROPOSAL_MAX_TOKENS,
+    temperature: 0
+  });
+
+  const facts = [];
+  for (const fact of parseProposals(content || '')) {
+    const key = normalize(fact);
+    if (!key || known.has(key)) continue;
+    known.add(key);
+    facts.push(fact.slice(0, MAX_MEMORY_LENGTH));
+    if (facts.length === MAX_PROPOSALS_PER_EXCHANGE) break;
+  }
+
+  if (facts.length === 0) return { memories: [], usage };
+
+  const memories = await Memory.insertMany(facts.map(fact => ({
+    userId: user._id,
+    content: fact,
+    status: 'proposed',
+    conversationId: conversation?._id || null
+  })));
+
+  const stale = await Memory.find({ userId: user._id, status: 'proposed' })
+    .select('_id')
+    .sort({ createdAt: -1 })
+    .skip(MAX_PENDING_PROPOSALS)
+    .lean();
+  if (stale.length > 0) {
+    await Memory.deleteMany({ _id: { $in: stale.map(memory => memory._id) } });
+  }
+
+  return { memories, usage };
+};
+
+// proposeMemories, with failures logged instead of thrown: a reply is
+// never lost because its facts couldn't be picked out
+export const tryProposeMemories = (options) => proposeMemories(options).catch((error) => {
+  console.error('Propose memories error:', error);
+  return NO_PROPOSALS;
+});
@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Providers are listed in OIDC_PROVIDERS (e.g. "corp,google") and each one
+// is configured with OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID and optionally
+// OIDC_<ID>_CLIENT_SECRET, OIDC_<ID>_NAME and OIDC_<ID>_SCOPES
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Asymmetric algorithms only; the signing key always comes from the JWKS
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Error whose message can be shown to the user signing in
+export class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+const readProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  const issuer = process.env[`${prefix}_ISSUER`];
+  const clientId = process.env[`${prefix}_CLIENT_ID`];
+
+  if (!issuer || !clientId) {
+    console.warn(`OIDC provider "${id}" needs ${prefix}_ISSUER and ${prefix}_CLIENT_ID; skipping it`);
+    return null;
+  }
+
+  return {
+    id,
+    name: process.env[`${prefix}_NAME`] || id,
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}_CLIENT_SECRET`],
+    scopes: process.env[`${prefix}_SCOPES`] || 'openid email profile'
+  };
+};
+
+let providers;
+
+// Configured providers by id, read on first use so values from .env apply
+const getProviders = () => {
+  if (!providers) {
+    providers = new Map();
+    (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(id => {
+        const provider = readProvider(id);
+        if (provider) providers.set(id, provider);
+      });
+  }
+  return providers;
+};
+
+export const getProvider = (id) => getProviders().get(String(id).toLowerCase()) || null;
+
+// Ids and button labels for the login page
+export const listProviders = () => [...getProviders().values()].map(({ id, name }) => ({ id, name }));
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok || !data) {
+    const detail = data?.error_description || data?.error || response.statusText;
+    throw new Error(`${options?.method || 'GET'} ${url} failed with ${response.status}: ${detail}`);
+  }
+  return data;
+};
+
+const discoveryCache = new Map();
+
+// The provider's discovery document, cached for an hour
+const getMetadata = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error(`Issuer mismatch for OIDC provider "${provider.id}": ${metadata.issuer}`);
+  }
+
+  discoveryCache.set(provider.id, { metadata, expiresAt: Date.now() + DISCOVERY_TTL_MS, keys: null });
+  return metadata;
+};
+
+// Public key for an ID token, refetching the JWKS once when the key id is
+// unknown so rotated keys are picked up
+const getSigningKey = async (provider, metadata, kid) => {
+  const cached = discoveryCache.get(provider.id);
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let jwk = cached.keys && findKey(cached.keys);
+  if (!jwk) {
+    cached.keys = (await fetchJson(metadata.jwks_uri)).keys || [];
+    jwk = findKey(cached.keys);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key "${kid}" at ${metadata.jwks_uri}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Values to remember between sending the user to the provider and the
+// callback: state against CSRF, nonce against ID token replay and the PKCE
+// verifier that proves the code is redeemed by whoever started the login
+export const createAuthRequest = () => ({
+  state: randomToken(),
+  nonce: randomToken(),
+  codeVerifier: randomToken()
+});
+
+export const getAuthorizationUrl = async (provider, { state, nonce, codeVerifier }, redirectUri) => {
+  const metadata = await getMetadata(provider);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Client authentication for the token endpoint. Confidential clients use
+// HTTP Basic unless the provider only accepts client_secret_post; public
+// clients rely on PKCE alone.
+const getClientAuth = (provider, metadata) => {
+  if (!provider.clientSecret) {
+    return { headers: {}, body: { client_id: provider.clientId } };
+  }
+
+  const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (!methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+    return { headers: {}, body: { client_id: provider.clientId, client_secret: provider.clientSecret } };
+  }
+
+  const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+  return { headers: { Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` }, body: {} };
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('The provider returned a malformed ID token');
+  }
+
+  const key = await getSigningKey(provider, metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+// Redeem the authorization code and resolve with the user's claims:
+// { sub, email, emailVerified, name, preferredUsername }
+export const completeAuthRequest = async (provider, { code, codeVerifier, nonce }, redirectUri) => {
+  const metadata = await getMetadata(provider);
+  const clientAuth = getClientAuth(provider, metadata);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+      ...clientAuth.headers
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      ...clientAuth.body
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new Error(`OIDC provider "${provider.id}" returned no ID token; is "openid" in its scopes?`);
+  }
+
+  let claims = await verifyIdToken(provider, metadata, tokens.id_token, nonce);
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  return {
+    sub: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    // Some providers send the flag as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name,
+    preferredUsername: claims.preferred_username
+  };
+};
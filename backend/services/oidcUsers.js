@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import { OidcError } from './oidc.js';
+import { revokeUserSessions } from './sessions.js';
+
+// The frontend redeems a login code right after the redirect
+const LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A free username based on the provider's profile, e.g. "jane.doe" or "jane.doe4821"
+const pickUsername = async ({ preferredUsername, name, email }) => {
+  const base = String(preferredUsername || name || email.split('@')[0])
+    .trim()
+    .replace(/\s+/g, '_')
+    .replace(/[^\w.-]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+    if (!await User.exists({ username: candidate })) return candidate;
+  }
+  return `${base.slice(0, 18)}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+// The user signing in with these claims: the one already linked to the
+// identity, else the account with the same verified email (linking the
+// identity to it), else a new account without a password
+export const findOrCreateOidcUser = async (provider, claims) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+  });
+  if (linked) return linked;
+
+  if (!claims.email) {
+    throw new OidcError(`${provider.name} did not share an email address with us.`);
+  }
+
+  const identity = { provider: provider.id, subject: claims.sub, email: claims.email };
+  const existing = await User.findOne({ email: claims.email });
+
+  if (existing) {
+    // Only an address the provider has checked proves it is the same person
+    if (!claims.emailVerified) {
+      throw new OidcError(`An account with this email already exists. Log in with your password, or verify your email at ${provider.name} first.`);
+    }
+
+    existing.identities.push(identity);
+
+    // Anyone could have registered an unverified address before its owner
+    // arrived, so a password set that way stops working
+    if (!existing.emailVerified) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+      if (existing.hasPassword) {
+        existing.password = undefined;
+        await revokeUserSessions(existing._id);
+      }
+    }
+
+    await existing.save();
+    return existing;
+  }
+
+  return User.create({
+    username: await pickUsername(claims),
+    email: claims.email,
+    hasPassword: false,
+    emailVerified: claims.emailVerified,
+    emailVerifiedAt: claims.emailVerified ? new Date() : undefined,
+    identities: [identity]
+  });
+};
+
+// One-time code handed to the frontend in the callback redirect, exchanged
+// for tokens by POST /api/auth/oidc/exchange
+export const createLoginCode = async (userId) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.create({
+    userId,
+    type: 'oidc_login',
+    tokenHash: hashToken(code),
+    expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS)
+  });
+
+  return code;
+};
@@ -0,0 +1,511 @@
+import { kMaxLength } from 'buffer';
+import { Worker } from 'worker_threads';
+import zlib from 'zlib';
+
+// Plain-text extraction from PDFs, enough for documents made by word
+// processors, browsers and LaTeX: the text-showing operators of each page's
+// content streams, decoded through the fonts' ToUnicode maps when they have
+// one. Scanned PDFs (only images) and encrypted ones yield no text.
+
+// Text moved down by more than this (in text space units) starts a new line
+const LINE_GAP = 1;
+// A TJ adjustment wider than this (thousandths of an em) is a word gap
+const WORD_GAP = 200;
+
+// Character mappings all of a file's ToUnicode CMaps may define together
+const MAX_CMAP_ENTRIES = 250000;
+// extractPdfTextInWorker gives up after this long, or this much memory
+const WORKER_TIMEOUT_MS = 30 * 1000;
+const WORKER_MEMORY_MB = 256;
+
+const REF = /(\d+)\s+\d+\s+R/;
+const REFS = /(\d+)\s+\d+\s+R/g;
+
+// Thrown when a PDF's compressed streams inflate to more than the caller
+// allows, or reading it runs out of time or memory
+export class PdfTooLargeError extends Error {
+  constructor(message = 'This PDF is too large to read') {
+    super(message);
+    this.name = 'PdfTooLargeError';
+  }
+}
+
+// Inflate a stream within what's left of `budget.remaining` bytes, which is
+// shared by every stream of the file
+const decodeStream = (dict, data, budget) => {
+  const filters = (dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').match(/\/\w+/g) || [];
+  if (filters.length === 0) return data;
+  if (filters.length > 1 || filters[0] !== '/FlateDecode') return null;
+  if (budget.remaining <= 0) throw new PdfTooLargeError();
+
+  const inflate = (options) => {
+    try {
+      return zlib.inflateSync(data, { ...options, maxOutputLength: budget.remaining });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new PdfTooLargeError();
+      return null;
+    }
+  };
+
+  // Some writers leave out the end of the zlib stream
+  const decoded = inflate() || inflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  if (decoded) budget.remaining -= decoded.length;
+  return decoded;
+};
+
+// The value of a dictionary entry: a nested << >> dictionary, an array or a
+// single token, with indirect references to dictionaries followed
+const getEntry = (objects, dict, key) => {
+  const match = new RegExp(`/${key}(?![\\w.-])\\s*`).exec(dict || '');
+  if (!match) return null;
+
+  const start = match.index + match[0].length;
+  if (dict.startsWith('<<', start)) {
+    let depth = 0;
+    for (let i = start; i < dict.length - 1; i++) {
+      if (dict.startsWith('<<', i)) {
+        depth++;
+        i++;
+      } else if (dict.startsWith('>>', i)) {
+        depth--;
+        i++;
+        if (depth === 0) return dict.slice(start, i + 1);
+      }
+    }
+    return null;
+  }
+  if (dict[start] === '[') {
+    const end = dict.indexOf(']', start);
+    return end === -1 ? null : dict.slice(start, end + 1);
+  }
+
+  const ref = dict.slice(start).match(new RegExp(`^${REF.source}`));
+  if (ref) return objects.get(Number(ref[1]))?.dict ?? null;
+  return dict.slice(start).match(/^[^\s/<>[\]()]+|^\/[^\s/<>[\]()]+/)?.[0] ?? null;
+};
+
+// Every object in the file by number; later definitions (incremental
+// updates) replace earlier ones. Objects inside object streams are included.
+const readObjects = (buffer, budget) => {
+  const raw = buffer.toString('latin1');
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  const objectStreams = [];
+
+  let match;
+  while ((match = header.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endobj', start);
+    if (end === -1) break;
+
+    const streamAt = raw.indexOf('stream', start);
+    if (streamAt === -1 || streamAt > end) {
+      objects.set(Number(match[1]), { dict: raw.slice(start, end).trim(), data: null });
+      continue;
+    }
+
+    const dict = raw.slice(start, streamAt).trim();
+    const dataStart = streamAt + 6 + (raw.startsWith('\r\n', streamAt + 6) ? 2 : raw[streamAt + 6] === '\n' ? 1 : 0);
+    // Trust a direct /Length only when endstream follows it
+    const length = Number(dict.match(/\/Length\s+(\d+)\b(?!\s+\d+\s+R)/)?.[1]);
+    const lengthFits = Number.isInteger(length) && /^\s*endstream/.test(raw.slice(dataStart + length, dataStart + length + 20));
+    const dataEnd = lengthFits ? dataStart + length : raw.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+
+    const object = { dict, data: decodeStream(dict, buffer.subarray(dataStart, dataEnd), budget) };
+    objects.set(Number(match[1]), object);
+    if (/\/Type\s*\/ObjStm/.test(dict)) objectStreams.push(object);
+
+    header.lastIndex = Math.max(raw.indexOf('endobj', dataEnd), dataEnd);
+  }
+
+  for (const { dict, data } of objectStreams) {
+    if (!data) continue;
+    const text = data.toString('latin1');
+    const first = Number(dict.match(/\/First\s+(\d+)/)?.[1]);
+    const offsets = text.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i + 1 < offsets.length; i += 2) {
+      const number = offsets[i];
+      const from = first + offsets[i + 1];
+      const to = i + 3 < offsets.length ? first + offsets[i + 3] : text.length;
+      if (!objects.has(number)) {
+        objects.set(number, { dict: text.slice(from, to).trim(), data: null });
+      }
+    }
+  }
+
+  return objects;
+};
+
+// An odd number of digits is padded with a final 0
+const hexToBytes = (hex) => {
+  const digits = hex.replace(/\s/g, '');
+  return Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+};
+
+// ToUnicode targets are UTF-16BE
+const utf16 = (hex) => {
+  const bytes = hexToBytes(hex);
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.readUInt16BE(i));
+  return text;
+};
+
+// A ToUnicode CMap as { codeLength, map: code -> text }. Each mapping uses
+// up one of `budget.remaining`, shared by all CMaps of the file; mappings
+// past it are left out.
+const parseCMap = (text, budget) => {
+  const map = new Map();
+  const codespace = text.match(/begincodespacerange\s*<([\da-f]+)>/i);
+  let codeLength = codespace ? Math.ceil(codespace[1].length / 2) : 0;
+
+  const add = (code, value) => {
+    if (budget.remaining <= 0) return false;
+    budget.remaining--;
+    map.set(code, value);
+    return true;
+  };
+
+  for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block.matchAll(/<([\da-f\s]+)>\s*<([\da-f\s]*)>/gi)) {
+      if (!add(parseInt(source, 16), utf16(target))) break;
+      codeLength ||= Math.ceil(source.length / 2);
+    }
+  }
+
+  for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target, list] of block.matchAll(/<([\da-f]+)>\s*<([\da-f]+)>\s*(?:<([\da-f]+)>|\[([^\]]*)\])/gi)) {
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + 0xffff);
+      codeLength ||= Math.ceil(low.length / 2);
+
+      if (list !== undefined) {
+        for (const [i, [, hex]] of [...list.matchAll(/<([\da-f]*)>/gi)].entries()) {
+          if (!add(from + i, utf16(hex))) break;
+        }
+        continue;
+      }
+
+      // The last byte counts up through the range
+      const base = utf16(target);
+      const last = base.charCodeAt(base.length - 1);
+      for (let code = from; code <= to; code++) {
+        if (!add(code, base.slice(0, -1) + String.fromCharCode(last + code - from))) break;
+      }
+    }
+  }
+
+  return { codeLength: codeLength || 1, map };
+};
+
+// How to turn a font's string bytes into text
+const getFontDecoder = (objects, fontDict, cmapBudget) => {
+  const toUnicode = fontDict?.match(new RegExp(`/ToUnicode\\s*${REF.source}`));
+  const cmapData = toUnicode && objects.get(Number(toUnicode[1]))?.data;
+
+  if (cmapData) {
+    const { codeLength, map } = parseCMap(cmapData.toString('latin1'), cmapBudget);
+    return (bytes) => {
+      let text = '';
+      for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        text += map.get(bytes.readUIntBE(i, codeLength)) ?? '';
+      }
+      return text;
+    };
+  }
+
+  // Two-byte glyph ids can't be read without a map
+  if (/\/Identity-H|\/Identity-V/.test(fontDict || '')) return () => '';
+  return (bytes) => bytes.toString('latin1');
+};
+
+const NAME = /[^\s/<>[\]()%{}]*/y;
+const WORD = /[^\s/<>[\]()%{}]+/y;
+const INLINE_IMAGE_END = /\sEI(?=\s|$)/g;
+
+// The match of a sticky or global pattern starting at (or after) `index`
+const execAt = (pattern, text, index) => {
+  pattern.lastIndex = index;
+  return pattern.exec(text);
+};
+
+// Tokens of a content stream: strings become Buffers, arrays nested arrays,
+// numbers numbers, names { name } and operators { op }
+const tokenize = function* (data) {
+  const text = data.toString('latin1');
+  let i = 0;
+  const stack = [[]];
+
+  const emit = function* (token) {
+    if (stack.length > 1) stack[stack.length - 1].push(token);
+    else yield token;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < text.length && text[i] !== '\n' && text[i] !== '\r') i++;
+    } else if (char === '(') {
+      const bytes = [];
+      let depth = 1;
+      i++;
+      while (i < text.length && depth > 0) {
+        let c = text[i++];
+        if (c === '\\') {
+          c = text[i++];
+          const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+          if (c in escapes) bytes.push(escapes[c]);
+          else if (/[0-7]/.test(c)) {
+            let octal = c;
+            while (octal.length < 3 && /[0-7]/.test(text[i])) octal += text[i++];
+            bytes.push(parseInt(octal, 8) & 0xff);
+          } else if (c === '\r') {
+            if (text[i] === '\n') i++;
+          } else if (c !== '\n') bytes.push(c.charCodeAt(0));
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')' && --depth === 0) break;
+        bytes.push(c.charCodeAt(0));
+      }
+      yield* emit(Buffer.from(bytes));
+    } else if (text.startsWith('<<', i) || text.startsWith('>>', i)) {
+      i += 2;
+    } else if (char === '<') {
+      const end = text.indexOf('>', i);
+      yield* emit(hexToBytes(text.slice(i + 1, end === -1 ? text.length : end)));
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '[') {
+      stack.push([]);
+      i++;
+    } else if (char === ']') {
+      const array = stack.length > 1 ? stack.pop() : [];
+      yield* emit(array);
+      i++;
+    } else if (char === '/') {
+      const name = execAt(NAME, text, i + 1)[0];
+      yield* emit({ name });
+      i += name.length + 1;
+    } else {
+      const word = execAt(WORD, text, i)?.[0] || char;
+      i += word.length;
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        yield* emit(Number(word));
+      } else if (word === 'ID') {
+        // Skip inline image data
+        const end = execAt(INLINE_IMAGE_END, text, i);
+        i = end ? end.index + 3 : text.length;
+      } else {
+        yield* emit({ op: word });
+      }
+    }
+  }
+};
+
+// Text of one page's content, stopping once it is `maxLength` long
+const extractPageText = (content, fonts, maxLength) => {
+  let output = '';
+  let decode = (bytes) => bytes.toString('latin1');
+  let operands = [];
+  let lineY = null;
+
+  const newLine = () => {
+    if (output && !output.endsWith('\n')) output += '\n';
+  };
+  const space = () => {
+    if (output && !/\s$/.test(output)) output += ' ';
+  };
+
+  for (const token of tokenize(content)) {
+    if (output.length >= maxLength) break;
+    if (!token?.op) {
+      operands.push(token);
+      continue;
+    }
+
+    const last = operands[operands.length - 1];
+    switch (token.op) {
+      case 'Tf':
+        decode = fonts.get(operands[operands.length - 2]?.name) || decode;
+        break;
+      case 'Tj':
+        if (Buffer.isBuffer(last)) output += decode(last);
+        break;
+      case '\'':
+      case '"':
+        newLine();
+        if (Buffer.isBuffer(last)) output += decode(last);
+        break;
+      case 'TJ':
+        for (const part of Array.isArray(last) ? last : []) {
+          if (Buffer.isBuffer(part)) output += decode(part);
+          else if (typeof part === 'number' && part < -WORD_GAP) space();
+        }
+        break;
+      case 'Td':
+      case 'TD': {
+        const [dx, dy] = operands.slice(-2);
+        if (Math.abs(dy) > LINE_GAP) newLine();
+        else if (dx > 0) space();
+        break;
+      }
+      case 'Tm': {
+        const y = operands[operands.length - 1];
+        if (lineY !== null && Math.abs(y - lineY) > LINE_GAP) newLine();
+        else space();
+        lineY = y;
+        break;
+      }
+      case 'T*':
+        newLine();
+        break;
+      case 'ET':
+        space();
+        break;
+      default:
+        break;
+    }
+    operands = [];
+  }
+
+  return output;
+};
+
+// Pages in order, each with the resources it uses (inherited from its parents
+// when it has none of its own)
+const getPages = (objects) => {
+  const catalog = [...objects.values()].find(obj => /\/Type\s*\/Catalog/.test(obj.dict));
+  const root = catalog?.dict.match(new RegExp(`/Pages\\s*${REF.source}`))?.[1];
+  const pages = [];
+  const visited = new Set();
+
+  const walk = (number, inheritedResources) => {
+    const node = objects.get(number);
+    if (!node || visited.has(number)) return;
+    visited.add(number);
+
+    const resources = getEntry(objects, node.dict, 'Resources') || inheritedResources;
+    if (/\/Type\s*\/Pages/.test(node.dict)) {
+      const kids = getEntry(objects, node.dict, 'Kids') || '';
+      for (const [, kid] of kids.matchAll(REFS)) walk(Number(kid), resources);
+    } else {
+      pages.push({ dict: node.dict, resources });
+    }
+  };
+
+  if (root) walk(Number(root), null);
+  return pages;
+};
+
+// The content streams of a page, each listed once
+const getContentRefs = (objects, pageDict) => {
+  const contents = pageDict.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/)?.[1] || '';
+  let refs = [...contents.matchAll(REFS)].map(([, number]) => Number(number));
+
+  // A single reference can point to an array of streams
+  if (refs.length === 1 && objects.get(refs[0])?.dict.startsWith('[')) {
+    refs = [...objects.get(refs[0]).dict.matchAll(REFS)].map(([, number]) => Number(number));
+  }
+
+  return [...new Set(refs)];
+};
+
+const getPageContent = (objects, refs) => Buffer.concat(refs.flatMap(number => {
+  const data = objects.get(number)?.data;
+  return data ? [data, Buffer.from('\n')] : [];
+}));
+
+const normalizeText = (text) => text.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n').trim();
+
+// Extract the text of a PDF, pages separated by blank lines, up to
+// `maxTextLength` characters. At most `maxScannedLength` bytes of page
+// content are read in all; pages sharing their content are read once.
+// Throws a PdfTooLargeError when its streams inflate to more than
+// `maxDecodedLength` bytes in all.
+export const extractPdfText = (buffer, {
+  maxDecodedLength = kMaxLength,
+  maxScannedLength = kMaxLength,
+  maxTextLength = kMaxLength
+} = {}) => {
+  const objects = readObjects(buffer, { remaining: maxDecodedLength });
+  const fontCache = new Map();
+  const cmapBudget = { remaining: MAX_CMAP_ENTRIES };
+
+  const getFonts = (resources) => {
+    const fonts = new Map();
+    const fontDict = getEntry(objects, resources, 'Font') || '';
+    for (const [, name, number] of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      if (!fontCache.has(number)) {
+        fontCache.set(number, getFontDecoder(objects, objects.get(Number(number))?.dict, cmapBudget));
+      }
+      fonts.set(name, fontCache.get(number));
+    }
+    return fonts;
+  };
+
+  // Text by content streams and resources, for pages that share them
+  const pageTexts = new Map();
+  const texts = [];
+  let length = 0;
+  let scanned = 0;
+
+  for (const page of getPages(objects)) {
+    if (length >= maxTextLength || scanned >= maxScannedLength) break;
+
+    const refs = getContentRefs(objects, page.dict);
+    const key = `${refs.join(' ')}|${page.resources}`;
+    if (!pageTexts.has(key)) {
+      const content = getPageContent(objects, refs).subarray(0, maxScannedLength - scanned);
+      scanned += content.length;
+      pageTexts.set(key, normalizeText(extractPageText(content, getFonts(page.resources), maxTextLength - length)));
+    }
+
+    const text = pageTexts.get(key);
+    if (text) {
+      texts.push(text);
+      length += text.length + 2;
+    }
+  }
+
+  return texts.join('\n\n').slice(0, maxTextLength);
+};
+
+// extractPdfText in a worker thread, so reading a large or hostile PDF
+// doesn't hold up other requests. Rejects with a PdfTooLargeError when the
+// worker runs out of time or memory.
+export const extractPdfTextInWorker = (buffer, options = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./pdfTextWorker.js', import.meta.url), {
+    workerData: { buffer, options },
+    resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB }
+  });
+  let settled = false;
+
+  const settle = (error, text) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate();
+    if (error) reject(error);
+    else resolve(text);
+  };
+
+  const timer = setTimeout(() => settle(new PdfTooLargeError('This PDF took too long to read')), WORKER_TIMEOUT_MS);
+
+  worker.on('message', ({ text, error }) => {
+    if (!error) {
+      settle(null, text);
+    } else if (error.name === 'PdfTooLargeError') {
+      settle(new PdfTooLargeError(error.message));
+    } else {
+      settle(Object.assign(new Error(error.message), { name: error.name }));
+    }
+  });
+  worker.on('error', (error) => {
+    settle(error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? new PdfTooLargeError() : error);
+  });
+  worker.on('exit', () => settle(new Error('PDF worker stopped unexpectedly')));
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { extractPdfText, extractPdfTextInWorker } from './pdfText.js';
+
+// A stream object, deflated unless `raw`
+const stream = (content, { raw = false } = {}) => ({ data: raw ? Buffer.from(content, 'latin1') : zlib.deflateSync(content), raw });
+
+// A PDF of the given objects, numbered from 1: dictionaries as strings, streams from stream()
+const buildPdf = (objects) => Buffer.concat([
+  Buffer.from('%PDF-1.4\n'),
+  ...objects.flatMap((object, index) => [
+    Buffer.from(`${index + 1} 0 obj\n`),
+    ...(typeof object === 'string'
+      ? [Buffer.from(object)]
+      : [
+        Buffer.from(`<< /Length ${object.data.length}${object.raw ? '' : ' /Filter /FlateDecode'} >>\nstream\n`),
+        object.data,
+        Buffer.from('\nendstream')
+      ]),
+    Buffer.from('\nendobj\n')
+  ])
+]);
+
+// Pages 3.. each with the given Contents, followed by the extra objects
+const buildPages = (contents, extra = []) => buildPdf([
+  '<< /Type /Catalog /Pages 2 0 R >>',
+  `<< /Type /Pages /Kids [${contents.map((_, i) => `${i + 3} 0 R`).join(' ')}] >>`,
+  ...contents.map(content => `<< /Type /Page /Contents ${content} >>`),
+  ...extra
+]);
+
+test('reads the text of each page', () => {
+  const file = buildPages(['5 0 R', '6 0 R'], [
+    stream('BT /F1 12 Tf (Hello) Tj 0 -14 Td [(big) -300 (world)] TJ ET'),
+    stream('BT (Second page) Tj ET', { raw: true })
+  ]);
+
+  assert.equal(extractPdfText(file), 'Hello\nbig world\n\nSecond page');
+});
+
+test('reads text through a ToUnicode CMap', () => {
+  const cmap = 'begincodespacerange <0000> <ffff> endcodespacerange beginbfrange <0001> <0003> <0041> endbfrange';
+  const file = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Resources << /Font << /F1 5 0 R >> >> >>',
+    '<< /Type /Page /Contents 4 0 R >>',
+    stream('BT /F1 12 Tf <000100020003> Tj ET'),
+    '<< /Type /Font /Subtype /Type0 /Encoding /Identity-H /ToUnicode 6 0 R >>',
+    stream(cmap)
+  ]);
+
+  assert.equal(extractPdfText(file), 'ABC');
+});
+
+test('pages sharing a content stream are read once', () => {
+  const content = 'BT (Same text) Tj ET\n'.repeat(1000);
+  const file = buildPages(Array(20).fill('23 0 R'), [stream(content)]);
+
+  // A second read would go past the scan limit and lose the later pages
+  const text = extractPdfText(file, { maxScannedLength: content.length * 1.5 });
+  assert.equal(text.split('\n\n').length, 20);
+});
+
+test('a stream listed again in the same page is read once', () => {
+  const file = buildPages(['[4 0 R 4 0 R 4 0 R]'], [stream('BT (Once) Tj ET')]);
+
+  assert.equal(extractPdfText(file), 'Once');
+});
+
+test('stops at the text limit', () => {
+  const content = 'BT (0123456789) Tj ET\n'.repeat(100000);
+  const file = buildPages(Array(50).fill('53 0 R'), [stream(content)]);
+
+  assert.equal(extractPdfText(file, { maxTextLength: 5000 }).length, 5000);
+});
+
+test('reads no more page content than allowed', () => {
+  const file = buildPages(['5 0 R', '6 0 R'], [stream('BT (First) Tj ET'), stream('BT (Second) Tj ET')]);
+
+  assert.equal(extractPdfText(file, { maxScannedLength: 20 }), 'First');
+});
+
+test('rejects streams that inflate past the limit', () => {
+  const file = buildPages(['4 0 R'], [stream(Buffer.alloc(5000000, 32))]);
+
+  assert.throws(() => extractPdfText(file, { maxDecodedLength: 1000000 }), { name: 'PdfTooLargeError' });
+});
+
+test('caps the mappings CMaps can expand to', () => {
+  // 100 full ranges would be 6.5 million mappings
+  const ranges = Array.from({ length: 100 }, () => '<0000> <ffff> <0041>').join(' ');
+  const fonts = Array.from({ length: 4 }, (_, i) => `/F${i} ${7 + i * 2} 0 R`).join(' ');
+  const file = buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [3 0 R] /Resources << /Font << ${fonts} >> >> >>`,
+    '<< /Type /Page /Contents 4 0 R >>',
+    stream('BT /F0 12 Tf <0000> Tj ET'),
+    '<< >>',
+    '<< >>',
+    ...Array.from({ length: 4 }, () => [
+      '<< /Type /Font /Subtype /Type0 /Encoding /Identity-H /ToUnicode 15 0 R >>',
+      '<< >>'
+    ]).flat(),
+    stream(`begincodespacerange <0000> <ffff> endcodespacerange beginbfrange ${ranges} endbfrange`)
+  ]);
+
+  const started = Date.now();
+  assert.equal(extractPdfText(file), 'A');
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('reads PDFs in a worker thread', async () => {
+  const file = buildPages(['4 0 R'], [stream('BT (From a worker) Tj ET')]);
+  assert.equal(await extractPdfTextInWorker(file), 'From a worker');
+
+  const bomb = buildPages(['4 0 R'], [stream(Buffer.alloc(5000000, 32))]);
+  await assert.rejects(extractPdfTextInWorker(bomb, { maxDecodedLength: 1000000 }), { name: 'PdfTooLargeError' });
+});
@@ -0,0 +1,11 @@
+import { parentPort, workerData } from 'worker_threads';
+import { extractPdfText } from './pdfText.js';
+
+// Runs extractPdfText for extractPdfTextInWorker and posts back { text } or
+// { error: { name, message } }
+try {
+  const text = extractPdfText(Buffer.from(workerData.buffer), workerData.options);
+  parentPort.postMessage({ text });
+} catch (error) {
+  parentPort.postMessage({ error: { name: error.name, message: error.message } });
+}
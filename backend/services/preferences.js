@@ -0,0 +1,49 @@
+import { isModelAllowed, qualifyModelId } from './llm/index.js';
+
+export class PreferencesError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PreferencesError';
+    this.status = status;
+  }
+}
+
+// The user's preferences with `changes` applied. Custom instructions are
+// merged field by field, so either can be sent alone; an empty
+// `defaultModel` or a null `defaultTemperature` go back to the server's.
+export const mergePreferences = (current = {}, changes = {}) => {
+  const { customInstructions, defaultModel, ...rest } = changes;
+  const merged = {
+    ...current,
+    ...rest,
+    customInstructions: { ...current.customInstructions, ...customInstructions }
+  };
+
+  if (defaultModel !== undefined) {
+    if (defaultModel && !isModelAllowed(defaultModel)) {
+      throw new PreferencesError('Model is not available');
+    }
+    merged.defaultModel = defaultModel ? qualifyModelId(defaultModel) : '';
+  }
+
+  return merged;
+};
+
+// The system prompt section with what the user asked the assistant to know
+// and how to respond, or '' when they haven't set any
+export const buildCustomInstructions = (preferences = {}) => {
+  const { aboutUser, responseStyle } = preferences.customInstructions || {};
+
+  return [
+    aboutUser && `What the user wants you to know about them:\n${aboutUser}`,
+    responseStyle && `How the user wants you to respond:\n${responseStyle}`,
+    preferences.responseLanguage && `Reply in ${preferences.responseLanguage} unless the user asks for another language.`
+  ].filter(Boolean).join('\n\n');
+};
+
+// The model and settings a user's new conversation starts with where the
+// request doesn't choose. A default model that's no longer offered is skipped.
+export const getNewConversationDefaults = (preferences = {}) => ({
+  ...(preferences.defaultModel && isModelAllowed(preferences.defaultModel) && { model: preferences.defaultModel }),
+  settings: preferences.defaultTemperature != null ? { temperature: preferences.defaultTemperature } : {}
+});
@@ -0,0 +1,24 @@
+import { createMemoryStore } from './memory.js';
+import { createMongoStore } from './mongo.js';
+
+const storeFactories = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore()
+};
+
+let store;
+
+// The store named by RATE_LIMIT_STORE (memory or mongo; default memory),
+// created on first use so the value from .env applies
+export const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[name];
+
+    if (!factory) {
+      throw new Error(`Rate limit store "${name}" is unknown`);
+    }
+    store = factory();
+  }
+  return store;
+};
@@ -0,0 +1,35 @@
+// Keeps counters in this process. Fine for a single server; use the mongo
+// store when several instances share the limits.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const counters = new Map();
+
+  // Drop finished windows so the map doesn't grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    }
+  };
+};
@@ -0,0 +1,34 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from './memory.js';
+
+afterEach(() => mock.restoreAll());
+
+test('counts hits per key within a window', async () => {
+  mock.method(Date, 'now', () => 1000);
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.increment('login:ip:1', 60000), { count: 1, resetAt: new Date(61000) });
+  assert.deepEqual(await store.increment('login:ip:1', 60000), { count: 2, resetAt: new Date(61000) });
+  assert.equal((await store.increment('login:ip:2', 60000)).count, 1);
+});
+
+test('starts a new window once the last one is over', async () => {
+  let now = 1000;
+  mock.method(Date, 'now', () => now);
+  const store = createMemoryStore();
+
+  await store.increment('chat:user:1', 60000);
+  await store.increment('chat:user:1', 60000);
+  now = 61000;
+
+  assert.deepEqual(await store.increment('chat:user:1', 60000), { count: 1, resetAt: new Date(121000) });
+});
+
+test('reset clears a key\'s count', async () => {
+  const store = createMemoryStore();
+
+  await store.increment('login:ip:1', 60000);
+  await store.reset('login:ip:1');
+  assert.equal((await store.increment('login:ip:1', 60000)).count, 1);
+});
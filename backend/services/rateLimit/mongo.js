@@ -0,0 +1,29 @@
+import RateLimit from '../../models/RateLimit.js';
+
+// Keeps counters in MongoDB so every server instance shares them
+export const createMongoStore = () => ({
+  name: 'mongo',
+
+  async increment(key, windowMs) {
+    const now = new Date();
+    const inWindow = { $gt: ['$resetAt', now] };
+
+    // One atomic update: count up within the window, otherwise start a new one
+    const counter = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [inWindow, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [inWindow, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
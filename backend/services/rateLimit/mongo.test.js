@@ -0,0 +1,72 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimit from '../../models/RateLimit.js';
+import { createMongoStore } from './mongo.js';
+
+// Counters kept in memory, updated by evaluating the store's update
+// pipeline the way MongoDB does for the operators it uses
+let counters;
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+  if (expression?.$cond) {
+    const [condition, then, otherwise] = expression.$cond;
+    return evaluate(evaluate(condition, doc) ? then : otherwise, doc);
+  }
+  if (expression?.$gt) {
+    const [a, b] = expression.$gt.map(value => evaluate(value, doc));
+    // Missing fields compare lower than dates
+    return a !== undefined && a > b;
+  }
+  if (expression?.$add) return expression.$add.reduce((sum, value) => sum + evaluate(value, doc), 0);
+  return expression;
+};
+
+beforeEach(() => {
+  counters = new Map();
+  mock.method(RateLimit, 'findOneAndUpdate', async ({ key }, pipeline, options) => {
+    assert.deepEqual(options, { upsert: true, new: true });
+    const doc = counters.get(key) || { key };
+    pipeline.forEach(({ $set }) => {
+      const values = Object.fromEntries(Object.entries($set).map(([field, value]) => [field, evaluate(value, doc)]));
+      Object.assign(doc, values);
+    });
+    counters.set(key, doc);
+    return doc;
+  });
+  mock.method(RateLimit, 'deleteOne', async ({ key }) => {
+    counters.delete(key);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('counts hits per key within a window', async () => {
+  const store = createMongoStore();
+
+  const first = await store.increment('login:ip:1', 60000);
+  assert.equal(first.count, 1);
+  assert.ok(first.resetAt > new Date());
+
+  const second = await store.increment('login:ip:1', 60000);
+  assert.deepEqual(second, { count: 2, resetAt: first.resetAt });
+  assert.equal((await store.increment('login:ip:2', 60000)).count, 1);
+});
+
+test('starts a new window once the last one is over', async () => {
+  const store = createMongoStore();
+  counters.set('chat:user:1', { key: 'chat:user:1', count: 20, resetAt: new Date(Date.now() - 1000) });
+
+  const counter = await store.increment('chat:user:1', 60000);
+  assert.equal(counter.count, 1);
+  assert.ok(counter.resetAt > new Date());
+});
+
+test('reset removes a key\'s counter', async () => {
+  const store = createMongoStore();
+
+  await store.increment('login:ip:1', 60000);
+  await store.reset('login:ip:1');
+  assert.equal(counters.has('login:ip:1'), false);
+  assert.equal((await store.increment('login:ip:1', 60000)).count, 1);
+});
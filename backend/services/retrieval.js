@@ -0,0 +1,172 @@
+import { estimateTokens } from './context.js';
+
+// Target size of a chunk and how much consecutive chunks share, in characters
+const CHUNK_SIZE = 1500;
+const CHUNK_OVERLAP = 200;
+// Most of the context window attached files can take, in tokens
+const MAX_ATTACHMENT_TOKENS = 8000;
+// Most of what's left that passages from the user's library can take
+const MAX_LIBRARY_TOKENS = 6000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const ATTACHMENT_INSTRUCTIONS = 'The user attached the files below. Use them to answer, and say which file ' +
+  'you are drawing on. If only excerpts are included and they don\'t cover the question, say so.';
+const KNOWLEDGE_INSTRUCTIONS = 'Use the files below to answer, and say which file you are drawing on. Files ' +
+  'marked knowledge="true" are reference material you were set up with; any others were attached by the user. ' +
+  'If only excerpts are included and they don\'t cover the question, say so.';
+const LIBRARY_INSTRUCTIONS = 'The numbered sources below are passages from documents in the user\'s library. ' +
+  'When you use one, cite its number in square brackets right after the statement it supports, e.g. [1] ' +
+  'or [2][3]. Only cite sources you used. If they don\'t cover the question, say so.';
+
+// Where to end a chunk: after the last paragraph break in its second half,
+// else the last line break, sentence end or space
+const findBreak = (window) => {
+  for (const separator of ['\n\n', '\n', '. ', ' ']) {
+    const index = window.lastIndexOf(separator);
+    if (index >= window.length / 2) return index + separator.length;
+  }
+  return window.length;
+};
+
+// Split text into chunks of about CHUNK_SIZE characters; consecutive chunks
+// overlap so a passage cut at a boundary still appears whole in one of them
+export const splitIntoChunks = (text) => {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = start + CHUNK_SIZE >= text.length
+      ? text.length
+      : start + findBreak(text.slice(start, start + CHUNK_SIZE));
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= text.length) break;
+    start = Math.max(end - CHUNK_OVERLAP, start + 1);
+  }
+
+  return chunks;
+};
+
+const tokenize = (text) => text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [];
+
+// Order chunks by BM25 relevance to the query; chunks sharing no terms with
+// it score 0
+export const rankChunks = (chunks, query) => {
+  const terms = [...new Set(tokenize(query))];
+  const docs = chunks.map(chunk => {
+    const counts = new Map();
+    const words = tokenize(chunk.text);
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    return { chunk, counts, length: words.length };
+  });
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+  const idf = new Map(terms.map(term => {
+    const containing = docs.filter(doc => doc.counts.has(term)).length;
+    return [term, Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5))];
+  }));
+
+  return docs
+    .map(({ chunk, counts, length }) => ({
+      ...chunk,
+      score: terms.reduce((score, term) => {
+        const frequency = counts.get(term) || 0;
+        return score + idf.get(term) * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+      }, 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+const formatFile = ({ name, knowledge }, content, part) => (
+  `<file name="${name.replace(/"/g, '\'')}"${part ? ` part="${part}"` : ''}${knowledge ? ' knowledge="true"' : ''}>\n${content}\n</file>`
+);
+
+// The system message giving the model the attached files and an assistant's
+// knowledge files: whole files when they all fit in the budget, otherwise
+// the chunks most relevant to the question, in document order. Returns
+// { content, tokens }, empty when there is nothing to add.
+export const buildAttachmentContext = ({ attachments, knowledge = [], query, budget }) => {
+  const files = [
+    ...attachments.filter(attachment => attachment.text).map(attachment => ({ name: attachment.name, text: attachment.text })),
+    ...knowledge.filter(file => file.text).map(file => ({ name: file.name, text: file.text, knowledge: true }))
+  ];
+  const instructions = files.some(file => file.knowledge) ? KNOWLEDGE_INSTRUCTIONS : ATTACHMENT_INSTRUCTIONS;
+  const available = Math.min(MAX_ATTACHMENT_TOKENS, Math.floor(budget / 2)) - estimateTokens(instructions);
+  if (files.length === 0 || available <= 0) return { content: '', tokens: 0 };
+
+  let sections;
+  const wholeFiles = files.map(file => formatFile(file, file.text));
+
+  if (estimateTokens(wholeFiles.join('\n\n')) <= available) {
+    sections = wholeFiles;
+  } else {
+    const chunks = files.flatMap((file, fileIndex) => {
+      const parts = splitIntoChunks(file.text);
+      return parts.map((text, index) => ({ fileIndex, index, text, part: `${index + 1} of ${parts.length}` }));
+    });
+
+    const selected = [];
+    let used = 0;
+    for (const chunk of rankChunks(chunks, query)) {
+      const tokens = estimateTokens(formatFile(files[chunk.fileIndex], chunk.text, chunk.part)) + 1;
+      if (used + tokens > available) continue;
+      selected.push(chunk);
+      used += tokens;
+    }
+
+    sections = selected
+      .sort((a, b) => a.fileIndex - b.fileIndex || a.index - b.index)
+      .map(chunk => formatFile(files[chunk.fileIndex], chunk.text, chunk.part));
+  }
+
+  if (sections.length === 0) return { content: '', tokens: 0 };
+
+  const content = `${instructions}\n\n${sections.join('\n\n')}`;
+  return { content, tokens: estimateTokens(content) };
+};
+
+const formatSource = (number, { documentName, index, text }) => (
+  `<source number="${number}" document="${documentName.replace(/"/g, '\'')}" part="${index + 1}">\n${text}\n</source>`
+);
+
+// The system message giving the model passages found in the user's library
+// (see searchLibrary), numbered for citing, best first as long as they fit
+// in the budget. Returns { content, tokens, sources }, where sources
+// are the numbered passages as saved with the citations of a reply.
+export const buildLibraryContext = ({ passages, budget }) => {
+  const available = Math.min(MAX_LIBRARY_TOKENS, Math.floor(budget / 2)) - estimateTokens(LIBRARY_INSTRUCTIONS);
+  const sources = [];
+  const sections = [];
+  let used = 0;
+
+  for (const passage of passages) {
+    const section = formatSource(sources.length + 1, passage);
+    const tokens = estimateTokens(section) + 1;
+    if (used + tokens > available) continue;
+
+    sources.push({
+      number: sources.length + 1,
+      documentId: passage.documentId,
+      documentName: passage.documentName,
+      chunkIndex: passage.index,
+      text: passage.text
+    });
+    sections.push(section);
+    used += tokens;
+  }
+
+  if (sections.length === 0) return { content: '', tokens: 0, sources: [] };
+
+  const content = `${LIBRARY_INSTRUCTIONS}\n\n${sections.join('\n\n')}`;
+  return { content, tokens: estimateTokens(content), sources };
+};
+
+// The sources a reply cites as [n]
+export const findCitations = (reply, sources) => {
+  const cited = new Set([...reply.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+  return sources.filter(source => cited.has(source.number));
+};
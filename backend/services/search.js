@@ -0,0 +1,184 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+
+// Matching messages returned per conversation
+const MAX_MATCHES_PER_CONVERSATION = 3;
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern that finds the query's terms in text, for highlighting. MongoDB
+// matches stemmed words ("running" finds "run"), so words match as prefixes;
+// quoted phrases match as written and "-word" exclusions not at all.
+export const getHighlightPattern = (q) => {
+  const phrases = [...q.matchAll(/"([^"]+)"/g)].map(match => match[1].trim()).filter(Boolean);
+  const words = q.replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter(Boolean);
+
+  const alternatives = [
+    ...phrases.map(escapeRegex),
+    ...words.map(word => `${escapeRegex(word)}[\\p{L}\\p{N}]*`)
+  ];
+  if (alternatives.length === 0) return null;
+
+  // Longest first, so a phrase wins over a word inside it
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+// Ranges of text matched by the pattern, as { start, length }
+const findHighlights = (text, pattern) => {
+  return [...text.matchAll(pattern)]
+    .filter(match => match[0].length > 0)
+    .map(match => ({ start: match.index, length: match[0].length }));
+};
+
+// A short excerpt around the first match with its highlights, or null when
+// the text doesn't contain any term
+export const buildSnippet = (content, pattern) => {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const highlights = findHighlights(text, pattern);
+  if (highlights.length === 0) return null;
+
+  const first = highlights[0];
+  let start = Math.max(first.start - SNIPPET_CONTEXT, 0);
+  let end = Math.min(first.start + first.length + SNIPPET_CONTEXT * 2, text.length);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.start + first.length) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(h => h.start >= start && h.start + h.length <= end)
+      .map(h => ({ start: h.start - start + prefix.length, length: h.length }))
+  };
+};
+
+const startOfDay = (day) => new Date(`${day}T00:00:00.000Z`);
+const dayAfter = (day) => new Date(startOfDay(day).getTime() + 24 * 60 * 60 * 1000);
+
+// Text scores of the user's conversations matching q, by conversation id:
+// { score, matchCount }. Titles and tags are searched on conversations and
+// message text on messages, so a conversation's score adds up both. Tool
+// results are left out; the user never wrote or read them as messages.
+const scoreMatches = async (userId, q) => {
+  const [titleMatches, messageMatches] = await Promise.all([
+    Conversation.find({ userId, $text: { $search: q } })
+      .select({ score: { $meta: 'textScore' } })
+      .lean(),
+    Message.aggregate([
+      { $match: { userId, role: { $ne: 'tool' }, $text: { $search: q } } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $group: {
+          _id: '$conversationId',
+          score: { $sum: '$score' },
+          matchCount: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const scores = new Map();
+  titleMatches.forEach(match => {
+    scores.set(match._id.toString(), { score: match.score, matchCount: 0 });
+  });
+  messageMatches.forEach(match => {
+    const key = match._id.toString();
+    const existing = scores.get(key) || { score: 0, matchCount: 0 };
+    scores.set(key, { score: existing.score + match.score, matchCount: match.matchCount });
+  });
+
+  return scores;
+};
+
+// Ids of the user's conversations matching q in their title, tags or messages
+export const findMatchingConversationIds = async (userId, q) => {
+  const scores = await scoreMatches(userId, q);
+  return [...scores.keys()];
+};
+
+// Conversations of a user matching a text query, best match first, each
+// with snippets of its best matching messages. Filters: tag, from/to (UTC
+// days, by last update), pinned and archived (booleans; both kinds when omitted).
+export const searchConversations = async (userId, { q, tag, from, to, pinned, archived, page = 1, limit = 20 }) => {
+  const scores = await scoreMatches(userId, q);
+
+  const query = {
+    userId,
+    _id: { $in: [...scores.keys()] }
+  };
+
+  if (tag) query.tags = tag;
+  if (from || to) {
+    query.updatedAt = {
+      ...(from && { $gte: startOfDay(from) }),
+      ...(to && { $lt: dayAfter(to) })
+    };
+  }
+  if (pinned !== undefined) query.isPinned = pinned;
+  if (archived !== undefined) query.isArchived = archived;
+
+  const conversations = await Conversation.find(query)
+    .select('title tags isPinned isArchived createdAt updatedAt')
+    .lean();
+
+  const ranked = conversations
+    .map(conversation => ({ ...conversation, ...scores.get(conversation._id.toString()) }))
+    .sort((a, b) => b.score - a.score || b.updatedAt - a.updatedAt)
+    .slice((page - 1) * limit, page * limit);
+
+  // Best matching messages of the conversations on this page
+  const messages = ranked.length === 0 ? [] : await Message.find({
+    userId,
+    role: { $ne: 'tool' },
+    $text: { $search: q },
+    conversationId: { $in: ranked.map(conversation => conversation._id) }
+  })
+    .select({ score: { $meta: 'textScore' }, conversationId: 1, role: 1, content: 1, timestamp: 1 })
+    .sort({ score: { $meta: 'textScore' } })
+    .lean();
+
+  const pattern = getHighlightPattern(q);
+
+  const results = ranked.map(conversation => {
+    const matches = [];
+    messages.forEach(msg => {
+      if (!msg.conversationId.equals(conversation._id) || matches.length >= MAX_MATCHES_PER_CONVERSATION) return;
+      const snippet = pattern && buildSnippet(msg.content, pattern);
+      if (snippet) {
+        matches.push({ messageId: msg._id, role: msg.role, timestamp: msg.timestamp, ...snippet });
+      }
+    });
+
+    return {
+      conversationId: conversation._id,
+      title: conversation.title,
+      titleHighlights: pattern ? findHighlights(conversation.title, pattern) : [],
+      tags: conversation.tags,
+      isPinned: conversation.isPinned,
+      isArchived: conversation.isArchived,
+      updatedAt: conversation.updatedAt,
+      score: conversation.score,
+      matchCount: conversation.matchCount,
+      matches
+    };
+  });
+
+  return { results, total: conversations.length };
+};
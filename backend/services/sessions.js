@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+
+// Refreshing within this window after a rotation with the old token is
+// treated as a race between tabs rather than a stolen token
+const REUSE_GRACE_MS = 60 * 1000;
+// How often lastSeenAt is written while a session is in use
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Read lazily so values from .env apply
+const getAccessTokenTTL = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+export const usesRefreshCookie = () => process.env.AUTH_REFRESH_COOKIE === 'true';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const BROWSERS = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+// Android and iOS user agents also mention Linux and Mac OS X, so they go first
+const SYSTEMS = [['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+// Short label such as "Chrome on Windows" for the sessions list
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  if (browser || system) return browser || system;
+  // API clients such as "curl/8.4.0"
+  return userAgent.split(/[/\s]/)[0] || 'Unknown device';
+};
+
+const getClientInfo = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+const newRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  return {
+    refreshToken,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  };
+};
+
+export const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenTTL()
+  });
+};
+
+// Start a session for a user who just signed in
+export const createSession = async (user, req) => {
+  const { refreshToken, tokenHash, expiresAt } = newRefreshToken();
+
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash,
+    expiresAt,
+    ...getClientInfo(req)
+  });
+
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Resolves with null when the token
+// is unknown, expired or revoked. Presenting an already rotated token again
+// (after the grace period) means it was copied, so the session is revoked.
+// The token is swapped in a single update, so of two refreshes with the same
+// token only one gets a new token.
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const next = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      previousTokenHash: tokenHash,
+      tokenHash: next.tokenHash,
+      expiresAt: next.expiresAt,
+      rotatedAt: now,
+      lastSeenAt: now,
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null, rotatedAt: { $lte: new Date(now.getTime() - REUSE_GRACE_MS) } },
+      { revokedAt: now }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: next.refreshToken };
+};
+
+// Record activity on a session, at most every few minutes
+export const touchSession = (session, req) => {
+  if (Date.now() - session.lastSeenAt < LAST_SEEN_INTERVAL_MS) return;
+
+  Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip })
+    .catch(error => console.error('Session update error:', error));
+};
+
+export const revokeSession = (sessionId) => {
+  return Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Sign a user out everywhere, or everywhere else with exceptSessionId
+export const revokeUserSessions = (userId, { exceptSessionId } = {}) => {
+  return Session.updateMany(
+    {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { revokedAt: new Date() }
+  );
+};
+
+const getCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+});
+
+// The refresh token from the body, or from the cookie in cookie mode
+export const getRefreshToken = (req) => req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+
+export const clearRefreshCookie = (res) => {
+  if (usesRefreshCookie()) res.clearCookie(REFRESH_COOKIE, getCookieOptions());
+};
+
+// Token fields for an auth response. In cookie mode the refresh token goes
+// into an httpOnly cookie instead of the body, out of reach of scripts.
+export const issueTokens = (res, session, refreshToken) => {
+  const token = generateAccessToken(session.userId, session._id);
+
+  if (usesRefreshCookie()) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      ...getCookieOptions(),
+      expires: session.expiresAt
+    });
+    return { token };
+  }
+
+  return { token, refreshToken };
+};
@@ -0,0 +1,84 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { createSession, describeDevice, rotateSession } from './sessions.js';
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/126.0 Safari/537.36' };
+
+// Sessions kept in memory, matched the way MongoDB matches the filters
+// sessions.js uses
+let sessions;
+
+const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = session[field];
+  if (condition === null) return value == null;
+  if (condition?.$gt) return value > condition.$gt;
+  if (condition?.$lte) return value <= condition.$lte;
+  return value === condition;
+});
+
+beforeEach(() => {
+  sessions = [];
+  mock.method(Session, 'create', async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), lastSeenAt: new Date(), ...fields };
+    sessions.push(session);
+    return session;
+  });
+  // Each call finds and updates without yielding, as the database does in one operation
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(item => matches(item, filter));
+    return session ? Object.assign(session, update) : null;
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.find(item => matches(item, filter));
+    if (session) Object.assign(session, update);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('rotating gives a new refresh token and retires the old one', async () => {
+  const { refreshToken } = await createSession({ _id: new mongoose.Types.ObjectId() }, req);
+
+  const rotated = await rotateSession(refreshToken, req);
+  assert.notEqual(rotated.refreshToken, refreshToken);
+  assert.equal(rotated.session.device, 'Chrome on Windows');
+
+  assert.ok(await rotateSession(rotated.refreshToken, req));
+});
+
+test('of two concurrent refreshes with the same token only one succeeds', async () => {
+  const { refreshToken } = await createSession({ _id: new mongoose.Types.ObjectId() }, req);
+
+  const results = await Promise.all([rotateSession(refreshToken, req), rotateSession(refreshToken, req)]);
+  assert.equal(results.filter(Boolean).length, 1);
+  // A race between tabs, within the grace period, doesn't revoke the session
+  assert.equal(sessions[0].revokedAt, undefined);
+});
+
+test('reusing a rotated token after the grace period revokes the session', async () => {
+  const { refreshToken } = await createSession({ _id: new mongoose.Types.ObjectId() }, req);
+  const rotated = await rotateSession(refreshToken, req);
+  sessions[0].rotatedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+  assert.equal(await rotateSession(refreshToken, req), null);
+  assert.ok(sessions[0].revokedAt);
+  assert.equal(await rotateSession(rotated.refreshToken, req), null);
+});
+
+test('expired and unknown tokens are refused', async () => {
+  const { refreshToken } = await createSession({ _id: new mongoose.Types.ObjectId() }, req);
+  sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+  assert.equal(await rotateSession(refreshToken, req), null);
+  assert.equal(await rotateSession('not-a-token', req), null);
+});
+
+test('describes devices by browser and system', () => {
+  assert.equal(describeDevice(req.get()), 'Chrome on Windows');
+  assert.equal(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1'), 'Safari on iOS');
+  assert.equal(describeDevice('curl/8.4.0'), 'curl');
+  assert.equal(describeDevice(''), 'Unknown device');
+});
@@ -0,0 +1,170 @@
+import { ToolError } from './errors.js';
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max
+};
+
+// Numbers, names, "**" and single-character operators
+const TOKEN_PATTERN = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_]\w*|\*\*|[-+*/%^(),])/iy;
+
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < expression.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new ToolError(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+    }
+    tokens.push(match[1] === '**' ? '^' : match[1]);
+  }
+
+  return tokens;
+};
+
+// Evaluate an arithmetic expression without eval. Precedence from lowest:
+// + -, then * / %, then unary minus, then ^ (right-associative), so that
+// -2^2 is -4 and 2^-1 is 0.5.
+const evaluate = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const take = () => tokens[position++];
+  const expect = (token) => {
+    if (take() !== token) throw new ToolError(`Expected "${token}"`);
+  };
+
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = take();
+      const right = parseUnary();
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      take();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      take();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      take();
+      return base ** parseUnary();
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = take();
+
+    if (token === undefined) {
+      throw new ToolError('Unexpected end of expression');
+    }
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token);
+    }
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(CONSTANTS, name)) {
+      return CONSTANTS[name];
+    }
+    if (Object.hasOwn(FUNCTIONS, name)) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        take();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[name](...args);
+    }
+
+    throw new ToolError(/^[a-z_]/i.test(token) ? `Unknown name "${token}"` : `Unexpected "${token}"`);
+  };
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new ToolError(`Unexpected "${tokens[position]}"`);
+  }
+  return value;
+};
+
+export const calculator = {
+  name: 'calculator',
+  title: 'Calculator',
+  description: 'Evaluate an arithmetic expression exactly instead of working it out yourself. ' +
+    'Supports + - * / % ^, parentheses, pi, e and the functions ' +
+    `${Object.keys(FUNCTIONS).join(', ')} (log is base 10, ln is natural, angles in radians).`,
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression, e.g. "(1200 * 1.07^5) / 12"',
+        minLength: 1,
+        maxLength: MAX_EXPRESSION_LENGTH
+      }
+    },
+    required: ['expression']
+  },
+  handler: ({ expression }) => {
+    const value = evaluate(expression);
+    if (!Number.isFinite(value)) {
+      throw new ToolError('The result is not a finite number (e.g. division by zero)');
+    }
+
+    // Hide floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+    return { expression, result: Number(value.toPrecision(15)) };
+  }
+};
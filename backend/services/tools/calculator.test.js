@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculator } from './calculator.js';
+
+const calculate = (expression) => calculator.handler({ expression }).result;
+
+test('evaluates operators, constants and functions', () => {
+  assert.equal(calculate('(1 + 2) * 3 ^ 2'), 27);
+  assert.equal(calculate('0.1 + 0.2'), 0.3);
+  assert.equal(calculate('max(2, sqrt(16), 3)'), 4);
+  assert.equal(calculate('2 * PI'), Number((2 * Math.PI).toPrecision(15)));
+});
+
+test('rejects names that are not constants or functions', () => {
+  for (const name of ['foo', 'constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+    assert.throws(() => calculate(`${name} + 1`), { name: 'ToolError', message: `Unknown name "${name}"` });
+    assert.throws(() => calculate(`${name}(1)`), { name: 'ToolError', message: `Unknown name "${name}"` });
+  }
+});
+
+test('rejects results that are not finite', () => {
+  assert.throws(() => calculate('1 / 0'), { name: 'ToolError' });
+});
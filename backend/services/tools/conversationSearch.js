@@ -0,0 +1,42 @@
+import { searchConversations } from '../search.js';
+
+export const conversationSearch = {
+  name: 'search_conversations',
+  title: 'Search chats',
+  description: 'Search the user\'s other chats by keywords. Use it when the user refers to something ' +
+    'discussed in an earlier conversation. Returns the best matching chats with snippets.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Keywords to look for; "quotes" match a phrase',
+        minLength: 1,
+        maxLength: 200
+      },
+      limit: {
+        type: 'integer',
+        description: 'Chats to return, 5 by default',
+        minimum: 1,
+        maximum: 10
+      }
+    },
+    required: ['query']
+  },
+  requiresUser: true,
+  handler: async ({ query, limit = 5 }, { user, conversation }) => {
+    // One more, in case the current chat is among them
+    const { results } = await searchConversations(user._id, { q: query, limit: limit + 1 });
+
+    return {
+      results: results
+        .filter(result => !conversation?._id.equals(result.conversationId))
+        .slice(0, limit)
+        .map(result => ({
+          title: result.title,
+          updatedAt: result.updatedAt,
+          snippets: result.matches.map(match => `${match.role === 'user' ? 'User' : 'Assistant'}: ${match.snippet}`)
+        }))
+    };
+  }
+};
@@ -0,0 +1,32 @@
+import { ToolError } from './errors.js';
+
+export const currentTime = {
+  name: 'current_time',
+  title: 'Current time',
+  description: 'Get the current date and time. Use it for questions about today\'s date, the time or the day of the week.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: {
+        type: 'string',
+        description: 'IANA time zone such as "Europe/Paris" or "America/New_York"; defaults to UTC'
+      }
+    }
+  },
+  handler: ({ timeZone = 'UTC' }) => {
+    const now = new Date();
+    let localTime;
+
+    try {
+      localTime = new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }).format(now);
+    } catch {
+      throw new ToolError(`Unknown time zone "${timeZone}"`);
+    }
+
+    return {
+      timeZone,
+      localTime,
+      iso: now.toISOString()
+    };
+  }
+};
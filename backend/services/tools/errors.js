@@ -0,0 +1,7 @@
+// A tool failure whose message is safe to pass back to the model
+export class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
@@ -0,0 +1,95 @@
+import { calculator } from './calculator.js';
+import { currentTime } from './currentTime.js';
+import { conversationSearch } from './conversationSearch.js';
+import { validateArguments } from './schema.js';
+
+export { ToolError } from './errors.js';
+
+// Results are cut to this many characters before going back to the model
+const MAX_RESULT_LENGTH = 8000;
+
+// Tools the model can call, by name. A tool has the `name` the model calls
+// it by, a `title` shown to users, a `description` and JSON Schema
+// `parameters` telling the model when and how to call it, and a
+// `handler(args, context)` resolving with a JSON-serializable result, where
+// context is { user, conversation, signal }. Tools with `requiresUser` are
+// only offered to signed-in users; `timeoutMs` overrides TOOL_TIMEOUT_MS.
+const registry = new Map();
+
+export const registerTool = (tool) => {
+  registry.set(tool.name, tool);
+};
+
+[calculator, currentTime, conversationSearch].forEach(registerTool);
+
+export const listTools = () => [...registry.values()];
+
+// Tools to offer in a request: those in `names` (all of them when it is
+// undefined) that the user may use
+export const getRequestTools = (names, user) => listTools().filter(tool => (
+  (names === undefined || names.includes(tool.name)) && (!tool.requiresUser || user)
+));
+
+// What the provider is told about each tool
+export const toToolDefinitions = (tools) => tools.map(({ name, description, parameters }) => ({
+  name,
+  description,
+  parameters
+}));
+
+// Rounds of tool calls allowed for one reply; after that the model has to
+// answer with what it has (TOOL_MAX_ITERATIONS, default 5)
+export const getMaxToolIterations = () => Number(process.env.TOOL_MAX_ITERATIONS) || 5;
+
+const getTimeout = (tool) => tool.timeoutMs || Number(process.env.TOOL_TIMEOUT_MS) || 10000;
+
+// Resolve with the tool's result, or { error } when the call can't be made
+// or fails, so the model can tell the user or try again
+const invoke = async (call, tools, context) => {
+  const tool = tools.find(item => item.name === call.name);
+  if (!tool) {
+    return { error: `Unknown tool "${call.name}"` };
+  }
+
+  let args;
+  try {
+    args = JSON.parse(call.arguments || '{}');
+  } catch {
+    return { error: 'Arguments must be valid JSON' };
+  }
+
+  const invalid = validateArguments(tool.parameters, args);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  // Handlers get a signal so slow work can stop once its time is up
+  const timeoutMs = getTimeout(tool);
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ error: `${tool.name} took longer than ${timeoutMs} ms and was stopped` });
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([tool.handler(args, { ...context, signal: controller.signal }), timeout]);
+  } catch (error) {
+    if (error.name === 'ToolError') {
+      return { error: error.message };
+    }
+    console.error(`Tool ${tool.name} error:`, error);
+    return { error: `${tool.name} failed` };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Run one tool call from the model ({ id, name, arguments }) among the tools
+// offered. Resolves with the result as JSON text for a tool message.
+export const runToolCall = async (call, tools, context) => {
+  const text = JSON.stringify(await invoke(call, tools, context)) ?? 'null';
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}... (truncated)` : text;
+};
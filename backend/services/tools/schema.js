@@ -0,0 +1,57 @@
+// Checks for the subset of JSON Schema that tool parameters use: type,
+// enum, minimum/maximum, minLength/maxLength, required, properties and items
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: (value) => Array.isArray(value)
+};
+
+// First problem with a value, as a message the model can act on, or null
+const validateValue = (schema, value, path) => {
+  if (schema.type && !TYPE_CHECKS[schema.type]?.(value)) {
+    return `${path} must be of type ${schema.type}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${path} must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `${path} must be at most ${schema.maximum}`;
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return `${path} must be at least ${schema.minLength} characters`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${path} must be at most ${schema.maxLength} characters`;
+  }
+
+  if (schema.type === 'object') {
+    const missing = (schema.required || []).find(key => value[key] === undefined);
+    if (missing) {
+      return `${path}.${missing} is required`;
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      const problem = validateValue(propertySchema, value[key], `${path}.${key}`);
+      if (problem) return problem;
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    for (const [index, item] of value.entries()) {
+      const problem = validateValue(schema.items, item, `${path}[${index}]`);
+      if (problem) return problem;
+    }
+  }
+
+  return null;
+};
+
+// Check a tool call's parsed arguments against the tool's parameters schema
+export const validateArguments = (schema, args) => validateValue(schema, args, 'arguments');
@@ -0,0 +1,100 @@
+import Usage from '../models/Usage.js';
+
+const PERIODS = ['daily', 'monthly'];
+
+// Token limits per plan; 0 means unlimited
+const DEFAULT_PLAN_LIMITS = {
+  free: { daily: 20000, monthly: 200000 },
+  plus: { daily: 200000, monthly: 2000000 },
+  pro: { daily: 0, monthly: 0 }
+};
+
+// Limits for a plan, overridable per plan and period with environment
+// variables such as FREE_DAILY_TOKEN_LIMIT or PRO_MONTHLY_TOKEN_LIMIT
+export const getPlanLimits = (plan = 'free') => {
+  const defaults = DEFAULT_PLAN_LIMITS[plan] || DEFAULT_PLAN_LIMITS.free;
+
+  return PERIODS.reduce((limits, period) => {
+    const configured = process.env[`${plan.toUpperCase()}_${period.toUpperCase()}_TOKEN_LIMIT`];
+    limits[period] = configured !== undefined && configured !== ''
+      ? Number(configured)
+      : defaults[period];
+    return limits;
+  }, {});
+};
+
+// Counter keys for the current UTC day and month, and when each one resets
+const getCurrentPeriods = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  return {
+    daily: {
+      key: now.toISOString().slice(0, 10),
+      resetAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1))
+    },
+    monthly: {
+      key: now.toISOString().slice(0, 7),
+      resetAt: new Date(Date.UTC(year, month + 1, 1))
+    }
+  };
+};
+
+// Current usage against the user's plan limits, per period
+export const getUsageSummary = async (user) => {
+  const periods = getCurrentPeriods();
+  const limits = getPlanLimits(user.plan);
+
+  const records = await Usage.find({
+    userId: user._id,
+    $or: PERIODS.map(period => ({ period, key: periods[period].key }))
+  });
+
+  const summary = { plan: user.plan };
+  PERIODS.forEach(period => {
+    const record = records.find(r => r.period === period);
+    summary[period] = {
+      used: record?.totalTokens || 0,
+      requests: record?.requests || 0,
+      limit: limits[period] || null,
+      remaining: limits[period] ? Math.max(limits[period] - (record?.totalTokens || 0), 0) : null,
+      resetAt: periods[period].resetAt
+    };
+  });
+
+  return summary;
+};
+
+// The first period whose limit the user has used up, or null
+export const findExceededQuota = async (user) => {
+  const summary = await getUsageSummary(user);
+
+  const period = PERIODS.find(p => summary[p].limit && summary[p].used >= summary[p].limit);
+  return period ? { period, ...summary[period] } : null;
+};
+
+// The body of the 429 response for a quota from findExceededQuota
+export const toQuotaExceededResponse = (user, exceeded) => ({
+  error: `You've reached the ${exceeded.period} token limit for the ${user.plan} plan. Try again after ${exceeded.resetAt.toUTCString()}.`,
+  code: 'QUOTA_EXCEEDED',
+  quota: exceeded
+});
+
+// Add one request's token usage to the user's daily and monthly counters.
+// Tokens spent along with a request, such as embeddings, pass `requests: 0`.
+export const recordUsage = async (userId, usage, { requests = 1 } = {}) => {
+  const periods = getCurrentPeriods();
+
+  await Promise.all(PERIODS.map(period => Usage.updateOne(
+    { userId, period, key: periods[period].key },
+    {
+      $inc: {
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.totalTokens,
+        requests
+      }
+    },
+    { upsert: true }
+  )));
+};
@@ -0,0 +1,27 @@
+import { createMemoryIndex } from './memory.js';
+import { createMongoIndex } from './mongo.js';
+
+const indexFactories = {
+  memory: () => createMemoryIndex(),
+  mongo: () => createMongoIndex({ indexName: process.env.VECTOR_INDEX_NAME || 'library_chunks_vector' })
+};
+
+let vectorIndex;
+
+// The index named by VECTOR_INDEX (memory or mongo; default memory), created
+// on first use so the value from .env applies. An index has `add(documentId,
+// chunks)` and `remove(documentId)` to keep up with saved chunks, and
+// `search({ documentIds, vector, limit })`, resolving with the closest
+// chunks of those documents as { chunkId, score }, best first.
+export const getVectorIndex = () => {
+  if (!vectorIndex) {
+    const name = process.env.VECTOR_INDEX || 'memory';
+    const factory = indexFactories[name];
+
+    if (!factory) {
+      throw new Error(`Vector index "${name}" is unknown`);
+    }
+    vectorIndex = factory();
+  }
+  return vectorIndex;
+};
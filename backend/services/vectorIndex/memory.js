@@ -0,0 +1,62 @@
+import LibraryChunk from '../../models/LibraryChunk.js';
+
+const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+
+// Keeps the vectors of the documents searched in this process and compares
+// the query with every one of them. Exact, and needs nothing but MongoDB,
+// where the vectors are stored; fine for a single server and libraries that
+// fit in memory. Use the mongo index for larger ones.
+export const createMemoryIndex = () => {
+  // Document id -> its chunks as { chunkId, vector, norm }
+  const documents = new Map();
+
+  const toEntries = (chunks) => chunks.map(chunk => {
+    const vector = Float32Array.from(chunk.embedding);
+    return { chunkId: chunk._id, vector, norm: norm(vector) };
+  });
+
+  // Load the vectors of documents not searched since this process started
+  const load = async (documentIds) => {
+    const missing = documentIds.map(String).filter(id => !documents.has(id));
+    if (missing.length === 0) return;
+
+    const chunks = await LibraryChunk.find({ documentId: { $in: missing } }).select('documentId embedding').lean();
+    const loaded = new Map(missing.map(id => [id, []]));
+    chunks.forEach(chunk => loaded.get(String(chunk.documentId)).push(...toEntries([chunk])));
+
+    // Another search or add may have filled some in meanwhile; theirs are kept
+    loaded.forEach((entries, id) => {
+      if (!documents.has(id)) documents.set(id, entries);
+    });
+  };
+
+  return {
+    name: 'memory',
+
+    async add(documentId, chunks) {
+      documents.set(String(documentId), toEntries(chunks));
+    },
+
+    async remove(documentId) {
+      documents.delete(String(documentId));
+    },
+
+    async search({ documentIds, vector, limit }) {
+      await load(documentIds);
+
+      const query = Float32Array.from(vector);
+      const queryNorm = norm(query);
+      const results = [];
+
+      documentIds.forEach(id => {
+        (documents.get(String(id)) || []).forEach(entry => {
+          let dot = 0;
+          for (let i = 0; i < query.length; i++) dot += query[i] * entry.vector[i];
+          results.push({ chunkId: entry.chunkId, score: dot / (queryNorm * entry.norm) });
+        });
+      });
+
+      return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+  };
+};
@@ -0,0 +1,50 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LibraryChunk from '../../models/LibraryChunk.js';
+import { createMemoryIndex } from './memory.js';
+
+const documentId = new mongoose.Types.ObjectId();
+const chunks = [
+  { _id: new mongoose.Types.ObjectId(), documentId, embedding: [1, 0] },
+  { _id: new mongoose.Types.ObjectId(), documentId, embedding: [0, 1] }
+];
+
+// LibraryChunk.find(...).select(...).lean() resolving with the chunks, after a tick
+const mockFind = () => mock.method(LibraryChunk, 'find', () => ({
+  select: () => ({ lean: () => new Promise(resolve => setImmediate(() => resolve(chunks))) })
+}));
+
+afterEach(() => mock.restoreAll());
+
+test('ranks a document\'s chunks by similarity to the query', async () => {
+  mockFind();
+  const index = createMemoryIndex();
+
+  const results = await index.search({ documentIds: [documentId], vector: [0.1, 1], limit: 5 });
+  assert.deepEqual(results.map(result => result.chunkId), [chunks[1]._id, chunks[0]._id]);
+});
+
+test('concurrent first searches load each chunk once', async () => {
+  mockFind();
+  const index = createMemoryIndex();
+
+  const searches = await Promise.all([1, 2, 3].map(() => index.search({ documentIds: [documentId], vector: [1, 0], limit: 10 })));
+  searches.forEach(results => assert.equal(results.length, 2));
+
+  const again = await index.search({ documentIds: [documentId], vector: [1, 0], limit: 10 });
+  assert.equal(again.length, 2);
+});
+
+test('vectors added while a search loads them are kept', async () => {
+  mockFind();
+  const index = createMemoryIndex();
+
+  const search = index.search({ documentIds: [documentId], vector: [1, 0], limit: 10 });
+  await index.add(documentId, [{ _id: chunks[0]._id, embedding: [0, 1] }]);
+  await search;
+
+  const results = await index.search({ documentIds: [documentId], vector: [0, 1], limit: 10 });
+  assert.deepEqual(results.map(result => [result.chunkId, result.score]), [[chunks[0]._id, 1]]);
+  assert.equal(LibraryChunk.find.mock.calls.length, 1);
+});
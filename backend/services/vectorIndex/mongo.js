@@ -0,0 +1,36 @@
+import LibraryChunk from '../../models/LibraryChunk.js';
+
+// Candidates the search considers per result it returns; more is slower
+// but closer to an exact search
+const CANDIDATES_PER_RESULT = 20;
+
+// Searches the vectors where they are stored with Atlas Vector Search, so
+// nothing is held in this process and every server instance sees the same
+// index. The chunks collection needs the search index described in
+// models/LibraryChunk.js.
+export const createMongoIndex = ({ indexName }) => ({
+  name: 'mongo',
+
+  // Chunks are searchable as soon as they are saved
+  async add() {},
+
+  async remove() {},
+
+  async search({ documentIds, vector, limit }) {
+    const results = await LibraryChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: indexName,
+          path: 'embedding',
+          queryVector: vector,
+          numCandidates: limit * CANDIDATES_PER_RESULT,
+          limit,
+          filter: { documentId: { $in: documentIds } }
+        }
+      },
+      { $project: { score: { $meta: 'vectorSearchScore' } } }
+    ]);
+
+    return results.map(result => ({ chunkId: result._id, score: result.score }));
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createZip, createZipInWorker } from './zip.js';
+
+const modifiedAt = new Date(2024, 5, 3, 17, 40, 10);
+
+// The entries of an archive as { name, crc, content }, read through its
+// central directory as unzip tools do
+const readZip = (zip) => {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let position = zip.readUInt32LE(end + 16);
+
+  return Array.from({ length: count }, () => {
+    assert.equal(zip.readUInt32LE(position), 0x02014b50);
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const size = zip.readUInt32LE(position + 24);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+    const offset = zip.readUInt32LE(position + 42);
+    position += 46 + nameLength;
+
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+    const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(zip.subarray(start, start + compressedSize));
+    assert.equal(content.length, size);
+
+    return { name, crc, content };
+  });
+};
+
+test('writes files that read back with their names, contents and checksums', () => {
+  const zip = createZip([
+    { name: 'fox.txt', content: 'The quick brown fox jumps over the lazy dog' },
+    { name: 'markdown/Résumé 📄.md', content: Buffer.from('# Notes\n') },
+    { name: 'empty.json', content: '' }
+  ], modifiedAt);
+
+  const entries = readZip(zip);
+  assert.deepEqual(entries.map(entry => entry.name), ['fox.txt', 'markdown/Résumé 📄.md', 'empty.json']);
+  assert.equal(entries[0].content.toString(), 'The quick brown fox jumps over the lazy dog');
+  assert.equal(entries[0].crc, 0x414fa339);
+  assert.equal(entries[1].content.toString(), '# Notes\n');
+  assert.equal(entries[2].crc, 0);
+});
+
+test('stores the modification time as an MS-DOS date', () => {
+  const zip = createZip([{ name: 'a.txt', content: 'a' }], modifiedAt);
+
+  assert.equal(zip.readUInt16LE(10), (17 << 11) | (40 << 5) | 5);
+  assert.equal(zip.readUInt16LE(12), ((2024 - 1980) << 9) | (6 << 5) | 3);
+});
+
+test('builds the same archive in a worker thread', async () => {
+  const files = [
+    { name: 'conversations.json', content: JSON.stringify({ text: 'x'.repeat(100000) }) },
+    { name: 'user.json', content: Buffer.from('{}') }
+  ];
+
+  const zip = await createZipInWorker(files, modifiedAt);
+  assert.ok(Buffer.isBuffer(zip));
+  assert.deepEqual(zip, createZip(files, modifiedAt));
+});
@@ -0,0 +1,11 @@
+import { parentPort, workerData } from 'worker_threads';
+import { createZip } from './zip.js';
+
+// Runs createZip for createZipInWorker and posts back { zip } or
+// { error: { name, message } }
+try {
+  const zip = createZip(workerData.files, workerData.modifiedAt);
+  parentPort.postMessage({ zip });
+} catch (error) {
+  parentPort.postMessage({ error: { name: error.name, message: error.message } });
+}
@@ -1,13 +1,53 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { AuthProvider, useAuth } from "./context/AuthContext";
 import Chat from "./component/chat";
 import Login from "./components/Login";
 import Register from "./components/Register";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import VerifyEmail from "./components/VerifyEmail";
+import OidcCallback from "./components/OidcCallback";
+import SharedConversation from "./components/SharedConversation";
 import "./App.css";
 
+// Pages opened from links in account emails, e.g. /reset-password?token=...
+const getEmailLinkPage = () => {
+  const token = new URLSearchParams(window.location.search).get('token');
+  const page = { '/verify-email': 'verify-email', '/reset-password': 'reset-password' }[window.location.pathname];
+  return page && token ? { page, token } : null;
+};
+
+// Where the server sends the browser after a "Continue with ..." login
+const getOidcCallback = () => {
+  if (window.location.pathname !== '/auth/callback') return null;
+  const params = new URLSearchParams(window.location.search);
+  return { code: params.get('code'), error: params.get('error') };
+};
+
+// Public page of a shared conversation, /share/:slug
+const getSharedSlug = () => window.location.pathname.match(/^\/share\/([\w-]+)$/)?.[1] || null;
+
 const AppContent = () => {
   const { user, loading } = useAuth();
   const [authMode, setAuthMode] = useState('login');
+  const [emailLinkPage, setEmailLinkPage] = useState(getEmailLinkPage);
+  const [oidcCallback, setOidcCallback] = useState(getOidcCallback);
+  const [sharedSlug, setSharedSlug] = useState(getSharedSlug);
+  // A logged-out visitor asked to continue a shared conversation
+  const [loginForShare, setLoginForShare] = useState(false);
+
+  useEffect(() => {
+    const syncSharedSlug = () => setSharedSlug(getSharedSlug());
+    window.addEventListener("popstate", syncSharedSlug);
+    return () => window.removeEventListener("popstate", syncSharedSlug);
+  }, []);
+
+  const leaveLinkPage = () => {
+    window.history.replaceState({}, "", "/");
+    setEmailLinkPage(null);
+    setOidcCallback(null);
+    setAuthMode('login');
+  };
 
   if (loading) {
     return (
@@ -22,9 +62,44 @@ const AppContent = () => {
     );
   }
 
+  if (oidcCallback) {
+    return <OidcCallback code={oidcCallback.code} error={oidcCallback.error} onDone={leaveLinkPage} />;
+  }
+
+  if (emailLinkPage?.page === 'verify-email') {
+    return <VerifyEmail token={emailLinkPage.token} onDone={leaveLinkPage} />;
+  }
+
+  if (emailLinkPage?.page === 'reset-password') {
+    return <ResetPassword token={emailLinkPage.token} onDone={leaveLinkPage} />;
+  }
+
+  // Shown whether or not the visitor is logged in; after logging in to
+  // continue it, they come back to it
+  if (sharedSlug && (user || !loginForShare)) {
+    return (
+      <SharedConversation
+        slug={sharedSlug}
+        user={user}
+        onLogin={() => setLoginForShare(true)}
+        onOpenConversation={(conversationId) => {
+          window.history.pushState({ conversationId }, "", `/c/${conversationId}`);
+          setSharedSlug(null);
+        }}
+      />
+    );
+  }
+
   if (!user) {
+    if (authMode === 'forgot') {
+      return <ForgotPassword onBackToLogin={() => setAuthMode('login')} />;
+    }
+
     return authMode === 'login' ? (
-      <Login onSwitchToRegister={() => setAuthMode('register')} />
+      <Login
+        onSwitchToRegister={() => setAuthMode('register')}
+        onForgotPassword={() => setAuthMode('forgot')}
+      />
     ) : (
       <Register onSwitchToLogin={() => setAuthMode('login')} />
     );
@@ -1,5 +1,30 @@
-import React, { useState, useRef, useEffect, createContext, useContext } from "react";
+import React, { useState, useRef, useEffect, useLayoutEffect, useCallback, createContext, useContext } from "react";
 import axios from "axios";
+import { useAuth } from "../context/AuthContext";
+import { streamChat } from "../utils/streamChat";
+import { withRetryHint } from "../utils/rateLimit";
+import { downloadFile } from "../utils/download";
+import ModelPicker from "../components/ModelPicker";
+import FeedbackForm from "../components/FeedbackForm";
+import MarkdownMessage from "../components/MarkdownMessage";
+import SessionsModal from "../components/SessionsModal";
+import ChangePasswordModal from "../components/ChangePasswordModal";
+import AdminConsole from "../components/AdminConsole";
+import AssistantGallery from "../components/AssistantGallery";
+import SearchModal from "../components/SearchModal";
+import DataControlsModal from "../components/DataControlsModal";
+import ShareModal from "../components/ShareModal";
+import SharedLinksModal from "../components/SharedLinksModal";
+import AttachmentChip, { ACCEPTED_FILE_TYPES } from "../components/AttachmentChip";
+import ToolStep from "../components/ToolStep";
+import ToolsMenu from "../components/ToolsMenu";
+import LibraryPage from "../components/LibraryPage";
+import LibraryDocumentViewer from "../components/LibraryDocumentViewer";
+import SourcesMenu from "../components/SourcesMenu";
+import CitationList from "../components/CitationList";
+import MemoryModal from "../components/MemoryModal";
+import MemoryProposals from "../components/MemoryProposals";
+import SettingsModal from "../components/SettingsModal";
 
 // Theme Context
 const ThemeContext = createContext();
@@ -12,26 +37,132 @@ export const useTheme = () => {
   return context;
 };
 
+// "free" -> "Free"
+const formatPlan = (plan = "free") => plan.charAt(0).toUpperCase() + plan.slice(1);
+
+// Id of the newest message that has been saved, i.e. the one to reply under
+const getLastSavedId = (messageList) => [...messageList].reverse().find((msg) => msg._id)?._id || null;
+
+// Tool calls and their results come between a user message and the reply
+const isToolStep = (msg) => msg.role === "tool" || msg.toolCalls?.length > 0;
+
+// Index of the user message a reply answers, looking past the tool steps before it
+const findAnsweredIndex = (messageList, index) => {
+  for (let i = index - 1; i >= 0; i--) {
+    if (messageList[i].role === "user") return i;
+  }
+  return -1;
+};
+
+// The call a tool result answers, from the steps before it
+const findToolCall = (messageList, index) => {
+  const { toolCallId } = messageList[index];
+  for (let i = index - 1; i >= 0; i--) {
+    const call = messageList[i].toolCalls?.find((item) => item.id === toolCallId);
+    if (call) return call;
+  }
+  return null;
+};
+
+// Fetch a page of a conversation's active branch: the newest messages, or
+// with `before` the ones above that message
+const fetchMessages = async (conversationId, before) => {
+  const res = await axios.get(`http://localhost:5000/api/conversations/${conversationId}/messages`, {
+    params: before ? { before } : {}
+  });
+  return res.data;
+};
+
+const EXPORT_FORMATS = [
+  { format: "markdown", label: "Markdown (.md)" },
+  { format: "html", label: "Web page (.html)" },
+  { format: "json", label: "JSON, all versions (.json)" }
+];
+
+// Files that can be sent with one message, as the server allows
+const MAX_ATTACHMENTS = 5;
+
+// Used until the server's defaults have loaded
+const INITIAL_CHAT_CONFIG = {
+  model: "",
+  settings: { temperature: 0.7, maxTokens: 1000, topP: 1, systemPrompt: "" }
+};
+
 const Chat = () => {
   const [messages, setMessages] = useState([]);
+  // Whether the active branch has older messages than the ones loaded
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const [input, setInput] = useState("");
+  // Files attached to the message being written: { key, name, size, status,
+  // id once uploaded, kind and previewUrl for images }
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [isListening, setIsListening] = useState(false);
   const [recognition, setRecognition] = useState(null);
-  const [chatHistory] = useState([
-    "Learning Agentic AI Roadmap",
-    "IBM internship scam analysis", 
-    "Email for registration request",
-    "Flutter App Development Roadmap",
-    "IDS/IPS project summary",
-    "Freelancing to company roadmap",
-    "ChatGPT clone roadmap",
-    "Speed Programming Preparation",
-    "Job Platform Proposal Feedback",
-    "Clothing Brand in Pakistan"
-  ]);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [availableModels, setAvailableModels] = useState([]);
+  const [visionModels, setVisionModels] = useState([]);
+  const [toolModels, setToolModels] = useState([]);
+  const [availableTools, setAvailableTools] = useState([]);
+  // Tools the user switched off, remembered across chats
+  const [disabledTools, setDisabledTools] = useState(() => JSON.parse(localStorage.getItem("chatgpt-disabled-tools") || "[]"));
+  const [defaultChatConfig, setDefaultChatConfig] = useState(INITIAL_CHAT_CONFIG);
+  // Model and settings of the open conversation; null for a new chat using the defaults
+  const [chatConfig, setChatConfig] = useState(null);
+  const [chatConfigError, setChatConfigError] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
+  const [feedbackIndex, setFeedbackIndex] = useState(null);
+  const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [showGallery, setShowGallery] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  // Ids of the library documents the chat draws on
+  const [librarySources, setLibrarySources] = useState([]);
+  // The cited passage being read: { documentId, passageIndex, citation }
+  const [openPassage, setOpenPassage] = useState(null);
+  const [showMemory, setShowMemory] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  // Facts to remember proposed from the last exchange
+  const [memoryProposals, setMemoryProposals] = useState([]);
+  // Temporary chats don't use or add to memory
+  const [temporaryChat, setTemporaryChat] = useState(false);
+  // The GPT the current chat is with: { id, name, avatar, description, conversationStarters, model }
+  const [activeAssistant, setActiveAssistant] = useState(null);
+  const { user, logout, getAccessToken, resendVerification } = useAuth();
+  const preferences = user?.preferences || {};
+  // A new chat starts on the user's default model and temperature, or a GPT's model
+  const userChatConfig = {
+    model: availableModels.includes(preferences.defaultModel) ? preferences.defaultModel : defaultChatConfig.model,
+    settings: {
+      ...defaultChatConfig.settings,
+      ...(preferences.defaultTemperature != null && { temperature: preferences.defaultTemperature })
+    }
+  };
+  const newChatConfig = activeAssistant?.model ? { ...userChatConfig, model: activeAssistant.model } : userChatConfig;
+  const [showSearch, setShowSearch] = useState(false);
+  const [showDataControls, setShowDataControls] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  // Open chat being shared: up to { messageId }, or its whole active branch when null
+  const [shareTarget, setShareTarget] = useState(null);
+  const [showSharedLinks, setShowSharedLinks] = useState(false);
+  // Message opened from search, scrolled to and briefly highlighted
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [verificationNotice, setVerificationNotice] = useState(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // Scroll height before older messages were added above, to keep the view in place
+  const previousScrollHeightRef = useRef(null);
+  const streamControllerRef = useRef(null);
+  const requestedConversationRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // Load theme preference from localStorage
   useEffect(() => {
@@ -86,6 +217,83 @@ const Chat = () => {
     }
   }, []);
 
+  // The admin console has its own URL, so admins can bookmark /admin and
+  // leave it with the back button
+  useEffect(() => {
+    const syncAdminWithUrl = () => {
+      setShowAdmin(window.location.pathname === "/admin" && user?.role === "admin");
+    };
+
+    syncAdminWithUrl();
+    window.addEventListener("popstate", syncAdminWithUrl);
+    return () => window.removeEventListener("popstate", syncAdminWithUrl);
+  }, [user?.role]);
+
+  const openAdmin = () => {
+    window.history.pushState({ admin: true }, "", "/admin");
+    setShowAdmin(true);
+  };
+
+  const closeAdmin = () => {
+    // Back to the chat the console was opened from
+    if (window.history.state?.admin) {
+      window.history.back();
+      return;
+    }
+    window.history.replaceState({}, "", "/");
+    setShowAdmin(false);
+  };
+
+  // The GPT gallery lives at /gpts, like the admin console at /admin
+  useEffect(() => {
+    const syncGalleryWithUrl = () => {
+      setShowGallery(window.location.pathname === "/gpts");
+    };
+
+    syncGalleryWithUrl();
+    window.addEventListener("popstate", syncGalleryWithUrl);
+    return () => window.removeEventListener("popstate", syncGalleryWithUrl);
+  }, []);
+
+  const openGallery = () => {
+    window.history.pushState({ gpts: true }, "", "/gpts");
+    setShowGallery(true);
+  };
+
+  const closeGallery = () => {
+    if (window.history.state?.gpts) {
+      window.history.back();
+      return;
+    }
+    window.history.replaceState({}, "", "/");
+    setShowGallery(false);
+  };
+
+  // The library lives at /library, like the gallery at /gpts
+  useEffect(() => {
+    const syncLibraryWithUrl = () => {
+      setShowLibrary(window.location.pathname === "/library");
+    };
+
+    syncLibraryWithUrl();
+    window.addEventListener("popstate", syncLibraryWithUrl);
+    return () => window.removeEventListener("popstate", syncLibraryWithUrl);
+  }, []);
+
+  const openLibrary = () => {
+    window.history.pushState({ library: true }, "", "/library");
+    setShowLibrary(true);
+  };
+
+  const closeLibrary = () => {
+    if (window.history.state?.library) {
+      window.history.back();
+      return;
+    }
+    window.history.replaceState({}, "", "/");
+    setShowLibrary(false);
+  };
+
   const toggleDarkMode = () => {
     setIsDarkMode(!isDarkMode);
   };
@@ -94,45 +302,658 @@ const Chat = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
-  useEffect(() => {
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (previousScrollHeightRef.current !== null && container) {
+      container.scrollTop += container.scrollHeight - previousScrollHeightRef.current;
+      previousScrollHeightRef.current = null;
+      return;
+    }
     scrollToBottom();
   }, [messages]);
 
-  const sendMessage = async () => {
-    if (!input.trim() || isLoading) return;
+  const loadConversations = useCallback(async () => {
+    try {
+      const res = await axios.get("http://localhost:5000/api/conversations");
+      setConversations(res.data.conversations);
+    } catch (error) {
+      console.error("Failed to load conversations:", error);
+    }
+  }, []);
 
-    const userMessage = { role: "user", content: input };
-    setMessages((prev) => [...prev, userMessage]);
-    setInput("");
-    setIsLoading(true);
+  // Load the models this server offers and its default settings
+  useEffect(() => {
+    axios.get("http://localhost:5000/api/chat/models")
+      .then((res) => {
+        setAvailableModels(res.data.models);
+        setVisionModels(res.data.visionModels || []);
+        setToolModels(res.data.toolModels || []);
+        setAvailableTools(res.data.tools || []);
+        setDefaultChatConfig({ model: res.data.defaultModel, settings: res.data.defaultSettings });
+      })
+      .catch((error) => console.error("Failed to load models:", error));
+  }, []);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      const res = await axios.get("http://localhost:5000/api/usage");
+      setUsage(res.data.usage);
+    } catch (error) {
+      console.error("Failed to load usage:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsage();
+  }, [loadUsage]);
+
+  const stopStreaming = useCallback(() => {
+    streamControllerRef.current?.abort();
+    streamControllerRef.current = null;
+    setIsLoading(false);
+  }, []);
+
+  // Show a conversation returned by the API with the newest page of its active branch
+  const showConversation = useCallback((conversation, page) => {
+    setMessages(page.messages);
+    setHasOlderMessages(page.hasMore);
+    setChatConfig({ model: conversation.model, settings: conversation.settings });
+    setLibrarySources((conversation.librarySources || []).map(String));
+    setTemporaryChat(Boolean(conversation.temporary));
+
+    const assistantId = conversation.assistantId;
+    if (!assistantId) {
+      setActiveAssistant(null);
+      return;
+    }
+    setActiveAssistant((prev) => (prev?.id === assistantId ? prev : { id: assistantId }));
+    axios.get(`http://localhost:5000/api/assistants/${assistantId}`)
+      .then((res) => {
+        if (requestedConversationRef.current === conversation._id) setActiveAssistant(res.data.assistant);
+      })
+      .catch(() => {
+        if (requestedConversationRef.current === conversation._id) {
+          setActiveAssistant({ id: assistantId, name: "Unavailable GPT", unavailable: true });
+        }
+      });
+  }, []);
+
+  // Fetch a conversation and show it, unless the user has navigated away
+  // meanwhile. Resolves with the conversation and its messages when shown.
+  const loadConversation = useCallback(async (conversationId) => {
+    const [res, page] = await Promise.all([
+      axios.get(`http://localhost:5000/api/conversations/${conversationId}`),
+      fetchMessages(conversationId)
+    ]);
+    if (requestedConversationRef.current !== conversationId) return null;
+    showConversation(res.data.conversation, page);
+    return { conversation: res.data.conversation, ...page };
+  }, [showConversation]);
+
+  // Add the page of messages above the oldest one shown
+  const loadOlderMessages = async () => {
+    const conversationId = activeConversationId;
+    const oldest = messages[0];
+    if (!conversationId || !oldest?._id || isLoadingOlder) return;
+
+    setIsLoadingOlder(true);
+    try {
+      const page = await fetchMessages(conversationId, oldest._id);
+      if (requestedConversationRef.current !== conversationId) return;
+      previousScrollHeightRef.current = messagesContainerRef.current?.scrollHeight ?? null;
+      setMessages((prev) => [...page.messages, ...prev]);
+      setHasOlderMessages(page.hasMore);
+      // Open forms stay with their message as it moves down the list
+      const shift = (index) => (index === null ? null : index + page.messages.length);
+      setEditingIndex(shift);
+      setFeedbackIndex(shift);
+    } catch (error) {
+      console.error("Failed to load older messages:", error);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
+
+  // Open a saved conversation and optionally record it in the browser history
+  const openConversation = useCallback(async (conversationId, { updateUrl = true } = {}) => {
+    stopStreaming();
+    requestedConversationRef.current = conversationId;
+    setActiveConversationId(conversationId);
+    setChatConfigError(null);
+    setEditingIndex(null);
+    setFeedbackIndex(null);
+    setMemoryProposals([]);
+
+    if (updateUrl) {
+      window.history.pushState({ conversationId }, "", `/c/${conversationId}`);
+    }
+
+    try {
+      return await loadConversation(conversationId);
+    } catch (error) {
+      console.error("Failed to load conversation:", error);
+      if (requestedConversationRef.current !== conversationId) return null;
+      requestedConversationRef.current = null;
+      setActiveConversationId(null);
+      setChatConfig(null);
+      setActiveAssistant(null);
+      setLibrarySources([]);
+      setTemporaryChat(false);
+      setMessages([]);
+      setHasOlderMessages(false);
+      window.history.replaceState({}, "", "/");
+      return null;
+    }
+  }, [stopStreaming, loadConversation]);
+
+  // Load the sidebar and whichever conversation the URL points at
+  useEffect(() => {
+    const openFromUrl = () => {
+      const match = window.location.pathname.match(/^\/c\/([a-f\d]{24})$/i);
+      if (match) {
+        openConversation(match[1], { updateUrl: false });
+      } else {
+        stopStreaming();
+        requestedConversationRef.current = null;
+        setActiveConversationId(null);
+        setChatConfig(null);
+        setActiveAssistant(null);
+        setLibrarySources([]);
+        setTemporaryChat(false);
+        setMemoryProposals([]);
+        setMessages([]);
+        setHasOlderMessages(false);
+      }
+    };
+
+    loadConversations();
+    openFromUrl();
+
+    window.addEventListener("popstate", openFromUrl);
+    return () => window.removeEventListener("popstate", openFromUrl);
+  }, [loadConversations, openConversation, stopStreaming]);
+
+  // Apply a model or settings change; saved right away for an existing
+  // conversation, or sent when a new chat's conversation is created
+  const updateChatConfig = async (changes) => {
+    const current = chatConfig || newChatConfig;
+    setChatConfigError(null);
+
+    if (!activeConversationId) {
+      setChatConfig({
+        model: changes.model ?? current.model,
+        settings: { ...current.settings, ...changes.settings }
+      });
+      return { success: true };
+    }
+
+    try {
+      const res = await axios.put(`http://localhost:5000/api/conversations/${activeConversationId}`, changes);
+      const { model, settings } = res.data.conversation;
+      setChatConfig({ model, settings });
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || "Failed to update chat settings";
+      setChatConfigError(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Pick the library documents the chat draws on; saved right away for an
+  // existing conversation, like the model and settings
+  const updateLibrarySources = async (ids) => {
+    const previous = librarySources;
+    setLibrarySources(ids);
+    if (!activeConversationId) return;
 
     try {
-      const res = await axios.post("http://localhost:5000/api/chat", {
-        message: input,
+      const res = await axios.put(`http://localhost:5000/api/conversations/${activeConversationId}`, { librarySourceIds: ids });
+      setLibrarySources(res.data.conversation.librarySources.map(String));
+    } catch (error) {
+      console.error("Failed to update sources:", error);
+      setLibrarySources(previous);
+    }
+  };
+
+  // Turn memory off or back on for the chat, saved right away for an
+  // existing conversation
+  const updateTemporaryChat = async (temporary) => {
+    setTemporaryChat(temporary);
+    if (!activeConversationId) return;
+
+    try {
+      const res = await axios.put(`http://localhost:5000/api/conversations/${activeConversationId}`, { temporary });
+      setTemporaryChat(res.data.conversation.temporary);
+    } catch (error) {
+      console.error("Failed to update temporary chat:", error);
+      setTemporaryChat(!temporary);
+    }
+  };
+
+  // Abort any in-flight stream when the component unmounts
+  useEffect(() => {
+    return () => streamControllerRef.current?.abort();
+  }, []);
+
+  // Show baseMessages, then stream the assistant's reply to the given request
+  const requestReply = async (baseMessages, payload) => {
+    setMessages(baseMessages);
+    setEditingIndex(null);
+    setFeedbackIndex(null);
+    setMemoryProposals([]);
+    setIsLoading(true);
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
+    // Grow the in-progress assistant message as tokens arrive
+    let partialReply = "";
+    const showPartialReply = (delta) => {
+      partialReply += delta;
+      setMessages((prev) => {
+        const last = prev[prev.length - 1];
+        if (last?.streaming) {
+          return [...prev.slice(0, -1), { ...last, content: partialReply }];
+        }
+        return [...prev, { role: "assistant", content: partialReply, streaming: true }];
       });
+    };
 
-      const botReply = { role: "assistant", content: res.data.reply };
-      setMessages((prev) => [...prev, botReply]);
+    // Calling tools ends the text streamed so far; the answer streams into a
+    // new message after their results
+    const showToolCalls = ({ content, toolCalls }) => {
+      partialReply = "";
+      setMessages((prev) => {
+        const last = prev[prev.length - 1];
+        const step = { role: "assistant", content, toolCalls };
+        return last?.streaming ? [...prev.slice(0, -1), step] : [...prev, step];
+      });
+    };
+
+    const showToolResult = (result) => {
+      setMessages((prev) => [...prev, { role: "tool", ...result }]);
+    };
+
+    // Proposals arrive after the reply; they're dropped if the user has
+    // since moved to another chat or sent another message
+    const showMemoryProposals = (conversationId) => (memories) => {
+      if (requestedConversationRef.current === conversationId && !streamControllerRef.current) {
+        setMemoryProposals(memories);
+      }
+    };
+
+    try {
+      // Create the conversation on the first message of a new chat
+      let conversationId = activeConversationId;
+      if (!conversationId) {
+        const res = await axios.post("http://localhost:5000/api/conversations", {
+          ...chatConfig,
+          ...(activeAssistant && { assistantId: activeAssistant.id }),
+          ...(librarySources.length > 0 && { librarySourceIds: librarySources }),
+          ...(temporaryChat && { temporary: true })
+        });
+        conversationId = res.data.conversation.id;
+        requestedConversationRef.current = conversationId;
+        setActiveConversationId(conversationId);
+        window.history.pushState({ conversationId }, "", `/c/${conversationId}`);
+      }
+
+      // Streaming bypasses axios, so make sure the access token is still fresh
+      const accessToken = await getAccessToken();
+      const result = await streamChat(
+        {
+          ...payload,
+          conversationId,
+          ...(availableTools.length > 0 && {
+            tools: availableTools.map((tool) => tool.name).filter((name) => !disabledTools.includes(name))
+          })
+        },
+        {
+          onDelta: showPartialReply,
+          onToolCalls: showToolCalls,
+          onToolResult: showToolResult,
+          onMemories: showMemoryProposals(conversationId),
+          signal: controller.signal,
+          headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+        }
+      );
+
+      const botReply = { _id: result.messageId, role: "assistant", content: result.reply, citations: result.citations };
+      setMessages((prev) => [...prev.filter((msg) => !msg.streaming), botReply]);
+      loadConversations();
+      loadUsage();
+      // Pick up the saved message ids and branch info
+      loadConversation(conversationId).catch((error) => console.error("Failed to refresh conversation:", error));
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error(error);
+      // Plan and rate limits explain themselves; anything else gets the generic message
+      const errorMessage = ["QUOTA_EXCEEDED", "IMAGES_NOT_SUPPORTED", "ASSISTANT_UNAVAILABLE"].includes(error.code)
+        ? error.message
+        : error.code === "RATE_LIMITED"
+          ? withRetryHint(error.message, error.retryAfter)
+          : "Something went wrong. Please try again.";
       setMessages((prev) => [
-        ...prev,
-        { role: "assistant", content: "⚠️ Something went wrong. Please try again." },
+        ...prev.map((msg) => (msg.streaming ? { role: msg.role, content: msg.content } : msg)),
+        { role: "assistant", content: `⚠️ ${errorMessage}` },
       ]);
     } finally {
-      setIsLoading(false);
+      if (streamControllerRef.current === controller) {
+        streamControllerRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  };
+
+  // Upload picked files right away, so they are ready when the message is sent
+  const attachFiles = async (fileList) => {
+    const files = Array.from(fileList).slice(0, MAX_ATTACHMENTS - pendingAttachments.length);
+
+    await Promise.all(files.map(async (file) => {
+      const key = `${Date.now()}-${Math.random()}`;
+      // Images show a local preview until the message is sent
+      const image = file.type.startsWith("image/")
+        ? { kind: "image", previewUrl: URL.createObjectURL(file) }
+        : {};
+      setPendingAttachments((prev) => [...prev, { key, name: file.name, size: file.size, status: "uploading", ...image }]);
+
+      const update = (changes) => setPendingAttachments((prev) => (
+        prev.map((attachment) => (attachment.key === key ? { ...attachment, ...changes } : attachment))
+      ));
+
+      try {
+        // The server reads the raw bytes; octet-stream keeps JSON files from being parsed
+        const res = await axios.post("http://localhost:5000/api/attachments", file, {
+          params: { name: file.name },
+          headers: { "Content-Type": "application/octet-stream" }
+        });
+        update({ ...res.data.attachment, status: "ready" });
+      } catch (error) {
+        update({ status: "error", error: error.response?.data?.error || "Upload failed" });
+      }
+    }));
+  };
+
+  const removePendingAttachment = (attachment) => {
+    setPendingAttachments((prev) => prev.filter((item) => item.key !== attachment.key));
+    if (attachment.previewUrl) {
+      URL.revokeObjectURL(attachment.previewUrl);
+    }
+    if (attachment.status === "ready") {
+      axios.delete(`http://localhost:5000/api/attachments/${attachment.id}`).catch((error) => {
+        console.error("Failed to remove file:", error);
+      });
+    }
+  };
+
+  const openAttachment = async (attachment) => {
+    try {
+      await downloadFile(`http://localhost:5000/api/attachments/${attachment.id}/content`, attachment.name);
+    } catch (error) {
+      console.error("Failed to open file:", error);
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
+  // Pasted screenshots and other copied files are attached like picked ones
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length === 0) return;
+    e.preventDefault();
+    attachFiles(e.clipboardData.files);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    setIsDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFiles(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    if (e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    if (!isLoading) {
+      attachFiles(e.dataTransfer.files);
+    }
+  };
+
+  const updateDisabledTools = (names) => {
+    setDisabledTools(names);
+    localStorage.setItem("chatgpt-disabled-tools", JSON.stringify(names));
+  };
+
+  // Proposals shown under the chat may be handled in the modal
+  const openMemory = () => {
+    setMemoryProposals([]);
+    setShowMemory(true);
+  };
+
+  const openCitation = (citation) => {
+    setOpenPassage({ documentId: citation.documentId, passageIndex: citation.chunkIndex, citation });
+  };
+
+  const toolTitles = Object.fromEntries(availableTools.map((tool) => [tool.name, tool.title]));
+  const isUploading = pendingAttachments.some((attachment) => attachment.status === "uploading");
+  const currentModel = (chatConfig || newChatConfig).model;
+  // Images can only go to models that read them; the server refuses the rest
+  const imagesUnsupported = pendingAttachments.some((attachment) => attachment.kind === "image")
+    && visionModels.length > 0
+    && !visionModels.includes(currentModel);
+
+  // Send the typed message, or a GPT's conversation starter
+  const sendMessage = async (text = input) => {
+    if (!text.trim() || isLoading || isUploading || imagesUnsupported) return;
+
+    const content = text;
+    const attachments = pendingAttachments.filter((attachment) => attachment.status === "ready");
+    setInput("");
+    setPendingAttachments([]);
+    await requestReply(
+      [...messages, { role: "user", content, attachments }],
+      {
+        message: content,
+        parentMessageId: getLastSavedId(messages),
+        attachmentIds: attachments.map((attachment) => attachment.id)
+      }
+    );
+  };
+
+  // Ask for another answer to the user message before this reply; the new
+  // answer becomes a sibling of the current one
+  const regenerateReply = (index) => {
+    const userIndex = findAnsweredIndex(messages, index);
+    const userMessage = messages[userIndex];
+    if (isLoading || !userMessage?._id) return;
+
+    requestReply(messages.slice(0, userIndex + 1), {
+      regenerate: true,
+      parentMessageId: userMessage._id
+    });
+  };
+
+  const startEditing = (index) => {
+    setEditingIndex(index);
+    setEditDraft(messages[index].content);
+  };
+
+  // Send an edited user message as a new branch next to the original
+  const submitEdit = (index) => {
+    const content = editDraft.trim();
+    if (!content || isLoading) return;
+
+    // The edited message keeps the original's files
+    const attachments = messages[index].attachments || [];
+    const previousMessages = messages.slice(0, index);
+    requestReply(
+      [...previousMessages, { role: "user", content, attachments }],
+      {
+        message: content,
+        parentMessageId: getLastSavedId(previousMessages),
+        attachmentIds: attachments.map((attachment) => attachment.id)
+      }
+    );
+  };
+
+  // Save (or with null, remove) the rating of an assistant message
+  const saveFeedback = async (index, feedback) => {
+    const msg = messages[index];
+    const url = `http://localhost:5000/api/conversations/${activeConversationId}/messages/${msg._id}/feedback`;
+
+    try {
+      const res = feedback ? await axios.put(url, feedback) : await axios.delete(url);
+      setMessages((prev) => prev.map((m) => (m._id === msg._id ? { ...m, feedback: res.data.feedback } : m)));
+      setFeedbackIndex(null);
+      return { success: true };
+    } catch (error) {
+      console.error("Failed to save feedback:", error);
+      return { success: false };
+    }
+  };
+
+  // Clicking the current rating again clears it; a bad rating also asks what went wrong
+  const rateMessage = async (index, rating) => {
+    if (messages[index].feedback?.rating === rating) {
+      saveFeedback(index, null);
+      return;
+    }
+
+    const result = await saveFeedback(index, { rating });
+    if (result.success && rating === "down") {
+      setFeedbackIndex(index);
+    }
+  };
+
+  // Show the previous (-1) or next (+1) alternative of a message
+  const switchBranch = async (msg, offset) => {
+    const messageId = msg.siblingIds[msg.siblingIndex + offset];
+    if (!messageId || isLoading || !activeConversationId) return;
+
+    try {
+      const res = await axios.put(
+        `http://localhost:5000/api/conversations/${activeConversationId}/branch`,
+        { messageId }
+      );
+      const page = await fetchMessages(activeConversationId);
+      setEditingIndex(null);
+      setFeedbackIndex(null);
+      showConversation(res.data.conversation, page);
+    } catch (error) {
+      console.error("Failed to switch branch:", error);
+    }
+  };
+
+  // Open a search result: the conversation, switched to the branch that
+  // contains the matched message, with enough history loaded to show it
+  const jumpToMessage = async (conversationId, messageId) => {
+    setShowSearch(false);
+    const loaded = await openConversation(conversationId);
+    if (!loaded || !messageId) return;
+
+    let shown = loaded.messages;
+    let page = loaded;
+
+    if (!shown.some((msg) => msg._id === messageId)) {
+      try {
+        // Keeps the active branch when the message is further up on it
+        const res = await axios.put(
+          `http://localhost:5000/api/conversations/${conversationId}/branch`,
+          { messageId }
+        );
+        page = await fetchMessages(conversationId);
+        if (requestedConversationRef.current !== conversationId) return;
+        shown = page.messages;
+
+        // Walk up the branch until the message has been loaded
+        while (page.hasMore && !shown.some((msg) => msg._id === messageId)) {
+          page = await fetchMessages(conversationId, page.nextCursor);
+          if (requestedConversationRef.current !== conversationId) return;
+          shown = [...page.messages, ...shown];
+        }
+
+        showConversation(res.data.conversation, { messages: shown, hasMore: page.hasMore });
+      } catch (error) {
+        console.error("Failed to open search result:", error);
+        return;
+      }
+    }
+
+    setHighlightedMessageId(messageId);
+  };
+
+  // Scroll to a message opened from search once it is shown
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const element = document.getElementById(`message-${highlightedMessageId}`);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timer = setTimeout(() => setHighlightedMessageId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId, messages]);
+
+  // Ctrl+K / Cmd+K opens search
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setShowSearch(true);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // Download the open conversation in one of the export formats
+  const exportConversation = async (format) => {
+    setShowExportMenu(false);
+    try {
+      await downloadFile(
+        `http://localhost:5000/api/conversations/${activeConversationId}/export?format=${format}`,
+        `conversation.${format === "markdown" ? "md" : format}`
+      );
+    } catch (error) {
+      console.error("Failed to export conversation:", error);
+    }
+  };
+
+  // Enter sends unless the user turned that off; then Ctrl/Cmd+Enter does
+  const handleKeyDown = (e) => {
+    if (e.key !== "Enter" || e.nativeEvent.isComposing) return;
+
+    const send = preferences.sendOnEnter === false ? e.ctrlKey || e.metaKey : !e.shiftKey;
+    if (send) {
       e.preventDefault();
       sendMessage();
     }
   };
 
   const startNewChat = () => {
+    stopStreaming();
+    requestedConversationRef.current = null;
+    setActiveConversationId(null);
+    setChatConfig(null);
+    setChatConfigError(null);
+    setEditingIndex(null);
+    setFeedbackIndex(null);
+    setActiveAssistant(null);
+    setLibrarySources([]);
+    setTemporaryChat(false);
+    setMemoryProposals([]);
     setMessages([]);
+    setHasOlderMessages(false);
+    window.history.pushState({}, "", "/");
+  };
+
+  // Close the gallery on a new chat with this GPT
+  const startAssistantChat = (assistant) => {
+    startNewChat();
+    setShowGallery(false);
+    setActiveAssistant(assistant);
   };
 
   const toggleVoiceInput = () => {
@@ -163,14 +984,14 @@ const Chat = () => {
           </div>
 
           <div className="sidebar-nav">
-            <div className="nav-item">
+            <div className="nav-item" onClick={() => setShowSearch(true)} title="Search chats (Ctrl+K)">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M21 21L16.65 16.65M19 11C19 15.4183 15.4183 19 11 19C6.58172 19 3 15.4183 3 11C3 6.58172 6.58172 3 11 3C15.4183 3 19 6.58172 19 11Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
               </svg>
               Search chats
             </div>
             
-            <div className="nav-item">
+            <div className="nav-item" onClick={openLibrary}>
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M2 3H6L7.68 14.39C7.77 14.85 8.17 15.2 8.64 15.2H19.5C19.94 15.2 20.32 14.9 20.44 14.47L22.44 7.47C22.55 7.08 22.24 6.7 21.84 6.7H7.5M10 21C10.5523 21 11 20.5523 11 20C11 19.4477 10.5523 19 10 19C9.44772 19 9 19.4477 9 20C9 20.5523 9.44772 21 10 21Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                 <path d="M17 21C17.5523 21 18 20.5523 18 20C18 19.4477 17.5523 19 17 19C16.4477 19 16 19.4477 16 20C16 20.5523 16.4477 21 17 21Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -185,7 +1006,7 @@ const Chat = () => {
               Sora
             </div>
             
-            <div className="nav-item">
+            <div className="nav-item" onClick={openGallery}>
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M12 2L2 7L12 12L22 7L12 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                 <path d="M2 17L12 22L22 17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -196,22 +1017,41 @@ const Chat = () => {
 
             <div className="chat-history">
               <h3>Chats</h3>
-              {chatHistory.map((chat, index) => (
-                <div key={index} className="chat-item">
+              {conversations.map((conversation) => (
+                <div
+                  key={conversation._id}
+                  className={`chat-item ${conversation._id === activeConversationId ? 'active' : ''}`}
+                  onClick={() => openConversation(conversation._id)}
+                  title={conversation.title}
+                >
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <path d="M8 12H8.01M12 12H12.01M16 12H16.01M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                   </svg>
-                  {chat}
-          </div>
-        ))}
-      </div>
+                  {conversation.title}
+                </div>
+              ))}
+            </div>
           </div>
 
           <div className="user-profile">
-            <div className="user-avatar">KK</div>
+            <div className="user-avatar">{user?.avatar}</div>
             <div className="user-info">
-              <div className="user-name">Kashif Khan</div>
-              <div className="user-plan">Free</div>
+              <div className="user-name">{user?.username}</div>
+              <div className="user-plan">{formatPlan(user?.plan)}</div>
+              {usage?.daily.limit && (
+                <div
+                  className="user-usage"
+                  title={`${usage.monthly.used.toLocaleString()} tokens used this month${usage.monthly.limit ? ` of ${usage.monthly.limit.toLocaleString()}` : ""}`}
+                >
+                  <div className="usage-bar">
+                    <div
+                      className="usage-bar-fill"
+                      style={{ width: `${Math.min(usage.daily.used / usage.daily.limit, 1) * 100}%` }}
+                    />
+                  </div>
+                  {usage.daily.used.toLocaleString()} / {usage.daily.limit.toLocaleString()} tokens today
+                </div>
+              )}
             </div>
             <button className="theme-toggle" onClick={toggleDarkMode} title={isDarkMode ? "Switch to light mode" : "Switch to dark mode"}>
               {isDarkMode ? (
@@ -224,28 +1064,183 @@ const Chat = () => {
                 </svg>
               )}
             </button>
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M6 9L12 15L18 9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-            </svg>
+            <button className="theme-toggle" onClick={() => setShowUserMenu(!showUserMenu)} title="Account">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M6 9L12 15L18 9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+            {showUserMenu && (
+              <div className="user-menu">
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowSettings(true);
+                  }}
+                >
+                  Settings
+                </button>
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowSessions(true);
+                  }}
+                >
+                  Sessions
+                </button>
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowChangePassword(true);
+                  }}
+                >
+                  Change password
+                </button>
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    openMemory();
+                  }}
+                >
+                  Manage memory
+                </button>
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowDataControls(true);
+                  }}
+                >
+                  Data controls
+                </button>
+                <button
+                  className="user-menu-item"
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    setShowSharedLinks(true);
+                  }}
+                >
+                  Shared links
+                </button>
+                {user?.role === "admin" && (
+                  <button
+                    className="user-menu-item"
+                    onClick={() => {
+                      setShowUserMenu(false);
+                      openAdmin();
+                    }}
+                  >
+                    Admin console
+                  </button>
+                )}
+                <button className="user-menu-item" onClick={logout}>
+                  Log out
+                </button>
+              </div>
+            )}
           </div>
         </div>
 
+        {showSessions && <SessionsModal onClose={() => setShowSessions(false)} />}
+        {showChangePassword && <ChangePasswordModal onClose={() => setShowChangePassword(false)} />}
+        {showAdmin && <AdminConsole onClose={closeAdmin} />}
+        {showGallery && (
+          <AssistantGallery models={availableModels} onStartChat={startAssistantChat} onClose={closeGallery} />
+        )}
+        {showLibrary && <LibraryPage onClose={closeLibrary} />}
+        {openPassage && (
+          <LibraryDocumentViewer
+            documentId={openPassage.documentId}
+            passageIndex={openPassage.passageIndex}
+            citation={openPassage.citation}
+            onClose={() => setOpenPassage(null)}
+          />
+        )}
+        {showMemory && <MemoryModal onClose={() => setShowMemory(false)} />}
+        {showSettings && <SettingsModal models={availableModels} onClose={() => setShowSettings(false)} />}
+        {showSearch && <SearchModal onSelect={jumpToMessage} onClose={() => setShowSearch(false)} />}
+        {showDataControls && (
+          <DataControlsModal onImported={loadConversations} onClose={() => setShowDataControls(false)} />
+        )}
+        {shareTarget && activeConversationId && (
+          <ShareModal
+            conversationId={activeConversationId}
+            messageId={shareTarget.messageId}
+            onClose={() => setShareTarget(null)}
+          />
+        )}
+        {showSharedLinks && <SharedLinksModal onClose={() => setShowSharedLinks(false)} />}
+
         {/* Main Content */}
         <div className="main-content">
-          <div className="chat-header">
-            <div className="chat-title">
-              <div className="chatgpt-logo">
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142-.0852 4.783-2.7582a.7712.7712 0 0 0 .7806 0l5.8428 3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zM2.3408 7.8956a4.485 4.485 0 0 1 2.3655-1.9728V11.6a.7664.7664 0 0 0 .3879.6765l5.8144 3.3543-2.0201 1.1685a.0757.0757 0 0 1-.071 0l-4.8303-2.7865A4.504 4.504 0 0 1 2.3408 7.872zm16.5963 3.8558L13.1038 8.364 15.1192 7.2a.0757.0757 0 0 1 .071 0l4.8303 2.7913a4.4944 4.4944 0 0 1-.6765 8.1042v-5.6772a.79.79 0 0 0-.407-.667zm2.0107-3.0231l-.142-.0852-4.7735-2.7818a.7759.7759 0 0 0-.7854 0L9.409 9.2297V6.8974a.0662.0662 0 0 1 .0284-.0615l4.8303-2.7866a4.4992 4.4992 0 0 1 6.6802 4.66zM8.3065 12.863l-2.02-1.1638a.0804.0804 0 0 1-.038-.0567V6.0742a4.4992 4.4992 0 0 1 7.3757-3.4537l-.142.0805L8.704 5.459a.7948.7948 0 0 0-.3927.6813zm1.0976-2.3654l2.602-1.4998 2.6069 1.4998v2.9994l-2.5974 1.4997-2.6067-1.4997Z" fill="currentColor"/>
-                </svg>
-              </div>
-              ChatGPT
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M6 9L12 15L18 9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-              </svg>
+          {user && !user.emailVerified && (
+            <div className="verify-banner">
+              {verificationNotice || `Please verify your email address. We sent a link to ${user.email}.`}
+              {!verificationNotice && (
+                <button
+                  className="link-button"
+                  onClick={async () => {
+                    const result = await resendVerification();
+                    setVerificationNotice(result.success ? "Verification email sent. Check your inbox." : result.error);
+                  }}
+                >
+                  Resend email
+                </button>
+              )}
             </div>
+          )}
+          <div className="chat-header">
+            <ModelPicker
+              title={activeAssistant?.name}
+              models={availableModels}
+              model={(chatConfig || newChatConfig).model}
+              settings={(chatConfig || newChatConfig).settings}
+              onChange={updateChatConfig}
+              error={chatConfigError}
+            />
             <div className="header-actions">
-              <button className="share-btn">
+              {preferences.memoryEnabled !== false && (
+                <button
+                  className={`share-btn temporary-chat-btn ${temporaryChat ? "active" : ""}`}
+                  onClick={() => updateTemporaryChat(!temporaryChat)}
+                  disabled={isLoading}
+                  title={temporaryChat ? "Temporary chat: memory is off. Click to turn it back on." : "Turn memory off for this chat"}
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M12 22C17.5228 22 22 17.5228 22 12C22 6.47715 17.5228 2 12 2C6.47715 2 2 6.47715 2 12C2 17.5228 6.47715 22 12 22Z" stroke="currentColor" strokeWidth="2" strokeDasharray="3 3"/>
+                    <path d="M12 7V12L15 14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Temporary
+                </button>
+              )}
+              {activeConversationId && (
+                <div className="export-menu-wrapper">
+                  <button className="share-btn" onClick={() => setShowExportMenu(!showExportMenu)} title="Export chat">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                      <path d="M12 3V15M12 15L7 10M12 15L17 10M4 17V19C4 20.1046 4.89543 21 6 21H18C19.1046 21 20 20.1046 20 19V17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                    </svg>
+                    Export
+                  </button>
+                  {showExportMenu && (
+                    <div className="export-menu">
+                      {EXPORT_FORMATS.map(({ format, label }) => (
+                        <button key={format} className="user-menu-item" onClick={() => exportConversation(format)}>
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+              <button
+                className="share-btn"
+                onClick={() => setShareTarget({ messageId: null })}
+                disabled={!activeConversationId || isLoading}
+                title={activeConversationId ? "Share chat" : "Send a message to share this chat"}
+              >
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                   <path d="M4 12V20C4 20.5304 4.21071 21.0391 4.58579 21.4142C4.96086 21.7893 5.46957 22 6 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                   <path d="M16 6L12 2L8 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -262,75 +1257,237 @@ const Chat = () => {
             </div>
           </div>
 
-          <div className="chat-messages">
+          {temporaryChat && (
+            <div className="temporary-chat-notice">Temporary chat. It won't use or add to your memory.</div>
+          )}
+          <div className="chat-messages" ref={messagesContainerRef}>
+            {hasOlderMessages && (
+              <button className="load-older-btn" onClick={loadOlderMessages} disabled={isLoadingOlder}>
+                {isLoadingOlder ? "Loading..." : "Load earlier messages"}
+              </button>
+            )}
             {messages.length === 0 ? (
-              <div className="welcome-screen">
-                <div className="welcome-title">Where should we begin?</div>
-                <div className="suggestion-grid">
-                  <div className="suggestion-card">
-                    <div className="suggestion-icon">🎯</div>
-                    <div className="suggestion-text">Help me plan a project</div>
-                  </div>
-                  <div className="suggestion-card">
-                    <div className="suggestion-icon">📚</div>
-                    <div className="suggestion-text">Explain a concept</div>
-                  </div>
-                  <div className="suggestion-card">
-                    <div className="suggestion-icon">💡</div>
-                    <div className="suggestion-text">Brainstorm ideas</div>
-                  </div>
-                  <div className="suggestion-card">
-                    <div className="suggestion-icon">🔧</div>
-                    <div className="suggestion-text">Debug some code</div>
+              activeAssistant ? (
+                <div className="welcome-screen">
+                  <div className="assistant-avatar large">{activeAssistant.avatar}</div>
+                  <div className="welcome-title assistant-welcome-title">{activeAssistant.name}</div>
+                  {activeAssistant.description && (
+                    <div className="assistant-welcome-description">{activeAssistant.description}</div>
+                  )}
+                  {activeAssistant.conversationStarters?.length > 0 && (
+                    <div className="suggestion-grid">
+                      {activeAssistant.conversationStarters.map((starter) => (
+                        <div key={starter} className="suggestion-card" onClick={() => sendMessage(starter)}>
+                          <div className="suggestion-text">{starter}</div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="welcome-screen">
+                  <div className="welcome-title">Where should we begin?</div>
+                  <div className="suggestion-grid">
+                    <div className="suggestion-card">
+                      <div className="suggestion-icon">🎯</div>
+                      <div className="suggestion-text">Help me plan a project</div>
+                    </div>
+                    <div className="suggestion-card">
+                      <div className="suggestion-icon">📚</div>
+                      <div className="suggestion-text">Explain a concept</div>
+                    </div>
+                    <div className="suggestion-card">
+                      <div className="suggestion-icon">💡</div>
+                      <div className="suggestion-text">Brainstorm ideas</div>
+                    </div>
+                    <div className="suggestion-card">
+                      <div className="suggestion-icon">🔧</div>
+                      <div className="suggestion-text">Debug some code</div>
+                    </div>
                   </div>
                 </div>
-              </div>
+              )
             ) : (
-              messages.map((msg, idx) => (
-                <div key={idx} className={`message ${msg.role}`}>
-                  <div className={`message-avatar ${msg.role}`}>
-                    {msg.role === "user" ? (
-                      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                        <path d="M12 11C14.2091 11 16 9.20914 16 7C16 4.79086 14.2091 3 12 3C9.79086 3 8 4.79086 8 7C8 9.20914 9.79086 11 12 11Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                      </svg>
-                    ) : (
-                      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142-.0852 4.783-2.7582a.7712.7712 0 0 0 .7806 0l5.8428 3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zM2.3408 7.8956a4.485 4.485 0 0 1 2.3655-1.9728V11.6a.7664.7664 0 0 0 .3879.6765l5.8144 3.3543-2.0201 1.1685a.0757.0757 0 0 1-.071 0l-4.8303-2.7865A4.504 4.504 0 0 1 2.3408 7.872zm16.5963 3.8558L13.1038 8.364 15.1192 7.2a.0757.0757 0 0 1 .071 0l4.8303 2.7913a4.4944 4.4944 0 0 1-.6765 8.1042v-5.6772a.79.79 0 0 0-.407-.667zm2.0107-3.0231l-.142-.0852-4.7735-2.7818a.7759.7759 0 0 0-.7854 0L9.409 9.2297V6.8974a.0662.0662 0 0 1 .0284-.0615l4.8303-2.7866a4.4992 4.4992 0 0 1 6.6802 4.66zM8.3065 12.863l-2.02-1.1638a.0804.0804 0 0 1-.038-.0567V6.0742a4.4992 4.4992 0 0 1 7.3757-3.4537l-.142.0805L8.704 5.459a.7948.7948 0 0 0-.3927.6813zm1.0976-2.3654l2.602-1.4998 2.6069 1.4998v2.9994l-2.5974 1.4997-2.6067-1.4997Z" fill="currentColor"/>
-                      </svg>
-                    )}
-                  </div>
-                  <div className="message-content">
-                    {msg.content}
-                    <div className="message-actions">
-                      <button className="action-btn" title="Good response">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                          <path d="M14 9V5A3 3 0 0 0 8 5V9M10 22H4A2 2 0 0 1 2 20V10A2 2 0 0 1 4 8H20A2 2 0 0 1 22 10V20A2 2 0 0 1 20 22H14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                        </svg>
-                      </button>
-                      <button className="action-btn" title="Bad response">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                          <path d="M10 15V19M14 15V19M10 3V9M14 3V9M6 21H18A2 2 0 0 0 20 19V5A2 2 0 0 0 18 3H6A2 2 0 0 0 4 5V19A2 2 0 0 0 6 21Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                        </svg>
-                      </button>
-                      <button className="action-btn" title="Regenerate">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                          <path d="M3 12A9 9 0 0 1 12 3A9 9 0 0 1 21 12A9 9 0 0 1 12 21A9 9 0 0 1 3 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                          <path d="M12 7V12L15 15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              messages.map((msg, idx) => {
+                if (isToolStep(msg)) {
+                  return (
+                    <ToolStep
+                      key={idx}
+                      message={msg}
+                      toolCall={msg.role === "tool" ? findToolCall(messages, idx) : null}
+                      pendingCalls={(msg.toolCalls || []).filter((call) => (
+                        !messages.some((other) => other.role === "tool" && other.toolCallId === call.id)
+                      ))}
+                      titles={toolTitles}
+                    />
+                  );
+                }
+
+                // A reply's alternatives are those of the first step after the user message
+                const branchMsg = msg.role === "assistant" ? messages[findAnsweredIndex(messages, idx) + 1] : msg;
+
+                return (
+                  <div
+                    key={idx}
+                    id={msg._id ? `message-${msg._id}` : undefined}
+                    className={`message ${msg.role}${msg._id && msg._id === highlightedMessageId ? " highlighted" : ""}`}
+                  >
+                    <div className={`message-avatar ${msg.role}`}>
+                      {msg.role === "user" ? (
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                          <path d="M12 11C14.2091 11 16 9.20914 16 7C16 4.79086 14.2091 3 12 3C9.79086 3 8 4.79086 8 7C8 9.20914 9.79086 11 12 11Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                         </svg>
-                      </button>
-                      <button className="action-btn" title="Copy">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                          <path d="M16 4H18C19.1046 4 20 4.89543 20 6V18C20 19.1046 19.1046 20 18 20H6C4.89543 20 4 19.1046 4 18V16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                          <path d="M8 2H16C17.1046 2 18 2.89543 18 4V16C18 17.1046 17.1046 18 16 18H8C6.89543 18 6 17.1046 6 16V4C6 2.89543 6.89543 2 8 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                      ) : (
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                          <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142-.0852 4.783-2.7582a.7712.7712 0 0 0 .7806 0l5.8428 3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zM2.3408 7.8956a4.485 4.485 0 0 1 2.3655-1.9728V11.6a.7664.7664 0 0 0 .3879.6765l5.8144 3.3543-2.0201 1.1685a.0757.0757 0 0 1-.071 0l-4.8303-2.7865A4.504 4.504 0 0 1 2.3408 7.872zm16.5963 3.8558L13.1038 8.364 15.1192 7.2a.0757.0757 0 0 1 .071 0l4.8303 2.7913a4.4944 4.4944 0 0 1-.6765 8.1042v-5.6772a.79.79 0 0 0-.407-.667zm2.0107-3.0231l-.142-.0852-4.7735-2.7818a.7759.7759 0 0 0-.7854 0L9.409 9.2297V6.8974a.0662.0662 0 0 1 .0284-.0615l4.8303-2.7866a4.4992 4.4992 0 0 1 6.6802 4.66zM8.3065 12.863l-2.02-1.1638a.0804.0804 0 0 1-.038-.0567V6.0742a4.4992 4.4992 0 0 1 7.3757-3.4537l-.142.0805L8.704 5.459a.7948.7948 0 0 0-.3927.6813zm1.0976-2.3654l2.602-1.4998 2.6069 1.4998v2.9994l-2.5974 1.4997-2.6067-1.4997Z" fill="currentColor"/>
                         </svg>
-                      </button>
+                      )}
+                    </div>
+                    <div className="message-content">
+                      {editingIndex === idx ? (
+                        <div className="message-edit">
+                          <textarea
+                            className="message-edit-input"
+                            value={editDraft}
+                            onChange={(e) => setEditDraft(e.target.value)}
+                            rows={3}
+                            autoFocus
+                          />
+                          <div className="message-edit-actions">
+                            <button className="edit-cancel-btn" onClick={() => setEditingIndex(null)}>
+                              Cancel
+                            </button>
+                            <button
+                              className="edit-send-btn"
+                              onClick={() => submitEdit(idx)}
+                              disabled={!editDraft.trim() || isLoading}
+                            >
+                              Send
+                            </button>
+                          </div>
+                        </div>
+                      ) : msg.role === "assistant" ? (
+                        <MarkdownMessage
+                          content={msg.content}
+                          streaming={msg.streaming}
+                          citations={msg.citations}
+                          onCitationClick={(number) => openCitation(msg.citations.find((citation) => citation.number === number))}
+                        />
+                      ) : (
+                        msg.content
+                      )}
+                      {msg.citations?.length > 0 && <CitationList citations={msg.citations} onOpen={openCitation} />}
+                      {msg.attachments?.length > 0 && (
+                        <div className="attachment-list">
+                          {msg.attachments.map((attachment) => (
+                            <AttachmentChip
+                              key={attachment.id}
+                              attachment={attachment}
+                              onOpen={() => openAttachment(attachment)}
+                            />
+                          ))}
+                        </div>
+                      )}
+                      {branchMsg.siblingIds?.length > 1 && editingIndex !== idx && (
+                        <div className="branch-nav">
+                          <button
+                            className="branch-nav-btn"
+                            onClick={() => switchBranch(branchMsg, -1)}
+                            disabled={isLoading || branchMsg.siblingIndex === 0}
+                            title="Previous version"
+                          >
+                            ‹
+                          </button>
+                          <span>{branchMsg.siblingIndex + 1}/{branchMsg.siblingIds.length}</span>
+                          <button
+                            className="branch-nav-btn"
+                            onClick={() => switchBranch(branchMsg, 1)}
+                            disabled={isLoading || branchMsg.siblingIndex === branchMsg.siblingIds.length - 1}
+                            title="Next version"
+                          >
+                            ›
+                          </button>
+                        </div>
+                      )}
+                      {!msg.streaming && editingIndex !== idx && (
+                        <div className="message-actions">
+                          {msg.role === "user" && (
+                            <button className="action-btn" title="Edit" onClick={() => startEditing(idx)} disabled={isLoading}>
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M12 20H21M16.5 3.5A2.121 2.121 0 0 1 19.5 6.5L7 19L3 20L4 16L16.5 3.5Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                              </svg>
+                            </button>
+                          )}
+                          {msg.role === "assistant" && msg._id && (
+                            <>
+                              <button
+                                className={`action-btn ${msg.feedback?.rating === "up" ? "active" : ""}`}
+                                title="Good response"
+                                onClick={() => rateMessage(idx, "up")}
+                              >
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                  <path d="M14 9V5A3 3 0 0 0 8 5V9M10 22H4A2 2 0 0 1 2 20V10A2 2 0 0 1 4 8H20A2 2 0 0 1 22 10V20A2 2 0 0 1 20 22H14" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                </svg>
+                              </button>
+                              <button
+                                className={`action-btn ${msg.feedback?.rating === "down" ? "active" : ""}`}
+                                title="Bad response"
+                                onClick={() => rateMessage(idx, "down")}
+                              >
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                  <path d="M10 15V19M14 15V19M10 3V9M14 3V9M6 21H18A2 2 0 0 0 20 19V5A2 2 0 0 0 18 3H6A2 2 0 0 0 4 5V19A2 2 0 0 0 6 21Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                </svg>
+                              </button>
+                              <button
+                                className="action-btn"
+                                title="Share up to here"
+                                onClick={() => setShareTarget({ messageId: msg._id })}
+                                disabled={isLoading}
+                              >
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                  <path d="M4 12V20C4 20.5304 4.21071 21.0391 4.58579 21.4142C4.96086 21.7893 5.46957 22 6 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                  <path d="M16 6L12 2L8 6" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                  <path d="M12 2V15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                </svg>
+                              </button>
+                            </>
+                          )}
+                          {msg.role === "assistant" && messages[findAnsweredIndex(messages, idx)]?._id && (
+                            <button className="action-btn" title="Regenerate" onClick={() => regenerateReply(idx)} disabled={isLoading}>
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M3 12A9 9 0 0 1 12 3A9 9 0 0 1 21 12A9 9 0 0 1 12 21A9 9 0 0 1 3 12Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                                <path d="M12 7V12L15 15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                              </svg>
+                            </button>
+                          )}
+                          <button className="action-btn" title="Copy">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                              <path d="M16 4H18C19.1046 4 20 4.89543 20 6V18C20 19.1046 19.1046 20 18 20H6C4.89543 20 4 19.1046 4 18V16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                              <path d="M8 2H16C17.1046 2 18 2.89543 18 4V16C18 17.1046 17.1046 18 16 18H8C6.89543 18 6 17.1046 6 16V4C6 2.89543 6.89543 2 8 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                      {feedbackIndex === idx && (
+                        <FeedbackForm
+                          onSubmit={(details) => saveFeedback(idx, { rating: "down", ...details })}
+                          onCancel={() => setFeedbackIndex(null)}
+                        />
+                      )}
                     </div>
                   </div>
-                </div>
-              ))
+                );
+              })
             )}
-            {isLoading && (
+            {memoryProposals.length > 0 && !isLoading && (
+              <MemoryProposals
+                proposals={memoryProposals}
+                onResolve={(id) => setMemoryProposals((prev) => prev.filter((proposal) => proposal.id !== id))}
+                onManage={openMemory}
+              />
+            )}
+            {isLoading && !messages[messages.length - 1]?.streaming && (
               <div className="message">
                 <div className="message-avatar assistant">
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -349,24 +1506,71 @@ const Chat = () => {
             <div ref={messagesEndRef} />
           </div>
 
-          <div className="chat-input-container">
+          <div
+            className={`chat-input-container ${isDraggingFiles ? "dragging" : ""}`}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}
+          >
+            {imagesUnsupported && (
+              <div className="attachment-notice">
+                {currentModel} can't read images. Switch to a model that supports images, or remove them.
+              </div>
+            )}
+            {pendingAttachments.length > 0 && (
+              <div className="attachment-list pending">
+                {pendingAttachments.map((attachment) => (
+                  <AttachmentChip
+                    key={attachment.key}
+                    attachment={attachment}
+                    onRemove={() => removePendingAttachment(attachment)}
+                  />
+                ))}
+              </div>
+            )}
             <div className="chat-input-wrapper">
               <div className="input-tools">
-                <button className="tool-btn">
+                <button
+                  className="tool-btn"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isLoading || pendingAttachments.length >= MAX_ATTACHMENTS}
+                  title={`Attach images or files (PDF, text, Markdown, CSV, code; up to ${MAX_ATTACHMENTS})`}
+                >
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <path d="M12 4V20M4 12H20" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                   </svg>
                 </button>
-                <span className="tools-text">Tools</span>
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                </svg>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={ACCEPTED_FILE_TYPES}
+                  multiple
+                  hidden
+                  onChange={(e) => {
+                    attachFiles(e.target.files);
+                    e.target.value = "";
+                  }}
+                />
+                <ToolsMenu
+                  tools={availableTools}
+                  disabledTools={disabledTools}
+                  onChange={updateDisabledTools}
+                  unsupportedModel={toolModels.length > 0 && !toolModels.includes(currentModel) ? currentModel : null}
+                  disabled={isLoading}
+                />
+                <SourcesMenu
+                  selectedIds={librarySources}
+                  onChange={updateLibrarySources}
+                  onOpenLibrary={openLibrary}
+                  disabled={isLoading}
+                />
               </div>
               <textarea
                 className="chat-input"
           value={input}
           onChange={(e) => setInput(e.target.value)}
-                onKeyPress={handleKeyPress}
+                onKeyDown={handleKeyDown}
+                onPaste={handlePaste}
                 placeholder="Ask anything"
                 rows="1"
                 disabled={isLoading}
@@ -386,8 +1590,8 @@ const Chat = () => {
                 </button>
                 <button 
                   className="send-btn" 
-                  onClick={sendMessage}
-                  disabled={!input.trim() || isLoading}
+                  onClick={() => sendMessage()}
+                  disabled={!input.trim() || isLoading || isUploading || imagesUnsupported}
                   title="Send message"
                 >
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import AdminUserDetail from './AdminUserDetail';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Admin area: find users, then open one to see their stats and manage them
+const AdminConsole = ({ onClose }) => {
+  const [filters, setFilters] = useState({ search: '', plan: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ users: [], totalPages: 0, total: 0 });
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/admin/users', {
+        params: { ...filters, page, limit: PAGE_SIZE }
+      });
+      setResult(res.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(loadUsers, 250);
+    return () => clearTimeout(timer);
+  }, [loadUsers]);
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setPage(1);
+  };
+
+  // Keep the list in step with changes made in the detail pane
+  const handleUserChange = (updated) => {
+    setResult((prev) => ({
+      ...prev,
+      users: prev.users.map((u) => (u._id === updated._id ? updated : u))
+    }));
+  };
+
+  return (
+    <div className="admin-overlay">
+      <div className="admin-console">
+        <div className="admin-header">
+          <h2>Admin console</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <div className="admin-toolbar">
+          <input
+            type="search"
+            className="admin-search"
+            placeholder="Search by username or email"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+          />
+          <select value={filters.plan} onChange={(e) => updateFilter('plan', e.target.value)}>
+            <option value="">All plans</option>
+            <option value="free">Free</option>
+            <option value="plus">Plus</option>
+            <option value="pro">Pro</option>
+          </select>
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="inactive">Deactivated</option>
+          </select>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="admin-body">
+          <div className="admin-user-list">
+            {loading ? (
+              <div className="modal-empty">Loading...</div>
+            ) : result.users.length === 0 ? (
+              <div className="modal-empty">No users found</div>
+            ) : (
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th>Plan</th>
+                    <th>Status</th>
+                    <th>Last login</th>
+                    <th>Joined</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.users.map((u) => (
+                    <tr
+                      key={u._id}
+                      className={u._id === selectedUserId ? 'selected' : ''}
+                      onClick={() => setSelectedUserId(u._id)}
+                    >
+                      <td>
+                        <div className="admin-user-name">
+                          {u.username}
+                          {u.role === 'admin' && <span className="admin-badge">Admin</span>}
+                        </div>
+                        <div className="admin-user-email">{u.email}</div>
+                      </td>
+                      <td className="admin-plan">{u.plan}</td>
+                      <td>
+                        <span className={`admin-status ${u.isActive ? 'active' : 'inactive'}`}>
+                          {u.isActive ? 'Active' : 'Deactivated'}
+                        </span>
+                      </td>
+                      <td>{formatDate(u.lastLogin)}</td>
+                      <td>{formatDate(u.createdAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {result.totalPages > 1 && (
+              <div className="admin-pagination">
+                <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+                <span>Page {page} of {result.totalPages} · {result.total} users</span>
+                <button disabled={page >= result.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+              </div>
+            )}
+          </div>
+
+          {selectedUserId && (
+            <AdminUserDetail
+              key={selectedUserId}
+              userId={selectedUserId}
+              onChange={handleUserChange}
+              onClose={() => setSelectedUserId(null)}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
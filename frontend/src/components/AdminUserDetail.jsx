@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// One user's stats and the admin actions for them
+const AdminUserDetail = ({ userId, onChange, onClose }) => {
+  const { user: currentUser } = useAuth();
+  const [details, setDetails] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [team, setTeam] = useState('');
+
+  useEffect(() => {
+    axios.get(`http://localhost:5000/api/admin/users/${userId}`)
+      .then((res) => {
+        setDetails(res.data);
+        setTeam(res.data.user.team || '');
+      })
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load user'));
+  }, [userId]);
+
+  const runAction = async (request, successNotice) => {
+    setIsSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const res = await request();
+      if (res.data.user) {
+        setDetails((prev) => ({ ...prev, user: res.data.user }));
+        onChange(res.data.user);
+      }
+      setNotice(successNotice(res.data));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Action failed');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateUser = (updates, successNotice) => runAction(
+    () => axios.put(`http://localhost:5000/api/admin/users/${userId}`, updates),
+    () => successNotice
+  );
+
+  const forceLogout = () => runAction(
+    () => axios.post(`http://localhost:5000/api/admin/users/${userId}/logout`),
+    (data) => `Signed out of ${data.revokedSessions} session${data.revokedSessions === 1 ? '' : 's'}`
+  );
+
+  if (!details) {
+    return (
+      <div className="admin-detail">
+        {error ? <div className="error-message">{error}</div> : <div className="modal-empty">Loading...</div>}
+      </div>
+    );
+  }
+
+  const { user, stats } = details;
+  const isSelf = user._id === currentUser?._id;
+  const maxDailyTokens = Math.max(...stats.usage.daily.map((day) => day.totalTokens), 1);
+
+  return (
+    <div className="admin-detail">
+      <div className="admin-detail-header">
+        <div>
+          <h3>{user.username}</h3>
+          <div className="admin-user-email">{user.email}{user.emailVerified ? '' : ' · not verified'}</div>
+        </div>
+        <button className="modal-close" onClick={onClose} title="Close">×</button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {notice && <div className="success-message">{notice}</div>}
+
+      <div className="admin-actions">
+        <label>
+          Plan
+          <select
+            value={user.plan}
+            disabled={isSaving}
+            onChange={(e) => updateUser({ plan: e.target.value }, `Plan changed to ${e.target.value}`)}
+          >
+            <option value="free">Free</option>
+            <option value="plus">Plus</option>
+            <option value="pro">Pro</option>
+          </select>
+        </label>
+        <form
+          className="admin-team-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            updateUser({ team }, team.trim() ? `Moved to team ${team.trim()}` : 'Removed from team');
+          }}
+        >
+          <label>
+            Team
+            <input value={team} onChange={(e) => setTeam(e.target.value)} placeholder="None" maxLength={50} />
+          </label>
+          <button
+            type="submit"
+            className="session-revoke-btn"
+            disabled={isSaving || team.trim() === (user.team || '')}
+          >
+            Save team
+          </button>
+        </form>
+        <button
+          className="session-revoke-btn"
+          disabled={isSaving || isSelf}
+          onClick={() => updateUser(
+            { isActive: !user.isActive },
+            user.isActive ? 'Account deactivated and signed out' : 'Account reactivated'
+          )}
+        >
+          {user.isActive ? 'Deactivate' : 'Reactivate'}
+        </button>
+        <button
+          className="session-revoke-btn"
+          disabled={isSaving || isSelf}
+          onClick={() => updateUser(
+            { role: user.role === 'admin' ? 'user' : 'admin' },
+            user.role === 'admin' ? 'Admin access removed' : 'Admin access granted'
+          )}
+        >
+          {user.role === 'admin' ? 'Remove admin' : 'Make admin'}
+        </button>
+        <button className="session-revoke-btn" disabled={isSaving} onClick={forceLogout}>
+          Force logout
+        </button>
+      </div>
+
+      <div className="admin-stats">
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.conversations.total)}</span>
+          <span className="admin-stat-label">Conversations ({formatNumber(stats.conversations.archived)} archived)</span>
+        </div>
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.conversations.messages)}</span>
+          <span className="admin-stat-label">Messages</span>
+        </div>
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.usage.allTime.totalTokens)}</span>
+          <span className="admin-stat-label">Tokens used ({formatNumber(stats.usage.allTime.requests)} requests)</span>
+        </div>
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.usage.current.daily.used)}</span>
+          <span className="admin-stat-label">
+            Tokens today{stats.usage.current.daily.limit ? ` of ${formatNumber(stats.usage.current.daily.limit)}` : ''}
+          </span>
+        </div>
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.usage.current.monthly.used)}</span>
+          <span className="admin-stat-label">
+            Tokens this month{stats.usage.current.monthly.limit ? ` of ${formatNumber(stats.usage.current.monthly.limit)}` : ''}
+          </span>
+        </div>
+        <div className="admin-stat">
+          <span className="admin-stat-value">{formatNumber(stats.activeSessions)}</span>
+          <span className="admin-stat-label">Active sessions</span>
+        </div>
+      </div>
+
+      <div className="session-meta">Last login {formatDateTime(user.lastLogin)}</div>
+      <div className="session-meta">Last activity {formatDateTime(stats.conversations.lastActivityAt)}</div>
+      <div className="session-meta">Joined {formatDateTime(user.createdAt)}</div>
+
+      {stats.usage.daily.length > 0 && (
+        <div className="admin-usage-chart">
+          <h4>Tokens per day</h4>
+          {stats.usage.daily.map((day) => (
+            <div key={day.key} className="admin-usage-row" title={`${formatNumber(day.requests)} requests`}>
+              <span className="admin-usage-day">{day.key}</span>
+              <div className="usage-bar">
+                <div className="usage-bar-fill" style={{ width: `${(day.totalTokens / maxDailyTokens) * 100}%` }} />
+              </div>
+              <span className="admin-usage-value">{formatNumber(day.totalTokens)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUserDetail;
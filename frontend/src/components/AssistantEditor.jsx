@@ -0,0 +1,273 @@
+import React, { useRef, useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import AttachmentChip, { DOCUMENT_FILE_TYPES } from './AttachmentChip';
+import { formatModelName } from './ModelPicker';
+
+const MAX_STARTERS = 4;
+const MAX_KNOWLEDGE_FILES = 10;
+
+// Form state for an assistant, or a blank one
+const toForm = (assistant) => ({
+  name: assistant?.name || '',
+  description: assistant?.description || '',
+  avatar: assistant?.avatar || '',
+  instructions: assistant?.instructions || '',
+  model: assistant?.model || '',
+  temperature: assistant?.settings?.temperature ?? '',
+  visibility: assistant?.visibility || 'private',
+  conversationStarters: [...(assistant?.conversationStarters || []), '', '', '', ''].slice(0, MAX_STARTERS)
+});
+
+// Create an assistant, or edit one of the user's own
+const AssistantEditor = ({ assistant, models, onSaved, onClose }) => {
+  const { user } = useAuth();
+  const [form, setForm] = useState(() => toForm(assistant));
+  // Knowledge files: { key, name, size, status, id once uploaded, isNew }
+  const [files, setFiles] = useState(() => (assistant?.knowledgeFiles || []).map((file) => ({ ...file, key: file.id })));
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleStarterChange = (index, value) => {
+    setForm({
+      ...form,
+      conversationStarters: form.conversationStarters.map((starter, i) => (i === index ? value : starter))
+    });
+  };
+
+  const uploadFiles = async (fileList) => {
+    const picked = Array.from(fileList).slice(0, MAX_KNOWLEDGE_FILES - files.length);
+
+    await Promise.all(picked.map(async (file) => {
+      const key = `${Date.now()}-${Math.random()}`;
+      setFiles((prev) => [...prev, { key, name: file.name, size: file.size, status: 'uploading', isNew: true }]);
+
+      const update = (changes) => setFiles((prev) => (
+        prev.map((item) => (item.key === key ? { ...item, ...changes } : item))
+      ));
+
+      try {
+        const res = await axios.post('http://localhost:5000/api/attachments', file, {
+          params: { name: file.name },
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+        update({ ...res.data.attachment, status: 'ready' });
+      } catch (err) {
+        update({ status: 'error', error: err.response?.data?.error || 'Upload failed' });
+      }
+    }));
+  };
+
+  // Uploads not saved with the assistant yet are deleted right away; saved
+  // ones are deleted when the assistant is saved without them
+  const removeFile = (file) => {
+    setFiles((prev) => prev.filter((item) => item.key !== file.key));
+    if (file.isNew && file.status === 'ready') {
+      axios.delete(`http://localhost:5000/api/attachments/${file.id}`).catch((err) => {
+        console.error('Failed to remove file:', err);
+      });
+    }
+  };
+
+  const isUploading = files.some((file) => file.status === 'uploading');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+
+    const body = {
+      name: form.name,
+      description: form.description,
+      avatar: form.avatar,
+      instructions: form.instructions,
+      model: form.model || null,
+      settings: { temperature: form.temperature === '' ? null : Number(form.temperature) },
+      visibility: form.visibility,
+      conversationStarters: form.conversationStarters.filter((starter) => starter.trim()),
+      knowledgeFileIds: files.filter((file) => file.status !== 'error' && file.id).map((file) => file.id)
+    };
+
+    try {
+      const res = assistant
+        ? await axios.put(`http://localhost:5000/api/assistants/${assistant.id}`, body)
+        : await axios.post('http://localhost:5000/api/assistants', body);
+      onSaved(res.data.assistant);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save assistant');
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal assistant-editor" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{assistant ? 'Edit GPT' : 'Create a GPT'}</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <form className="auth-form" onSubmit={handleSubmit}>
+          {error && <div className="error-message">{error}</div>}
+
+          <div className="assistant-editor-row">
+            <div className="form-group assistant-avatar-field">
+              <label htmlFor="assistantAvatar">Icon</label>
+              <input
+                id="assistantAvatar"
+                name="avatar"
+                value={form.avatar}
+                onChange={handleChange}
+                placeholder="🤖"
+                maxLength={8}
+                disabled={isSaving}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="assistantName">Name</label>
+              <input
+                id="assistantName"
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                placeholder="Name your GPT"
+                maxLength={50}
+                required
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="assistantDescription">Description</label>
+            <input
+              id="assistantDescription"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+              placeholder="What does this GPT do?"
+              maxLength={300}
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="assistantInstructions">Instructions</label>
+            <textarea
+              id="assistantInstructions"
+              name="instructions"
+              value={form.instructions}
+              onChange={handleChange}
+              placeholder="How should it behave? What should it avoid?"
+              rows={6}
+              maxLength={8000}
+              disabled={isSaving}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Conversation starters</label>
+            {form.conversationStarters.map((starter, index) => (
+              <input
+                key={index}
+                value={starter}
+                onChange={(e) => handleStarterChange(index, e.target.value)}
+                placeholder={index === 0 ? 'e.g. Review this function' : ''}
+                maxLength={200}
+                disabled={isSaving}
+              />
+            ))}
+          </div>
+
+          <div className="form-group">
+            <label>Knowledge</label>
+            <p className="assistant-editor-hint">
+              The parts of these files relevant to each question are given to the GPT. People chatting with it can't download them.
+            </p>
+            {files.length > 0 && (
+              <div className="attachment-list">
+                {files.map((file) => (
+                  <AttachmentChip key={file.key} attachment={file} onRemove={() => removeFile(file)} />
+                ))}
+              </div>
+            )}
+            <button
+              type="button"
+              className="session-revoke-btn assistant-upload-btn"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isSaving || files.length >= MAX_KNOWLEDGE_FILES}
+            >
+              Upload files
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={DOCUMENT_FILE_TYPES}
+              multiple
+              hidden
+              onChange={(e) => {
+                uploadFiles(e.target.files);
+                e.target.value = '';
+              }}
+            />
+          </div>
+
+          <div className="assistant-editor-row">
+            <div className="form-group">
+              <label htmlFor="assistantModel">Model</label>
+              <select id="assistantModel" name="model" value={form.model} onChange={handleChange} disabled={isSaving}>
+                <option value="">Default</option>
+                {models.map((modelId) => (
+                  <option key={modelId} value={modelId}>{formatModelName(modelId)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="assistantTemperature">Temperature</label>
+              <input
+                id="assistantTemperature"
+                name="temperature"
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={form.temperature}
+                onChange={handleChange}
+                placeholder="Default"
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="assistantVisibility">Who can use it</label>
+            <select
+              id="assistantVisibility"
+              name="visibility"
+              value={form.visibility}
+              onChange={handleChange}
+              disabled={isSaving}
+            >
+              <option value="private">Only me</option>
+              <option value="team" disabled={!user?.team}>
+                {user?.team ? `My team (${user.team})` : 'My team (you are not in a team)'}
+              </option>
+              <option value="public">Everyone</option>
+            </select>
+          </div>
+
+          <button type="submit" className="auth-button" disabled={isSaving || isUploading}>
+            {isSaving ? 'Saving...' : assistant ? 'Save' : 'Create'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AssistantEditor;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import AssistantEditor from './AssistantEditor';
+
+const PAGE_SIZE = 24;
+
+const VISIBILITY_LABELS = {
+  private: 'Only me',
+  team: 'Team',
+  public: 'Everyone'
+};
+
+// Browse the GPTs shared with the user and manage their own
+const AssistantGallery = ({ models, onStartChat, onClose }) => {
+  const [scope, setScope] = useState('explore');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ assistants: [], totalPages: 0, total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // The assistant being edited, or {} when creating one
+  const [editing, setEditing] = useState(null);
+  // Deleting takes a second click on the same button
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const loadAssistants = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/assistants', {
+        params: { scope, search, page, limit: PAGE_SIZE }
+      });
+      setResult(res.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load GPTs');
+    } finally {
+      setLoading(false);
+    }
+  }, [scope, search, page]);
+
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(loadAssistants, 250);
+    return () => clearTimeout(timer);
+  }, [loadAssistants]);
+
+  const changeScope = (value) => {
+    setScope(value);
+    setPage(1);
+    setLoading(true);
+  };
+
+  // The editor needs the owner-only fields, which listings leave out
+  const editAssistant = async (assistant) => {
+    try {
+      const res = await axios.get(`http://localhost:5000/api/assistants/${assistant.id}`);
+      setEditing(res.data.assistant);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load GPT');
+    }
+  };
+
+  const deleteAssistant = async (assistant) => {
+    if (confirmDeleteId !== assistant.id) {
+      setConfirmDeleteId(assistant.id);
+      return;
+    }
+
+    setConfirmDeleteId(null);
+    try {
+      await axios.delete(`http://localhost:5000/api/assistants/${assistant.id}`);
+      loadAssistants();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete GPT');
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    if (scope === 'mine') {
+      loadAssistants();
+    } else {
+      changeScope('mine');
+    }
+  };
+
+  return (
+    <div className="admin-overlay">
+      <div className="admin-console assistant-gallery">
+        <div className="admin-header">
+          <h2>GPTs</h2>
+          <div className="assistant-gallery-actions">
+            <button className="get-plus-btn" onClick={() => setEditing({})}>+ Create</button>
+            <button className="modal-close" onClick={onClose} title="Close">×</button>
+          </div>
+        </div>
+
+        <div className="admin-toolbar">
+          <div className="assistant-tabs">
+            <button className={scope === 'explore' ? 'active' : ''} onClick={() => changeScope('explore')}>
+              Explore
+            </button>
+            <button className={scope === 'mine' ? 'active' : ''} onClick={() => changeScope('mine')}>
+              My GPTs
+            </button>
+          </div>
+          <input
+            type="search"
+            className="admin-search"
+            placeholder="Search GPTs"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+          />
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div className="modal-empty">Loading...</div>
+        ) : result.assistants.length === 0 ? (
+          <div className="modal-empty">
+            {scope === 'mine' ? 'You haven\'t made any GPTs yet' : 'No GPTs found'}
+          </div>
+        ) : (
+          <div className="assistant-grid">
+            {result.assistants.map((assistant) => (
+              <div key={assistant.id} className="assistant-card">
+                <button className="assistant-card-main" onClick={() => onStartChat(assistant)}>
+                  <span className="assistant-avatar">{assistant.avatar}</span>
+                  <span className="assistant-card-text">
+                    <span className="assistant-card-name">{assistant.name}</span>
+                    {assistant.description && (
+                      <span className="assistant-card-description">{assistant.description}</span>
+                    )}
+                    <span className="assistant-card-meta">
+                      {assistant.isOwner ? VISIBILITY_LABELS[assistant.visibility] : `By ${assistant.author || 'unknown'}`}
+                      {' · '}
+                      {assistant.conversationCount} {assistant.conversationCount === 1 ? 'chat' : 'chats'}
+                    </span>
+                  </span>
+                </button>
+                {assistant.isOwner && (
+                  <div className="assistant-card-actions">
+                    <button className="session-revoke-btn" onClick={() => editAssistant(assistant)}>Edit</button>
+                    <button
+                      className="session-revoke-btn"
+                      onClick={() => deleteAssistant(assistant)}
+                      onBlur={() => setConfirmDeleteId(null)}
+                      title="Chats with it can no longer be continued"
+                    >
+                      {confirmDeleteId === assistant.id ? 'Confirm delete' : 'Delete'}
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {result.totalPages > 1 && (
+          <div className="admin-pagination">
+            <button disabled={page <= 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {result.totalPages} · {result.total} GPTs</span>
+            <button disabled={page >= result.totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      {editing && (
+        <AssistantEditor
+          assistant={editing.id ? editing : null}
+          models={models}
+          onSaved={handleSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AssistantGallery;
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// File types the server reads text from, for file pickers
+export const DOCUMENT_FILE_TYPES = [
+  '.pdf', '.txt', '.md', '.markdown', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.toml',
+  '.ini', '.log', '.html', '.css', '.scss', '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py',
+  '.rb', '.php', '.java', '.kt', '.swift', '.go', '.rs', '.c', '.h', '.cpp', '.hpp', '.cc', '.cs',
+  '.sql', '.sh', '.bash', '.r', '.lua'
+].join(',');
+
+// Images and documents, for the chat's file picker
+export const ACCEPTED_FILE_TYPES = `.png,.jpg,.jpeg,.webp,.gif,${DOCUMENT_FILE_TYPES}`;
+
+// "812 B", "12 KB", "3.4 MB"
+export const formatSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// An image attachment's picture: `previewUrl` when there is one (the local
+// preview while it is being attached, or a shared page's public link), else
+// loaded through the API, which needs the auth header
+const ImagePreview = ({ attachment }) => {
+  const { id, name, previewUrl } = attachment;
+  const [url, setUrl] = useState(previewUrl || null);
+
+  useEffect(() => {
+    if (previewUrl || !id) return undefined;
+
+    let cancelled = false;
+    let objectUrl = null;
+    axios.get(`http://localhost:5000/api/attachments/${id}/content`, { responseType: 'blob' })
+      .then((res) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(res.data);
+        setUrl(objectUrl);
+      })
+      .catch((error) => console.error('Failed to load image:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id, previewUrl]);
+
+  return url ? <img src={url} alt={name} /> : <span className="attachment-image-placeholder" />;
+};
+
+// A file on a message, or waiting to be sent with one. `status` is
+// uploading or error while it is being attached. Images show as thumbnails.
+const AttachmentChip = ({ attachment, onOpen, onRemove }) => {
+  const { name, size, kind, status, error } = attachment;
+
+  if (kind === 'image') {
+    return (
+      <div className={`attachment-image ${status || ''}`} title={error || name}>
+        <button type="button" className="attachment-image-open" onClick={onOpen} disabled={!onOpen}>
+          <ImagePreview attachment={attachment} />
+          {(status === 'uploading' || status === 'error') && (
+            <span className="attachment-image-status">
+              {status === 'uploading' ? 'Uploading...' : error}
+            </span>
+          )}
+        </button>
+        {onRemove && (
+          <button type="button" className="attachment-chip-remove" onClick={onRemove} title="Remove image">
+            ×
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className={`attachment-chip ${status || ''}`} title={error || name}>
+      <button
+        type="button"
+        className="attachment-chip-name"
+        onClick={onOpen}
+        disabled={!onOpen}
+      >
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M14 2H6C5.46957 2 4.96086 2.21071 4.58579 2.58579C4.21071 2.96086 4 3.46957 4 4V20C4 20.5304 4.21071 21.0391 4.58579 21.4142C4.96086 21.7893 5.46957 22 6 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V8L14 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          <path d="M14 2V8H20" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+        <span className="attachment-chip-label">{name}</span>
+        <span className="attachment-chip-meta">
+          {status === 'uploading' ? 'Uploading...' : status === 'error' ? error : formatSize(size)}
+        </span>
+      </button>
+      {onRemove && (
+        <button type="button" className="attachment-chip-remove" onClick={onRemove} title="Remove file">
+          ×
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentChip;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const ChangePasswordModal = ({ onClose }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [result, setResult] = useState(null);
+  const { user, changePassword } = useAuth();
+  // Accounts created through an identity provider have no password yet
+  const hasPassword = user?.hasPassword !== false;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      setResult({ success: false, error: 'Passwords do not match' });
+      return;
+    }
+
+    setIsSaving(true);
+    setResult(await changePassword(currentPassword, newPassword));
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{hasPassword ? 'Change password' : 'Set password'}</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {result?.success ? (
+          <div className="auth-form">
+            <div className="success-message">
+              Your password was changed. Other devices have been signed out.
+            </div>
+            <button type="button" className="auth-button" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        ) : (
+          <form className="auth-form" onSubmit={handleSubmit}>
+            {result?.error && <div className="error-message">{result.error}</div>}
+
+            {hasPassword ? (
+              <div className="form-group">
+                <label htmlFor="currentPassword">Current password</label>
+                <input
+                  type="password"
+                  id="currentPassword"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  required
+                  disabled={isSaving}
+                />
+              </div>
+            ) : (
+              <p className="auth-status">Set a password to also log in with your email.</p>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="newPassword">New password</label>
+              <input
+                type="password"
+                id="newPassword"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                placeholder="At least 6 characters"
+                minLength={6}
+                required
+                disabled={isSaving}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmNewPassword">Confirm new password</label>
+              <input
+                type="password"
+                id="confirmNewPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                disabled={isSaving}
+              />
+            </div>
+
+            <button type="submit" className="auth-button" disabled={isSaving}>
+              {isSaving ? 'Saving...' : hasPassword ? 'Change password' : 'Set password'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordModal;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// The library passages a reply cites, each opening the passage in its document
+const CitationList = ({ citations, onOpen }) => (
+  <div className="citation-list">
+    <div className="citation-list-title">Sources</div>
+    {citations.map((citation) => (
+      <button
+        key={citation.number}
+        className="citation-item"
+        onClick={() => onOpen(citation)}
+        title={citation.text}
+      >
+        <span className="citation-number">{citation.number}</span>
+        <span className="citation-name">{citation.documentName}</span>
+        <span className="citation-part">Passage {citation.chunkIndex + 1}</span>
+      </button>
+    ))}
+  </div>
+);
+
+export default CitationList;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import { downloadFile } from '../utils/download';
+
+// How often to check on an export that is being prepared
+const POLL_INTERVAL_MS = 2000;
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// "12 KB", "3.4 MB"
+const formatSize = (bytes = 0) => {
+  if (bytes < 1024 * 1024) return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const isInProgress = (job) => job.status === 'pending' || job.status === 'processing';
+
+// Export all of the user's data as a zip, or import chats from an export
+// of this app or of ChatGPT
+const DataControlsModal = ({ onImported, onClose }) => {
+  const [exports, setExports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadExports = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/exports');
+      setExports(res.data.exports);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load exports');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadExports();
+  }, [loadExports]);
+
+  // Keep checking while an export is being prepared
+  const hasExportInProgress = exports.some(isInProgress);
+  useEffect(() => {
+    if (!hasExportInProgress) return;
+    const timer = setInterval(loadExports, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasExportInProgress, loadExports]);
+
+  const startExport = async () => {
+    setError(null);
+    setNotice(null);
+    try {
+      const res = await axios.post('http://localhost:5000/api/exports');
+      setExports((prev) => [res.data.export, ...prev]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start export');
+    }
+  };
+
+  const downloadExport = async (job) => {
+    setError(null);
+    try {
+      await downloadFile(`http://localhost:5000/api/exports/${job.id}/download`, 'chatgpt-clone-export.zip');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to download export');
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    setError(null);
+    setNotice(null);
+    try {
+      // Sent as is; the server parses and checks it
+      const res = await axios.post('http://localhost:5000/api/conversations/import', file, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+      setNotice(`${res.data.message} (${res.data.imported.messages.toLocaleString()} messages)`);
+      onImported();
+    } catch (err) {
+      setError(
+        err.response?.status === 413
+          ? 'The file is too large to import'
+          : err.response?.data?.error || 'Failed to import file'
+      );
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Data controls</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {notice && <div className="success-message">{notice}</div>}
+
+        <div className="data-section">
+          <div className="data-section-header">
+            <div>
+              <h3>Export data</h3>
+              <p className="session-meta">
+                A zip with your profile, your memories, every chat as JSON (including all edits and regenerations) and a Markdown copy of each chat.
+              </p>
+            </div>
+            <button className="session-revoke-btn" onClick={startExport} disabled={hasExportInProgress}>
+              Export
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="modal-empty">Loading...</div>
+          ) : exports.length > 0 && (
+            <ul className="session-list">
+              {exports.map((job) => (
+                <li key={job.id} className="session-item">
+                  <div className="session-info">
+                    <div className="session-device">
+                      {job.status === 'ready'
+                        ? `${job.conversationCount} chat${job.conversationCount === 1 ? '' : 's'} · ${formatSize(job.size)}`
+                        : job.status === 'failed'
+                          ? job.error || 'Export failed'
+                          : 'Preparing export...'}
+                    </div>
+                    <div className="session-meta">
+                      Requested {formatDate(job.createdAt)}
+                      {job.status === 'ready' && ` · Available until ${formatDate(job.expiresAt)}`}
+                    </div>
+                  </div>
+                  {job.status === 'ready' && (
+                    <button className="session-revoke-btn" onClick={() => downloadExport(job)}>
+                      Download
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="data-section">
+          <div className="data-section-header">
+            <div>
+              <h3>Import chats</h3>
+              <p className="session-meta">
+                Upload a JSON export from this app, or <code>conversations.json</code> from a ChatGPT data export.
+              </p>
+            </div>
+            <button
+              className="session-revoke-btn"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isImporting}
+            >
+              {isImporting ? 'Importing...' : 'Choose file'}
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={importFile}
+            hidden
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataControlsModal;
@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+
+// Labels for the reasons the API accepts with a bad rating
+const REASONS = [
+  { value: 'inaccurate', label: 'Not factually correct' },
+  { value: 'not_helpful', label: "Didn't answer the question" },
+  { value: 'incomplete', label: 'Incomplete' },
+  { value: 'too_long', label: 'Too long' },
+  { value: 'unsafe', label: 'Harmful or unsafe' },
+  { value: 'other', label: 'Other' }
+];
+
+const FeedbackForm = ({ onSubmit, onCancel }) => {
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await onSubmit({ reason: reason || undefined, comment: comment.trim() || undefined });
+    // The form closes on success, so only reset on failure
+    if (result?.success === false) {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="feedback-form" onSubmit={handleSubmit}>
+      <h4>What went wrong?</h4>
+      <div className="feedback-reasons">
+        {REASONS.map(({ value, label }) => (
+          <button
+            key={value}
+            type="button"
+            className={`feedback-reason ${reason === value ? 'active' : ''}`}
+            onClick={() => setReason(reason === value ? '' : value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="Tell us more (optional)"
+        maxLength={1000}
+        rows={2}
+      />
+      <div className="feedback-form-actions">
+        <button type="button" className="edit-cancel-btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="edit-send-btn" disabled={isSaving}>
+          Submit
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default FeedbackForm;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import AuthLayout from './AuthLayout';
+
+const ForgotPassword = ({ onBackToLogin }) => {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const { forgotPassword } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setResult(await forgotPassword(email));
+    setIsLoading(false);
+  };
+
+  return (
+    <AuthLayout
+      title="Reset your password"
+      subtitle="Enter your email and we'll send you a link to choose a new password"
+      footer={
+        <p>
+          <button type="button" className="link-button" onClick={onBackToLogin}>
+            Back to log in
+          </button>
+        </p>
+      }
+    >
+      {result?.success ? (
+        <div className="success-message">{result.message}</div>
+      ) : (
+        <form onSubmit={handleSubmit} className="auth-form">
+          {result?.error && <div className="error-message">{result.error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              required
+              disabled={isLoading}
+            />
+          </div>
+
+          <button type="submit" className="auth-button" disabled={isLoading}>
+            {isLoading ? 'Sending...' : 'Send reset link'}
+          </button>
+        </form>
+      )}
+    </AuthLayout>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+
+// Read a library document passage by passage, scrolled to the one a reply
+// cited. A citation whose document has since been deleted still shows the
+// passage it was saved with.
+const LibraryDocumentViewer = ({ documentId, passageIndex = null, citation = null, onClose }) => {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const highlightedRef = useRef(null);
+
+  useEffect(() => {
+    axios.get(`http://localhost:5000/api/library/${documentId}`)
+      .then((res) => setResult(res.data))
+      .catch((err) => setError(
+        err.response?.status === 404 ? 'This document is no longer in your library.' : err.response?.data?.error || 'Failed to load document'
+      ));
+  }, [documentId]);
+
+  useEffect(() => {
+    highlightedRef.current?.scrollIntoView({ block: 'center' });
+  }, [result]);
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal library-viewer" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{result?.document.name || citation?.documentName || 'Document'}</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {error ? (
+          <>
+            <div className="modal-empty">{error}</div>
+            {citation?.text && (
+              <div className="library-passage highlighted">
+                <div className="library-passage-label">Passage {citation.chunkIndex + 1}</div>
+                {citation.text}
+              </div>
+            )}
+          </>
+        ) : !result ? (
+          <div className="modal-empty">Loading...</div>
+        ) : (
+          <div className="library-passages">
+            {result.passages.map((passage) => (
+              <div
+                key={passage.index}
+                ref={passage.index === passageIndex ? highlightedRef : null}
+                className={`library-passage ${passage.index === passageIndex ? 'highlighted' : ''}`}
+              >
+                <div className="library-passage-label">Passage {passage.index + 1}</div>
+                {passage.text}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LibraryDocumentViewer;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import axios from 'axios';
+import LibraryDocumentViewer from './LibraryDocumentViewer';
+import { DOCUMENT_FILE_TYPES, formatSize } from './AttachmentChip';
+
+// Documents the user keeps to draw on in chats. Uploads are read, split
+// into passages and embedded by the server before they are listed.
+const LibraryPage = ({ onClose }) => {
+  const [documents, setDocuments] = useState([]);
+  // Files being added: { key, name, status, error }
+  const [uploads, setUploads] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openDocumentId, setOpenDocumentId] = useState(null);
+  // Deleting takes a second click on the same button
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/library');
+      setDocuments(res.data.documents);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load library');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  const addFiles = async (fileList) => {
+    await Promise.all(Array.from(fileList).map(async (file) => {
+      const key = `${Date.now()}-${Math.random()}`;
+      setUploads((prev) => [...prev, { key, name: file.name, status: 'uploading' }]);
+
+      try {
+        const res = await axios.post('http://localhost:5000/api/library', file, {
+          params: { name: file.name },
+          headers: { 'Content-Type': 'application/octet-stream' }
+        });
+        setUploads((prev) => prev.filter((upload) => upload.key !== key));
+        setDocuments((prev) => [res.data.document, ...prev]);
+      } catch (err) {
+        setUploads((prev) => prev.map((upload) => (
+          upload.key === key ? { ...upload, status: 'error', error: err.response?.data?.error || 'Upload failed' } : upload
+        )));
+      }
+    }));
+  };
+
+  const deleteDocument = async (document) => {
+    if (confirmDeleteId !== document.id) {
+      setConfirmDeleteId(document.id);
+      return;
+    }
+
+    setConfirmDeleteId(null);
+    try {
+      await axios.delete(`http://localhost:5000/api/library/${document.id}`);
+      setDocuments((prev) => prev.filter((item) => item.id !== document.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  const visibleDocuments = documents.filter((document) => (
+    document.name.toLowerCase().includes(search.trim().toLowerCase())
+  ));
+
+  return (
+    <div className="admin-overlay">
+      <div className="admin-console library-page">
+        <div className="admin-header">
+          <h2>Library</h2>
+          <div className="assistant-gallery-actions">
+            <button className="get-plus-btn" onClick={() => fileInputRef.current?.click()}>+ Add files</button>
+            <button className="modal-close" onClick={onClose} title="Close">×</button>
+          </div>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={DOCUMENT_FILE_TYPES}
+          multiple
+          hidden
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+
+        <div className="admin-toolbar">
+          <input
+            type="search"
+            className="admin-search"
+            placeholder="Search library"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {uploads.length > 0 && (
+          <div className="library-uploads">
+            {uploads.map((upload) => (
+              <div key={upload.key} className={`library-upload ${upload.status}`}>
+                <span>{upload.name}</span>
+                <span>{upload.status === 'uploading' ? 'Reading and indexing...' : upload.error}</span>
+                {upload.status === 'error' && (
+                  <button
+                    className="session-revoke-btn"
+                    onClick={() => setUploads((prev) => prev.filter((item) => item.key !== upload.key))}
+                  >
+                    Dismiss
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="modal-empty">Loading...</div>
+        ) : documents.length === 0 ? (
+          <div className="modal-empty">
+            Your library is empty. Add PDFs, notes or code, then pick them as sources in a chat.
+          </div>
+        ) : visibleDocuments.length === 0 ? (
+          <div className="modal-empty">No documents found</div>
+        ) : (
+          <div className="admin-user-list">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Size</th>
+                  <th>Passages</th>
+                  <th>Added</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleDocuments.map((document) => (
+                  <tr key={document.id} onClick={() => setOpenDocumentId(document.id)}>
+                    <td className="admin-user-name">{document.name}</td>
+                    <td>{formatSize(document.size)}</td>
+                    <td>{document.chunkCount}</td>
+                    <td>{new Date(document.createdAt).toLocaleDateString()}</td>
+                    <td>
+                      <button
+                        className="session-revoke-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteDocument(document);
+                        }}
+                        onBlur={() => setConfirmDeleteId(null)}
+                        title="Chats using it as a source stop drawing on it"
+                      >
+                        {confirmDeleteId === document.id ? 'Confirm delete' : 'Delete'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {openDocumentId && (
+        <LibraryDocumentViewer documentId={openDocumentId} onClose={() => setOpenDocumentId(null)} />
+      )}
+    </div>
+  );
+};
+
+export default LibraryPage;
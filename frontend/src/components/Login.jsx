@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import OidcButtons from './OidcButtons';
 
-const Login = ({ onSwitchToRegister }) => {
+const Login = ({ onSwitchToRegister, onForgotPassword }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -63,6 +64,13 @@ const Login = ({ onSwitchToRegister }) => {
               required
               disabled={isLoading}
             />
+            <button
+              type="button"
+              className="link-button forgot-password-link"
+              onClick={onForgotPassword}
+            >
+              Forgot password?
+            </button>
           </div>
 
           <button 
@@ -81,6 +89,8 @@ const Login = ({ onSwitchToRegister }) => {
           </button>
         </form>
 
+        <OidcButtons disabled={isLoading} />
+
         <div className="auth-footer">
           <p>
             Don't have an account?{' '}
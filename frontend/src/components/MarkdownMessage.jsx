@@ -0,0 +1,123 @@
+import React, { useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+
+// Split off fenced code blocks (including an unterminated one at the end) so
+// math handling never touches code
+const CODE_FENCE = /(```[\s\S]*?(?:```|$)|`[^`\n]*`)/g;
+
+// Models usually write \( \) and \[ \] delimiters; remark-math only knows
+// dollars. Single dollars stay text so prices like $5 aren't read as math.
+const normalizeMath = (text) => text
+  .replace(/\\\[([\s\S]*?)\\\]/g, (_, math) => `\n$$\n${math.trim()}\n$$\n`)
+  .replace(/\\\(([\s\S]*?)\\\)/g, (_, math) => `$$${math.trim()}$$`);
+
+// While a reply streams in, a block formula may be missing its closing $$.
+// Escape the opening one so the source shows as text until the rest arrives,
+// instead of the remainder of the message being swallowed by the formula.
+const escapeOpenMathBlock = (text) => {
+  const delimiters = text.match(/\$\$/g) || [];
+  if (delimiters.length % 2 === 0) return text;
+
+  const last = text.lastIndexOf('$$');
+  return `${text.slice(0, last)}\\$\\$${text.slice(last + 2)}`;
+};
+
+// Citation markers such as [2] become links to #citation-2, rendered as
+// buttons, when the reply cites a source with that number
+const linkCitations = (text, citationNumbers) => text.replace(/\[(\d+)\](?![(:])/g, (marker, number) => (
+  citationNumbers.includes(Number(number)) ? `[${number}](#citation-${number})` : marker
+));
+
+export const prepareMarkdown = (content = '', { streaming = false, citationNumbers = [] } = {}) => {
+  const parts = content.split(CODE_FENCE);
+
+  // Odd indexes are code captured by the split and are left untouched
+  return parts.map((part, i) => {
+    if (i % 2 === 1) return part;
+    const text = linkCitations(normalizeMath(part), citationNumbers);
+    return streaming && i === parts.length - 1 ? escapeOpenMathBlock(text) : text;
+  }).join('');
+};
+
+const CodeBlock = ({ children }) => {
+  const codeRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  // rehype-highlight keeps the language-* class on the <code> element
+  const codeClassName = React.Children.toArray(children)[0]?.props?.className || '';
+  const language = codeClassName.match(/language-([\w+#-]+)/)?.[1];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codeRef.current?.textContent || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy code:', error);
+    }
+  };
+
+  return (
+    <div className="code-block">
+      <div className="code-block-header">
+        <span className="code-block-language">{language || 'code'}</span>
+        <button className="code-copy-btn" onClick={handleCopy}>
+          {copied ? 'Copied!' : 'Copy code'}
+        </button>
+      </div>
+      <pre ref={codeRef}>{children}</pre>
+    </div>
+  );
+};
+
+const ExternalLink = ({ node, children, ...props }) => (
+  <a {...props} target="_blank" rel="noopener noreferrer">{children}</a>
+);
+
+const components = {
+  pre: ({ children }) => <CodeBlock>{children}</CodeBlock>,
+  a: ExternalLink,
+  table: ({ node, ...props }) => (
+    <div className="markdown-table">
+      <table {...props} />
+    </div>
+  )
+};
+
+// Links to the cited passages, alongside the usual external links
+const withCitationLinks = (onCitationClick) => ({
+  ...components,
+  a: ({ node, href, children, ...props }) => {
+    const number = href?.match(/^#citation-(\d+)$/)?.[1];
+    if (!number) return <ExternalLink href={href} {...props}>{children}</ExternalLink>;
+
+    return (
+      <button className="citation-ref" onClick={() => onCitationClick(Number(number))} title="Show source">
+        {children}
+      </button>
+    );
+  }
+});
+
+// Renders model output as GitHub-flavored Markdown with highlighted code and
+// KaTeX math. Raw HTML in the text is shown as text, never injected. With
+// `citations`, the reply's [n] markers open the cited passage.
+const MarkdownMessage = ({ content, streaming = false, citations = [], onCitationClick }) => (
+  <div className="markdown-body">
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, [remarkMath, { singleDollarTextMath: false }]]}
+      rehypePlugins={[[rehypeKatex, { throwOnError: false, strict: false }], rehypeHighlight]}
+      components={citations.length > 0 ? withCitationLinks(onCitationClick) : components}
+    >
+      {prepareMarkdown(content, { streaming, citationNumbers: citations.map((citation) => citation.number) })}
+    </ReactMarkdown>
+  </div>
+);
+
+export default MarkdownMessage;
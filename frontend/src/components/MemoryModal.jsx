@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const MAX_MEMORY_LENGTH = 500;
+
+// What the assistant remembers about the user: facts it proposed from chats
+// to save or dismiss, and saved ones to edit or delete
+const MemoryModal = ({ onClose }) => {
+  const { user, updateProfile } = useAuth();
+  const [memories, setMemories] = useState([]);
+  const [proposals, setProposals] = useState([]);
+  const [limit, setLimit] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newMemory, setNewMemory] = useState('');
+  // The memory being edited: { id, content }
+  const [editing, setEditing] = useState(null);
+  // Clearing everything takes a second click
+  const [confirmClear, setConfirmClear] = useState(false);
+  const memoryEnabled = user?.preferences?.memoryEnabled !== false;
+
+  const loadMemory = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/memory');
+      setMemories(res.data.memories);
+      setProposals(res.data.proposals);
+      setLimit(res.data.limit);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load memory');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMemory();
+  }, [loadMemory]);
+
+  const toggleMemory = async (enabled) => {
+    const result = await updateProfile({ preferences: { memoryEnabled: enabled } });
+    if (!result.success) setError(result.error);
+  };
+
+  const addMemory = async (e) => {
+    e.preventDefault();
+    if (!newMemory.trim()) return;
+
+    setError(null);
+    try {
+      const res = await axios.post('http://localhost:5000/api/memory', { content: newMemory });
+      setMemories((prev) => [res.data.memory, ...prev]);
+      setNewMemory('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save memory');
+    }
+  };
+
+  const saveProposal = async (proposal) => {
+    setError(null);
+    try {
+      const res = await axios.put(`http://localhost:5000/api/memory/${proposal.id}`, { status: 'saved' });
+      setProposals((prev) => prev.filter((item) => item.id !== proposal.id));
+      setMemories((prev) => [res.data.memory, ...prev]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save memory');
+    }
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const res = await axios.put(`http://localhost:5000/api/memory/${editing.id}`, { content: editing.content });
+      setMemories((prev) => prev.map((memory) => (memory.id === editing.id ? res.data.memory : memory)));
+      setEditing(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update memory');
+    }
+  };
+
+  const deleteMemory = async (memory) => {
+    setError(null);
+    try {
+      await axios.delete(`http://localhost:5000/api/memory/${memory.id}`);
+      setMemories((prev) => prev.filter((item) => item.id !== memory.id));
+      setProposals((prev) => prev.filter((item) => item.id !== memory.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete memory');
+    }
+  };
+
+  const clearMemory = async () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+
+    setConfirmClear(false);
+    setError(null);
+    try {
+      await axios.delete('http://localhost:5000/api/memory');
+      setMemories([]);
+      setProposals([]);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to clear memory');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Manage memory</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="data-section">
+          <label className="share-option memory-toggle">
+            <input
+              type="checkbox"
+              checked={memoryEnabled}
+              onChange={(e) => toggleMemory(e.target.checked)}
+            />
+            Use memory in chats
+          </label>
+          <p className="session-meta">
+            The assistant remembers what you save here in every chat and suggests new things to remember as you talk.
+            Temporary chats leave memory alone.
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="modal-empty">Loading...</div>
+        ) : (
+          <>
+            {proposals.length > 0 && (
+              <div className="data-section">
+                <h3>Suggested</h3>
+                <ul className="session-list">
+                  {proposals.map((proposal) => (
+                    <li key={proposal.id} className="session-item">
+                      <div className="session-info">{proposal.content}</div>
+                      <div className="shared-link-actions">
+                        <button className="share-copy-btn" onClick={() => saveProposal(proposal)}>Save</button>
+                        <button className="session-revoke-btn" onClick={() => deleteMemory(proposal)}>Dismiss</button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="data-section">
+              <div className="data-section-header">
+                <h3>Saved</h3>
+                {limit && <span className="session-meta">{memories.length} of {limit}</span>}
+              </div>
+              <form className="memory-add" onSubmit={addMemory}>
+                <input
+                  type="text"
+                  className="share-link-input"
+                  placeholder="Something the assistant should remember"
+                  value={newMemory}
+                  onChange={(e) => setNewMemory(e.target.value)}
+                  maxLength={MAX_MEMORY_LENGTH}
+                />
+                <button type="submit" className="share-copy-btn" disabled={!newMemory.trim()}>Add</button>
+              </form>
+
+              {memories.length === 0 ? (
+                <div className="modal-empty">Nothing saved yet</div>
+              ) : (
+                <ul className="session-list">
+                  {memories.map((memory) => (
+                    <li key={memory.id} className="session-item">
+                      {editing?.id === memory.id ? (
+                        <form className="memory-edit" onSubmit={saveEdit}>
+                          <textarea
+                            className="message-edit-input"
+                            value={editing.content}
+                            onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                            maxLength={MAX_MEMORY_LENGTH}
+                            rows={2}
+                            autoFocus
+                          />
+                          <div className="shared-link-actions">
+                            <button type="submit" className="share-copy-btn" disabled={!editing.content.trim()}>Save</button>
+                            <button type="button" className="session-revoke-btn" onClick={() => setEditing(null)}>Cancel</button>
+                          </div>
+                        </form>
+                      ) : (
+                        <>
+                          <div className="session-info">
+                            <div>{memory.content}</div>
+                            <div className="session-meta">Saved {new Date(memory.createdAt).toLocaleDateString()}</div>
+                          </div>
+                          <div className="shared-link-actions">
+                            <button
+                              className="share-copy-btn"
+                              onClick={() => setEditing({ id: memory.id, content: memory.content })}
+                            >
+                              Edit
+                            </button>
+                            <button className="session-revoke-btn" onClick={() => deleteMemory(memory)}>Delete</button>
+                          </div>
+                        </>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {(memories.length > 0 || proposals.length > 0) && (
+              <div className="modal-footer">
+                <button className="session-revoke-btn" onClick={clearMemory} onBlur={() => setConfirmClear(false)}>
+                  {confirmClear ? 'Confirm clear memory' : 'Clear memory'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MemoryModal;
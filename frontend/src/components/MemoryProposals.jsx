@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Facts the assistant picked up from the last exchange, offered to save to
+// memory or dismiss. `onResolve(id)` drops one once it's handled.
+const MemoryProposals = ({ proposals, onResolve, onManage }) => {
+  const [error, setError] = useState(null);
+
+  const resolve = async (proposal, save) => {
+    setError(null);
+    try {
+      if (save) {
+        await axios.put(`http://localhost:5000/api/memory/${proposal.id}`, { status: 'saved' });
+      } else {
+        await axios.delete(`http://localhost:5000/api/memory/${proposal.id}`);
+      }
+      onResolve(proposal.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update memory');
+    }
+  };
+
+  return (
+    <div className="memory-proposals">
+      <div className="memory-proposals-header">
+        <span>Remember this?</span>
+        <button className="link-button" onClick={onManage}>Manage memory</button>
+      </div>
+      {proposals.map((proposal) => (
+        <div key={proposal.id} className="memory-proposal">
+          <span>{proposal.content}</span>
+          <div className="shared-link-actions">
+            <button className="share-copy-btn" onClick={() => resolve(proposal, true)}>Save</button>
+            <button className="session-revoke-btn" onClick={() => resolve(proposal, false)}>Dismiss</button>
+          </div>
+        </div>
+      ))}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default MemoryProposals;
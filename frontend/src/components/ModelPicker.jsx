@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// "openai:gpt-4o-mini" -> "gpt-4o-mini"; other providers keep their prefix
+export const formatModelName = (modelId = '') => modelId.replace(/^openai:/, '');
+
+// `title` replaces "ChatGPT", e.g. with the name of the GPT being chatted with
+const ModelPicker = ({ title, models, model, settings, onChange, error }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const pickerRef = useRef(null);
+
+  // Start from the saved settings whenever the picker opens or they change
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings, isOpen]);
+
+  // Close when clicking anywhere outside the picker
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (e) => {
+      if (pickerRef.current && !pickerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleDraftChange = (e) => {
+    const { name, value, type } = e.target;
+    setDraft({
+      ...draft,
+      [name]: type === 'range' || type === 'number' ? Number(value) : value
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const result = await onChange({ settings: draft });
+    if (result?.success !== false) {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="model-picker" ref={pickerRef}>
+      <button className="chat-title" onClick={() => setIsOpen(!isOpen)}>
+        <div className="chatgpt-logo">
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M22.2819 9.8211a5.9847 5.9847 0 0 0-.5157-4.9108 6.0462 6.0462 0 0 0-6.5098-2.9A6.0651 6.0651 0 0 0 4.9807 4.1818a5.9847 5.9847 0 0 0-3.9977 2.9 6.0462 6.0462 0 0 0 .7427 7.0966 5.98 5.98 0 0 0 .511 4.9107 6.051 6.051 0 0 0 6.5146 2.9001A5.9847 5.9847 0 0 0 13.2599 24a6.0557 6.0557 0 0 0 5.7718-4.2058 5.9894 5.9894 0 0 0 3.9977-2.9001 6.0557 6.0557 0 0 0-.7475-7.0729zm-9.022 12.6081a4.4755 4.4755 0 0 1-2.8764-1.0408l.1419-.0804 4.7783-2.7582a.7948.7948 0 0 0 .3927-.6813v-6.7369l2.02 1.1686a.071.071 0 0 1 .038.052v5.5826a4.504 4.504 0 0 1-4.4945 4.4944zm-9.6607-4.1254a4.4708 4.4708 0 0 1-.5346-3.0137l.142-.0852 4.783-2.7582a.7712.7712 0 0 0 .7806 0l5.8428 3.3685v2.3324a.0804.0804 0 0 1-.0332.0615L9.74 19.9502a4.4992 4.4992 0 0 1-6.1408-1.6464zM2.3408 7.8956a4.485 4.485 0 0 1 2.3655-1.9728V11.6a.7664.7664 0 0 0 .3879.6765l5.8144 3.3543-2.0201 1.1685a.0757.0757 0 0 1-.071 0l-4.8303-2.7865A4.504 4.504 0 0 1 2.3408 7.872zm16.5963 3.8558L13.1038 8.364 15.1192 7.2a.0757.0757 0 0 1 .071 0l4.8303 2.7913a4.4944 4.4944 0 0 1-.6765 8.1042v-5.6772a.79.79 0 0 0-.407-.667zm2.0107-3.0231l-.142-.0852-4.7735-2.7818a.7759.7759 0 0 0-.7854 0L9.409 9.2297V6.8974a.0662.0662 0 0 1 .0284-.0615l4.8303-2.7866a4.4992 4.4992 0 0 1 6.6802 4.66zM8.3065 12.863l-2.02-1.1638a.0804.0804 0 0 1-.038-.0567V6.0742a4.4992 4.4992 0 0 1 7.3757-3.4537l-.142.0805L8.704 5.459a.7948.7948 0 0 0-.3927.6813zm1.0976-2.3654l2.602-1.4998 2.6069 1.4998v2.9994l-2.5974 1.4997-2.6067-1.4997Z" fill="currentColor"/>
+          </svg>
+        </div>
+        {title || 'ChatGPT'}
+        <span className="model-name">{formatModelName(model)}</span>
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M6 9L12 15L18 9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      </button>
+
+      {isOpen && (
+        <div className="model-picker-menu">
+          <div className="model-picker-section">
+            <h4>Model</h4>
+            {models.map((modelId) => (
+              <button
+                key={modelId}
+                className={`model-option ${modelId === model ? 'active' : ''}`}
+                onClick={() => onChange({ model: modelId })}
+              >
+                {formatModelName(modelId)}
+                {modelId === model && <span className="model-check">✓</span>}
+              </button>
+            ))}
+          </div>
+
+          <form className="model-picker-section" onSubmit={handleSave}>
+            <h4>Settings</h4>
+            {error && <div className="error-message">{error}</div>}
+
+            <label className="setting-row">
+              <span>Temperature <em>{draft.temperature}</em></span>
+              <input
+                type="range"
+                name="temperature"
+                min="0"
+                max="2"
+                step="0.1"
+                value={draft.temperature}
+                onChange={handleDraftChange}
+              />
+            </label>
+
+            <label className="setting-row">
+              <span>Top P <em>{draft.topP}</em></span>
+              <input
+                type="range"
+                name="topP"
+                min="0"
+                max="1"
+                step="0.05"
+                value={draft.topP}
+                onChange={handleDraftChange}
+              />
+            </label>
+
+            <label className="setting-row">
+              <span>Max tokens</span>
+              <input
+                type="number"
+                name="maxTokens"
+                min="1"
+                max="16000"
+                value={draft.maxTokens}
+                onChange={handleDraftChange}
+              />
+            </label>
+
+            <label className="setting-row">
+              <span>System prompt</span>
+              <textarea
+                name="systemPrompt"
+                rows="3"
+                maxLength={4000}
+                value={draft.systemPrompt}
+                onChange={handleDraftChange}
+                placeholder="e.g. You are a concise senior engineer."
+              />
+            </label>
+
+            <button type="submit" className="auth-button">Save settings</button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelPicker;
@@ -0,0 +1,33 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// "Continue with ..." buttons for the identity providers the server is
+// configured with; renders nothing when there are none
+const OidcButtons = ({ disabled }) => {
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    axios.get('http://localhost:5000/api/auth/oidc/providers')
+      .then((res) => setProviders(res.data.providers))
+      .catch((err) => console.error('Failed to load sign-in providers:', err));
+  }, []);
+
+  if (providers.length === 0) return null;
+
+  return (
+    <div className="oidc-section">
+      <div className="auth-divider"><span>OR</span></div>
+      {providers.map((provider) => (
+        <a
+          key={provider.id}
+          className={`oidc-button${disabled ? ' disabled' : ''}`}
+          href={`http://localhost:5000/api/auth/oidc/${provider.id}/start`}
+        >
+          Continue with {provider.name}
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default OidcButtons;
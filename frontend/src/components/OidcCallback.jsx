@@ -0,0 +1,42 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import AuthLayout from './AuthLayout';
+
+// Landing page after a provider login: the server redirects here with a
+// one-time login code, or with an error to show
+const OidcCallback = ({ code, error, onDone }) => {
+  const [result, setResult] = useState(error ? { success: false, error } : null);
+  const { completeOidcLogin } = useAuth();
+  const requestedRef = useRef(false);
+
+  // Login codes are single-use, so only send it once even if the effect runs twice
+  useEffect(() => {
+    if (error || !code || requestedRef.current) return;
+    requestedRef.current = true;
+    completeOidcLogin(code).then((outcome) => {
+      if (outcome.success) {
+        onDone();
+      } else {
+        setResult(outcome);
+      }
+    });
+  }, [code, error, completeOidcLogin, onDone]);
+
+  return (
+    <AuthLayout title="Signing in">
+      <div className="auth-form">
+        {!result && <p className="auth-status">Finishing sign-in...</p>}
+        {result && (
+          <>
+            <div className="error-message">{result.error}</div>
+            <button type="button" className="auth-button" onClick={onDone}>
+              Back to login
+            </button>
+          </>
+        )}
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default OidcCallback;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
+import OidcButtons from './OidcButtons';
 
 const Register = ({ onSwitchToLogin }) => {
   const [formData, setFormData] = useState({
@@ -136,6 +137,8 @@ const Register = ({ onSwitchToLogin }) => {
           </button>
         </form>
 
+        <OidcButtons disabled={isLoading} />
+
         <div className="auth-footer">
           <p>
             Already have an account?{' '}
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import AuthLayout from './AuthLayout';
+
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const { resetPassword } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setResult({ success: false, error: 'Passwords do not match' });
+      return;
+    }
+
+    setIsLoading(true);
+    setResult(await resetPassword(token, password));
+    setIsLoading(false);
+  };
+
+  return (
+    <AuthLayout title="Choose a new password">
+      {result?.success ? (
+        <div className="auth-form">
+          <div className="success-message">{result.message}</div>
+          <button type="button" className="auth-button" onClick={onDone}>
+            Log in
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="auth-form">
+          {result?.error && <div className="error-message">{result.error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="password">New password</label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="At least 6 characters"
+              minLength={6}
+              required
+              disabled={isLoading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm new password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Repeat the new password"
+              required
+              disabled={isLoading}
+            />
+          </div>
+
+          <button type="submit" className="auth-button" disabled={isLoading}>
+            {isLoading ? 'Saving...' : 'Reset password'}
+          </button>
+        </form>
+      )}
+    </AuthLayout>
+  );
+};
+
+export default ResetPassword;
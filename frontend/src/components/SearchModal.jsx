@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+const EMPTY_FILTERS = { tag: '', from: '', to: '', pinned: '', archived: '' };
+
+// Text with the server's highlight ranges wrapped in <mark>
+const Highlighted = ({ text, highlights = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(({ start, length }, i) => {
+    if (start < position) return;
+    parts.push(text.slice(position, start));
+    parts.push(<mark key={i}>{text.slice(start, start + length)}</mark>);
+    position = start + length;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+// Full-text search over the user's chats. Picking a result opens the
+// conversation at the matched message.
+const SearchModal = ({ onSelect, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  // Search once typing pauses; stale responses are ignored
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = Object.fromEntries(Object.entries({ q, ...filters }).filter(([, value]) => value !== ''));
+        const res = await axios.get('http://localhost:5000/api/conversations/search', { params });
+        if (cancelled) return;
+        setResults(res.data.results);
+        setTotal(res.data.total);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.error || 'Search failed');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, filters]);
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const activeFilterCount = Object.values(filters).filter((value) => value !== '').length;
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal search-modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="search-input-row">
+          <input
+            ref={inputRef}
+            type="search"
+            className="search-input"
+            placeholder="Search chats..."
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button
+            className={`search-filter-toggle ${showFilters ? 'active' : ''}`}
+            onClick={() => setShowFilters(!showFilters)}
+          >
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </button>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {showFilters && (
+          <div className="search-filters">
+            <label>
+              Tag
+              <input type="text" value={filters.tag} onChange={(e) => updateFilter('tag', e.target.value)} />
+            </label>
+            <label>
+              From
+              <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+            </label>
+            <label>
+              Pinned
+              <select value={filters.pinned} onChange={(e) => updateFilter('pinned', e.target.value)}>
+                <option value="">Any</option>
+                <option value="true">Pinned only</option>
+                <option value="false">Not pinned</option>
+              </select>
+            </label>
+            <label>
+              Archived
+              <select value={filters.archived} onChange={(e) => updateFilter('archived', e.target.value)}>
+                <option value="">Include</option>
+                <option value="false">Exclude</option>
+                <option value="true">Only archived</option>
+              </select>
+            </label>
+            {activeFilterCount > 0 && (
+              <button className="link-button" onClick={() => setFilters(EMPTY_FILTERS)}>Clear</button>
+            )}
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="search-results">
+          {!results && !loading && <div className="modal-empty">Search titles, tags and messages</div>}
+          {loading && !results && <div className="modal-empty">Searching...</div>}
+          {results && results.length === 0 && <div className="modal-empty">No chats found</div>}
+          {results && results.length > 0 && (
+            <>
+              <div className="search-count">{total} chat{total === 1 ? '' : 's'}</div>
+              {results.map((result) => (
+                <div key={result.conversationId} className="search-result">
+                  <button
+                    className="search-result-title"
+                    onClick={() => onSelect(result.conversationId, null)}
+                  >
+                    <Highlighted text={result.title} highlights={result.titleHighlights} />
+                    <span className="search-result-date">
+                      {result.isPinned && '📌 '}
+                      {result.isArchived && 'Archived · '}
+                      {new Date(result.updatedAt).toLocaleDateString()}
+                    </span>
+                  </button>
+                  {result.matches.map((match) => (
+                    <button
+                      key={match.messageId}
+                      className="search-result-match"
+                      onClick={() => onSelect(result.conversationId, match.messageId)}
+                    >
+                      <span className="search-result-role">{match.role === 'user' ? 'You' : 'ChatGPT'}</span>
+                      <Highlighted text={match.snippet} highlights={match.highlights} />
+                    </button>
+                  ))}
+                  {result.matchCount > result.matches.length && (
+                    <div className="search-result-more">
+                      +{result.matchCount - result.matches.length} more matching message{result.matchCount - result.matches.length === 1 ? '' : 's'}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchModal;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// Devices signed in to the account, with the option to sign them out
+const SessionsModal = ({ onClose }) => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/auth/sessions');
+      setSessions(res.data.sessions);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const revokeSession = async (session) => {
+    // Revoking this device is the same as logging out
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    try {
+      await axios.delete(`http://localhost:5000/api/auth/sessions/${session.id}`);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke session');
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    try {
+      await axios.delete('http://localhost:5000/api/auth/sessions?exceptCurrent=true');
+      setSessions((prev) => prev.filter((s) => s.current));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke sessions');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Active sessions</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div className="modal-empty">Loading...</div>
+        ) : (
+          <ul className="session-list">
+            {sessions.map((session) => (
+              <li key={session.id} className="session-item">
+                <div className="session-info">
+                  <div className="session-device">
+                    {session.device}
+                    {session.current && <span className="session-current">This device</span>}
+                  </div>
+                  <div className="session-meta">
+                    {session.ip || 'Unknown IP'} · Last active {formatDate(session.lastSeenAt)}
+                  </div>
+                  <div className="session-meta">Signed in {formatDate(session.createdAt)}</div>
+                </div>
+                <button className="session-revoke-btn" onClick={() => revokeSession(session)}>
+                  {session.current ? 'Log out' : 'Revoke'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {sessions.length > 1 && (
+          <div className="modal-footer">
+            <button className="session-revoke-btn" onClick={revokeOtherSessions}>
+              Log out of all other sessions
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { formatModelName } from './ModelPicker';
+
+const MAX_INSTRUCTIONS_LENGTH = 1500;
+
+// Offered in the response language field; any other language can be typed
+const LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Polish', 'Japanese', 'Chinese', 'Korean'];
+
+const toForm = (preferences = {}) => ({
+  aboutUser: preferences.customInstructions?.aboutUser || '',
+  responseStyle: preferences.customInstructions?.responseStyle || '',
+  defaultModel: preferences.defaultModel || '',
+  defaultTemperature: preferences.defaultTemperature ?? '',
+  responseLanguage: preferences.responseLanguage || '',
+  sendOnEnter: preferences.sendOnEnter !== false
+});
+
+// Custom instructions and the defaults new chats start with. Instructions
+// are kept with each chat when it starts, so changes apply to new chats.
+const SettingsModal = ({ models, onClose }) => {
+  const { user, updateProfile } = useAuth();
+  const [form, setForm] = useState(() => toForm(user?.preferences));
+  const [isSaving, setIsSaving] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+    setResult(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const response = await updateProfile({
+      preferences: {
+        customInstructions: { aboutUser: form.aboutUser, responseStyle: form.responseStyle },
+        defaultModel: form.defaultModel,
+        defaultTemperature: form.defaultTemperature === '' ? null : Number(form.defaultTemperature),
+        responseLanguage: form.responseLanguage,
+        sendOnEnter: form.sendOnEnter
+      }
+    });
+    setIsSaving(false);
+    setResult(response.success ? { success: true } : response);
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal settings-modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Settings</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        <form className="auth-form" onSubmit={handleSubmit}>
+          {result?.error && <div className="error-message">{result.error}</div>}
+          {result?.success && <div className="success-message">Settings saved. Instructions and defaults apply to new chats.</div>}
+
+          <h3>Custom instructions</h3>
+
+          <div className="form-group">
+            <label htmlFor="settingsAboutUser">What should the assistant know about you?</label>
+            <textarea
+              id="settingsAboutUser"
+              name="aboutUser"
+              value={form.aboutUser}
+              onChange={handleChange}
+              placeholder="Where you're based, what you do, your interests and goals"
+              rows={4}
+              maxLength={MAX_INSTRUCTIONS_LENGTH}
+              disabled={isSaving}
+            />
+            <span className="settings-hint">{form.aboutUser.length}/{MAX_INSTRUCTIONS_LENGTH}</span>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="settingsResponseStyle">How should the assistant respond?</label>
+            <textarea
+              id="settingsResponseStyle"
+              name="responseStyle"
+              value={form.responseStyle}
+              onChange={handleChange}
+              placeholder="How formal or casual, how long, whether to use lists or code, what to avoid"
+              rows={4}
+              maxLength={MAX_INSTRUCTIONS_LENGTH}
+              disabled={isSaving}
+            />
+            <span className="settings-hint">{form.responseStyle.length}/{MAX_INSTRUCTIONS_LENGTH}</span>
+          </div>
+
+          <h3>New chats</h3>
+
+          <div className="settings-row">
+            <div className="form-group">
+              <label htmlFor="settingsDefaultModel">Default model</label>
+              <select
+                id="settingsDefaultModel"
+                name="defaultModel"
+                value={form.defaultModel}
+                onChange={handleChange}
+                disabled={isSaving}
+              >
+                <option value="">Default</option>
+                {models.map((modelId) => (
+                  <option key={modelId} value={modelId}>{formatModelName(modelId)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settingsDefaultTemperature">Default temperature</label>
+              <input
+                id="settingsDefaultTemperature"
+                name="defaultTemperature"
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={form.defaultTemperature}
+                onChange={handleChange}
+                placeholder="Default"
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="settingsResponseLanguage">Response language</label>
+            <input
+              id="settingsResponseLanguage"
+              name="responseLanguage"
+              list="settingsLanguages"
+              value={form.responseLanguage}
+              onChange={handleChange}
+              placeholder="Same as your messages"
+              maxLength={50}
+              disabled={isSaving}
+            />
+            <datalist id="settingsLanguages">
+              {LANGUAGES.map((language) => <option key={language} value={language} />)}
+            </datalist>
+          </div>
+
+          <label className="share-option">
+            <input
+              type="checkbox"
+              name="sendOnEnter"
+              checked={form.sendOnEnter}
+              onChange={handleChange}
+              disabled={isSaving}
+            />
+            Send messages with Enter (Shift+Enter for a new line; otherwise Ctrl+Enter sends)
+          </label>
+
+          <button type="submit" className="auth-button" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsModal;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { SharedLinkList } from './SharedLinksModal';
+
+// Create a public link to a conversation, up to `messageId` or to the newest
+// message of the active branch. Links are snapshots: messages sent later
+// are not included.
+const ShareModal = ({ conversationId, messageId, onClose }) => {
+  const [hideAuthor, setHideAuthor] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const [share, setShare] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  const createLink = async () => {
+    setIsCreating(true);
+    setError(null);
+    try {
+      const res = await axios.post('http://localhost:5000/api/shares', { conversationId, messageId, hideAuthor });
+      setShare(res.data.share);
+      setCopied(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create link');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(share.url);
+    setCopied(true);
+  };
+
+  return (
+    <div className="modal-overlay" onMouseDown={onClose}>
+      <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Share public link to chat</h2>
+          <button className="modal-close" onClick={onClose} title="Close">×</button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="data-section">
+          <p className="session-meta">
+            Anyone with the link can view the chat {messageId ? 'up to this message' : 'as it is now'}.
+            Messages you send after creating it won't be shared.
+          </p>
+          <label className="share-option">
+            <input
+              type="checkbox"
+              checked={hideAuthor}
+              onChange={(e) => setHideAuthor(e.target.checked)}
+              disabled={Boolean(share)}
+            />
+            Share anonymously (hide your name)
+          </label>
+          {share ? (
+            <div className="share-link-row">
+              <input className="share-link-input" value={share.url} readOnly onFocus={(e) => e.target.select()} />
+              <button className="share-copy-btn" onClick={copyLink}>
+                {copied ? 'Copied' : 'Copy link'}
+              </button>
+            </div>
+          ) : (
+            <div className="modal-footer">
+              <button className="auth-button" onClick={createLink} disabled={isCreating}>
+                {isCreating ? 'Creating...' : 'Create link'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="data-section">
+          <h3>Links to this chat</h3>
+          <SharedLinkList conversationId={conversationId} refreshKey={share?.slug} emptyText="No links yet" />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareModal;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import MarkdownMessage from './MarkdownMessage';
+import AttachmentChip from './AttachmentChip';
+
+// Same theme as the chat, without a toggle
+const prefersDarkTheme = () => {
+  const savedTheme = localStorage.getItem('chatgpt-theme');
+  return savedTheme ? savedTheme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches;
+};
+
+// Public, read-only page for a shared link (/share/:slug). Anyone can view
+// it; continuing the conversation copies it into the viewer's own chats,
+// so it needs a login.
+const SharedConversation = ({ slug, user, onLogin, onOpenConversation }) => {
+  const [share, setShare] = useState(null);
+  const [isForking, setIsForking] = useState(false);
+  const [error, setError] = useState(null);
+  const [isDarkMode] = useState(prefersDarkTheme);
+
+  useEffect(() => {
+    axios.get(`http://localhost:5000/api/shares/${slug}`)
+      .then((res) => setShare(res.data.share))
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load shared conversation'));
+  }, [slug]);
+
+  const continueConversation = async () => {
+    if (!user) {
+      onLogin();
+      return;
+    }
+
+    setIsForking(true);
+    setError(null);
+    try {
+      const res = await axios.post(`http://localhost:5000/api/shares/${slug}/fork`);
+      onOpenConversation(res.data.conversation.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to continue conversation');
+      setIsForking(false);
+    }
+  };
+
+  return (
+    <div className={`app shared-page ${isDarkMode ? 'dark' : ''}`}>
+      <div className="main-content">
+        <div className="chat-header">
+          <div>
+            <div className="chat-title">{share?.title || 'Shared conversation'}</div>
+            {share && (
+              <div className="session-meta">
+                {share.authorName ? `Shared by ${share.authorName} · ` : ''}
+                {new Date(share.createdAt).toLocaleDateString()}
+              </div>
+            )}
+          </div>
+          {share && (
+            <button className="get-plus-btn" onClick={continueConversation} disabled={isForking}>
+              {isForking ? 'Copying...' : user ? 'Continue this conversation' : 'Log in to continue'}
+            </button>
+          )}
+        </div>
+
+        <div className="chat-messages">
+          {error && <div className="error-message">{error}</div>}
+          {!share && !error && <div className="modal-empty">Loading...</div>}
+          {share?.messages.map((msg, idx) => (
+            <div key={idx} className={`message ${msg.role}`}>
+              <div className={`message-avatar ${msg.role}`}>{msg.role === 'user' ? 'U' : 'AI'}</div>
+              <div className="message-content">
+                {msg.role === 'assistant' ? <MarkdownMessage content={msg.content} /> : msg.content}
+                {msg.images?.length > 0 && (
+                  <div className="attachment-list">
+                    {msg.images.map((image) => (
+                      <AttachmentChip
+                        key={image.id}
+                        attachment={{
+                          ...image,
+                          kind: 'image',
+                          previewUrl: `http://localhost:5000/api/shares/${slug}/images/${image.id}`
+                        }}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="disclaimer">
+          This is a copy of a conversation. Messages sent after it was shared are not included.
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedConversation;
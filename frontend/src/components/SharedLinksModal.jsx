@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// The user's share links, all of them or one conversation's, with revoke
+export const SharedLinkList = ({ conversationId, refreshKey, emptyText }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [copiedSlug, setCopiedSlug] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadShares = useCallback(async () => {
+    try {
+      const res = await axios.get('http://localhost:5000/api/shares', {
+        params: conversationId ? { conversationId } : {}
+      });
+      setShares(res.data.shares);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load shared links');
+    } finally {
+      setLoading(false);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares, refreshKey]);
+
+  const copyLink = async (share) => {
+    await navigator.clipboard.writeText(share.url);
+    setCopiedSlug(share.slug);
+  };
+
+  const revokeShare = async (slug) => {
+    setError(null);
+    try {
+      await axios.delete(`http://localhost:5000/api/shares/${slug}`);
+      setShares((prev) => prev.filter((share) => share.slug !== slug));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke link');
+    }
+  };
+
+  if (loading) {
+    return <div className="modal-empty">Loading...</div>;
+  }
+
+  return (
+    <>
+      {error && <div className="error-message">{error}</div>}
+      {shares.length === 0 ? (
+        emptyText && <div className="modal-empty">{emptyText}</div>
+      ) : (
+        <ul className="session-list">
+          {shares.map((share) => (
+            <li key={share.slug} className="session-item">
+              <div className="session-info">
+                <div className="session-device">
+                  <a href={share.url} target="_blank" rel="noreferrer">{share.title}</a>
+                </div>
+                <div className="session-meta">
+                  {share.messageCount} message{share.messageCount === 1 ? '' : 's'}
+                  {share.hideAuthor && ' · Anonymous'}
+                  {` · ${share.views} view${share.views === 1 ? '' : 's'} · Shared ${formatDate(share.createdAt)}`}
+                </div>
+              </div>
+              <div className="shared-link-actions">
+                <button className="share-copy-btn" onClick={() => copyLink(share)}>
+                  {copiedSlug === share.slug ? 'Copied' : 'Copy link'}
+                </button>
+                <button className="session-revoke-btn" onClick={() => revokeShare(share.slug)}>
+                  Revoke
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+// Every share link the user has created
+const SharedLinksModal = ({ onClose }) => (
+  <div className="modal-overlay" onMouseDown={onClose}>
+    <div className="modal" onMouseDown={(e) => e.stopPropagation()}>
+      <div className="modal-header">
+        <h2>Shared links</h2>
+        <button className="modal-close" onClick={onClose} title="Close">×</button>
+      </div>
+      <SharedLinkList emptyText="You haven't shared any chats" />
+    </div>
+  </div>
+);
+
+export default SharedLinksModal;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Documents one chat can draw on, as the server allows
+const MAX_SOURCES = 20;
+
+// Pick the library documents the current chat draws on
+const SourcesMenu = ({ selectedIds, onChange, onOpenLibrary, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [documents, setDocuments] = useState(null);
+  const [error, setError] = useState(null);
+
+  const toggleMenu = async () => {
+    setIsOpen(!isOpen);
+    if (isOpen) return;
+
+    // Refreshed on every open, as documents are added in the library
+    try {
+      const res = await axios.get('http://localhost:5000/api/library');
+      setDocuments(res.data.documents);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load library');
+    }
+  };
+
+  const toggleDocument = (id) => {
+    // Leave out documents deleted from the library since they were picked
+    const current = selectedIds.filter((selectedId) => documents.some((document) => document.id === selectedId));
+    onChange(current.includes(id) ? current.filter((item) => item !== id) : [...current, id]);
+  };
+
+  return (
+    <div className="tools-menu-wrapper">
+      <button
+        className={`tool-btn tools-toggle ${selectedIds.length > 0 ? 'active' : ''}`}
+        onClick={toggleMenu}
+        disabled={disabled}
+        title="Sources: library documents for answers to cite"
+      >
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20M4 19.5A2.5 2.5 0 0 0 6.5 22H20V2H6.5A2.5 2.5 0 0 0 4 4.5V19.5Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+        {selectedIds.length > 0 && <span className="tools-text">{selectedIds.length}</span>}
+      </button>
+      {isOpen && (
+        <div className="tools-menu">
+          {error && <div className="tools-menu-notice">{error}</div>}
+          {!documents && !error && <div className="tools-menu-notice">Loading...</div>}
+          <div className="sources-menu-title">Sources</div>
+          {documents?.length === 0 && (
+            <div className="tools-menu-notice">Your library is empty.</div>
+          )}
+          {documents?.map((document) => (
+            <label key={document.id} className="tools-menu-item" title={document.name}>
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(document.id)}
+                onChange={() => toggleDocument(document.id)}
+                disabled={!selectedIds.includes(document.id) && selectedIds.length >= MAX_SOURCES}
+              />
+              <span className="sources-menu-name">{document.name}</span>
+            </label>
+          ))}
+          <button
+            className="user-menu-item"
+            onClick={() => {
+              setIsOpen(false);
+              onOpenLibrary();
+            }}
+          >
+            Manage library
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SourcesMenu;
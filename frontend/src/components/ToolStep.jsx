@@ -0,0 +1,59 @@
+import React from 'react';
+import MarkdownMessage from './MarkdownMessage';
+
+// Arguments and results are JSON; show them indented when they parse
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch {
+    return text;
+  }
+};
+
+const isError = (text) => {
+  try {
+    return Boolean(JSON.parse(text)?.error);
+  } catch {
+    return false;
+  }
+};
+
+// A step the assistant took before answering: a tool's result, collapsed
+// with the input it was given, or text written while calling tools and the
+// calls still running
+const ToolStep = ({ message, toolCall, pendingCalls = [], titles = {} }) => {
+  const titleOf = (name) => titles[name] || name;
+
+  if (message.role === 'tool') {
+    return (
+      <div className="tool-step">
+        <details>
+          <summary>
+            {isError(message.content) ? `${titleOf(message.toolName)} failed` : `Used ${titleOf(message.toolName)}`}
+          </summary>
+          {toolCall && (
+            <>
+              <div className="tool-step-label">Input</div>
+              <pre>{formatJson(toolCall.arguments)}</pre>
+            </>
+          )}
+          <div className="tool-step-label">Result</div>
+          <pre>{formatJson(message.content)}</pre>
+        </details>
+      </div>
+    );
+  }
+
+  if (!message.content && pendingCalls.length === 0) return null;
+
+  return (
+    <div className="tool-step">
+      {message.content && <MarkdownMessage content={message.content} />}
+      {pendingCalls.map((call) => (
+        <div key={call.id} className="tool-step-pending">Using {titleOf(call.name)}...</div>
+      ))}
+    </div>
+  );
+};
+
+export default ToolStep;
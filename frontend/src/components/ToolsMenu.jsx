@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+
+// Pick the tools the model may call; the choice applies to every chat
+const ToolsMenu = ({ tools, disabledTools, onChange, unsupportedModel, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const toggleTool = (name) => {
+    onChange(disabledTools.includes(name)
+      ? disabledTools.filter((item) => item !== name)
+      : [...disabledTools, name]);
+  };
+
+  return (
+    <div className="tools-menu-wrapper">
+      <button
+        className="tool-btn tools-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled || tools.length === 0}
+        title="Choose the tools the model can use"
+      >
+        <span className="tools-text">Tools</span>
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+        </svg>
+      </button>
+      {isOpen && (
+        <div className="tools-menu">
+          {unsupportedModel && (
+            <div className="tools-menu-notice">{unsupportedModel} can't use tools. Switch models to use them.</div>
+          )}
+          {tools.map((tool) => (
+            <label key={tool.name} className="tools-menu-item" title={tool.description}>
+              <input
+                type="checkbox"
+                checked={!disabledTools.includes(tool.name)}
+                onChange={() => toggleTool(tool.name)}
+              />
+              {tool.title}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ToolsMenu;
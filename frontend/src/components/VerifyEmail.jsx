@@ -0,0 +1,33 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import AuthLayout from './AuthLayout';
+
+const VerifyEmail = ({ token, onDone }) => {
+  const [result, setResult] = useState(null);
+  const { verifyEmail } = useAuth();
+  const requestedRef = useRef(false);
+
+  // Tokens are single-use, so only send it once even if the effect runs twice
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  return (
+    <AuthLayout title="Email verification">
+      <div className="auth-form">
+        {!result && <p className="auth-status">Verifying your email address...</p>}
+        {result?.success && <div className="success-message">Your email address is verified.</div>}
+        {result && !result.success && <div className="error-message">{result.error}</div>}
+        {result && (
+          <button type="button" className="auth-button" onClick={onDone}>
+            Continue
+          </button>
+        )}
+      </div>
+    </AuthLayout>
+  );
+};
+
+export default VerifyEmail;
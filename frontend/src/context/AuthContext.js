@@ -1,8 +1,22 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
+import { getRequestError } from '../utils/rateLimit';
 
 const AuthContext = createContext();
 
+// Requests whose 401 means bad credentials rather than an expired access token
+const NO_REFRESH_URL = /\/api\/auth\/(login|register|refresh|oidc\/exchange)$/;
+
+// When a JWT expires (ms since epoch), read without verifying it
+const getTokenExpiry = (jwtToken) => {
+  try {
+    const payload = jwtToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).exp * 1000;
+  } catch (error) {
+    return 0;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -16,6 +30,7 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const refreshRequestRef = useRef(null);
 
   // Configure axios defaults
   useEffect(() => {
@@ -26,27 +41,113 @@ export const AuthProvider = ({ children }) => {
     }
   }, [token]);
 
+  // Keep the tokens from an auth response. The refresh token is only in the
+  // body when the server doesn't use an httpOnly cookie for it.
+  const storeTokens = useCallback(({ token: newToken, refreshToken }) => {
+    setToken(newToken);
+    localStorage.setItem('token', newToken);
+    // Set right away so requests retried before the next render use it
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }, []);
+
+  const clearAuth = useCallback(() => {
+    setUser(null);
+    setToken(null);
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    delete axios.defaults.headers.common['Authorization'];
+  }, []);
+
+  // Get a new access token. Concurrent callers share one request, because
+  // each refresh token can only be used once.
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshRequestRef.current) {
+      const requestRefresh = () => axios.post(
+        'http://localhost:5000/api/auth/refresh',
+        { refreshToken: localStorage.getItem('refreshToken') || undefined },
+        { withCredentials: true }
+      );
+
+      refreshRequestRef.current = requestRefresh()
+        // Another tab may have just rotated the token; try once more with the latest one
+        .catch((error) => {
+          if (error.response?.status !== 401) throw error;
+          return requestRefresh();
+        })
+        .then((response) => {
+          storeTokens(response.data);
+          setUser(response.data.user);
+          return response.data.token;
+        })
+        .finally(() => {
+          refreshRequestRef.current = null;
+        });
+    }
+
+    return refreshRequestRef.current;
+  }, [storeTokens]);
+
+  // A valid access token for requests made without axios, such as streaming
+  const getAccessToken = useCallback(async () => {
+    const current = localStorage.getItem('token');
+    if (current && getTokenExpiry(current) - Date.now() > 30 * 1000) {
+      return current;
+    }
+
+    try {
+      return await refreshAccessToken();
+    } catch (error) {
+      return current;
+    }
+  }, [refreshAccessToken]);
+
+  // Refresh the access token when a request fails with 401, then retry it once.
+  // If the session can't be refreshed, the user is signed out.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const request = error.config;
+        if (error.response?.status !== 401 || !request || request.retried || NO_REFRESH_URL.test(request.url)) {
+          return Promise.reject(error);
+        }
+
+        request.retried = true;
+        try {
+          const newToken = await refreshAccessToken();
+          request.headers['Authorization'] = `Bearer ${newToken}`;
+          return axios(request);
+        } catch (refreshError) {
+          clearAuth();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshAccessToken, clearAuth]);
+
   // Check if user is authenticated on app load
   useEffect(() => {
     const checkAuth = async () => {
-      if (token) {
+      if (localStorage.getItem('token')) {
         try {
           const response = await axios.get('http://localhost:5000/api/auth/me');
           setUser(response.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
           // Clear invalid token
-          setUser(null);
-          setToken(null);
-          localStorage.removeItem('token');
-          delete axios.defaults.headers.common['Authorization'];
+          clearAuth();
         }
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [clearAuth]);
 
   const login = async (email, password) => {
     try {
@@ -54,17 +155,14 @@ export const AuthProvider = ({ children }) => {
       const response = await axios.post('http://localhost:5000/api/auth/login', {
         email,
         password
-      });
+      }, { withCredentials: true });
 
-      const { token: newToken, user: userData } = response.data;
-      
-      setToken(newToken);
-      setUser(userData);
-      localStorage.setItem('token', newToken);
+      storeTokens(response.data);
+      setUser(response.data.user);
       
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 'Login failed';
+      const errorMessage = getRequestError(error, 'Login failed');
       setError(errorMessage);
       return { success: false, error: errorMessage };
     }
@@ -77,35 +175,45 @@ export const AuthProvider = ({ children }) => {
         username,
         email,
         password
-      });
+      }, { withCredentials: true });
 
-      const { token: newToken, user: userData } = response.data;
-      
-      setToken(newToken);
-      setUser(userData);
-      localStorage.setItem('token', newToken);
+      storeTokens(response.data);
+      setUser(response.data.user);
       
       return { success: true };
     } catch (error) {
-      const errorMessage = error.response?.data?.error || 'Registration failed';
+      const errorMessage = getRequestError(error, 'Registration failed');
       setError(errorMessage);
       return { success: false, error: errorMessage };
     }
   };
 
+  // Finish a "Continue with ..." login with the code the server put in the callback URL
+  const completeOidcLogin = async (code) => {
+    try {
+      setError(null);
+      const response = await axios.post('http://localhost:5000/api/auth/oidc/exchange', { code }, { withCredentials: true });
+
+      storeTokens(response.data);
+      setUser(response.data.user);
+
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: getRequestError(error, 'Login failed') };
+    }
+  };
+
   const logout = async () => {
     try {
       if (token) {
-        await axios.post('http://localhost:5000/api/auth/logout');
+        // Revokes this session on the server and clears its refresh cookie
+        await axios.post('http://localhost:5000/api/auth/logout', {}, { withCredentials: true });
       }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      setUser(null);
-      setToken(null);
+      clearAuth();
       setError(null);
-      localStorage.removeItem('token');
-      delete axios.defaults.headers.common['Authorization'];
     }
   };
 
@@ -122,6 +230,55 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Run an account request and return { success, message } or { success, error }
+  const accountRequest = async (request, fallbackError) => {
+    try {
+      const response = await request();
+      return { success: true, message: response.data.message, data: response.data };
+    } catch (error) {
+      return { success: false, error: getRequestError(error, fallbackError) };
+    }
+  };
+
+  const forgotPassword = (email) => accountRequest(
+    () => axios.post('http://localhost:5000/api/auth/forgot-password', { email }),
+    'Could not send the reset link'
+  );
+
+  const resetPassword = (resetToken, password) => accountRequest(
+    () => axios.post('http://localhost:5000/api/auth/reset-password', { token: resetToken, password }),
+    'Password reset failed'
+  );
+
+  const changePassword = async (currentPassword, newPassword) => {
+    const result = await accountRequest(
+      () => axios.put('http://localhost:5000/api/auth/password', { currentPassword, newPassword }),
+      'Password change failed'
+    );
+    // Accounts from an identity provider may have just set their first password
+    if (result.success) {
+      setUser((current) => (current ? { ...current, hasPassword: true } : current));
+    }
+    return result;
+  };
+
+  const verifyEmail = async (verificationToken) => {
+    const result = await accountRequest(
+      () => axios.post('http://localhost:5000/api/auth/verify-email', { token: verificationToken }),
+      'Email verification failed'
+    );
+    // Show the verified state right away if the same user is signed in here
+    if (result.success) {
+      setUser((current) => (current?._id === result.data.user._id ? result.data.user : current));
+    }
+    return result;
+  };
+
+  const resendVerification = () => accountRequest(
+    () => axios.post('http://localhost:5000/api/auth/resend-verification'),
+    'Could not send the verification email'
+  );
+
   const clearError = () => {
     setError(null);
   };
@@ -134,7 +291,14 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    completeOidcLogin,
+    getAccessToken,
     updateProfile,
+    forgotPassword,
+    resetPassword,
+    changePassword,
+    verifyEmail,
+    resendVerification,
     clearError,
     isAuthenticated: !!user
   };
@@ -0,0 +1,37 @@
+import axios from 'axios';
+
+// File name from a Content-Disposition header, if it has one
+const getFileName = (disposition) => {
+  const encoded = disposition?.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  return disposition?.match(/filename="?([^";]+)"?/i)?.[1] || null;
+};
+
+// Download a file from the API. Plain links can't carry the access token,
+// so fetch it with axios and save it through a temporary object URL.
+export const downloadFile = async (url, fallbackName) => {
+  let res;
+  try {
+    res = await axios.get(url, { responseType: 'blob' });
+  } catch (error) {
+    // Error bodies arrive as blobs too; turn them back into { error }
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch {
+        // Not JSON, keep the blob
+      }
+    }
+    throw error;
+  }
+
+  const objectUrl = URL.createObjectURL(res.data);
+
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = getFileName(res.headers['content-disposition']) || fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
@@ -0,0 +1,26 @@
+// "30 seconds", "1 minute", "12 minutes"
+const describeWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Seconds to wait after a 429, from the Retry-After header or the body
+export const getRetryAfter = (headerValue, data) => {
+  const seconds = Number(headerValue ?? data?.retryAfter);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : null;
+};
+
+// Add how long to wait to a rate limit message
+export const withRetryHint = (message, retryAfter) => {
+  return retryAfter ? `${message} You can try again in ${describeWait(retryAfter)}.` : message;
+};
+
+// Error message for a failed axios request, explaining rate limits and lockouts
+export const getRequestError = (error, fallback) => {
+  const { response } = error;
+  const message = response?.data?.error || fallback;
+
+  if (response?.status !== 429) return message;
+  return withRetryHint(message, getRetryAfter(response.headers?.['retry-after'], response.data));
+};
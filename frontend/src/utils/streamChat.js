@@ -0,0 +1,91 @@
+import { getRetryAfter } from './rateLimit';
+
+// Parse one raw Server-Sent Event block into { event, data }
+const parseEvent = (raw) => {
+  let event = 'message';
+  const dataLines = [];
+
+  raw.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read a stream of Server-Sent Events, calling onEvent(event, data) for each
+const readEvents = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) onEvent(parsed.event, parsed.data);
+    }
+  }
+};
+
+// POST to /api/chat in streaming mode and report events as they arrive:
+// text with onDelta, tools the model calls with onToolCalls and their
+// results with onToolResult. Resolves with the `done` payload as soon as it
+// arrives, rejects on an `error` event or HTTP failure. Facts proposed to
+// remember can follow the reply; they go to onMemories.
+export const streamChat = async (payload, { onDelta, onToolCalls, onToolResult, onMemories, signal, headers = {} } = {}) => {
+  const response = await fetch('http://localhost:5000/api/chat', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...headers
+    },
+    body: JSON.stringify({ ...payload, stream: true }),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || 'Something went wrong. Please try again.');
+    error.status = response.status;
+    error.code = data.code;
+    error.retryAfter = getRetryAfter(response.headers.get('Retry-After'), data);
+    throw error;
+  }
+
+  return new Promise((resolve, reject) => {
+    readEvents(response.body, (event, data) => {
+      if (event === 'delta') {
+        onDelta?.(data.content);
+      } else if (event === 'tool_calls') {
+        onToolCalls?.(data);
+      } else if (event === 'tool_result') {
+        onToolResult?.(data);
+      } else if (event === 'done') {
+        resolve(data);
+      } else if (event === 'memories') {
+        onMemories?.(data.memories);
+      } else if (event === 'error') {
+        throw new Error(data.error);
+      }
+    })
+      // Once resolved with the reply, a later failure or end changes nothing
+      .then(() => reject(new Error('The response ended unexpectedly. Please try again.')), reject);
+  });
+};